@@ -4,18 +4,33 @@
  */
 
 import { Webcam } from './webcam.js';
-import { connectMicrobit, disconnectMicrobit, sendToMicrobit, isConnected, setDisconnectCallback } from './bluetooth.js';
+import {
+    getAvailableTransports, isKnownDeviceAvailable, connectMicrobit, disconnectMicrobit, sendToMicrobit,
+    getConnections, setRouting, routesClass, setPreferredProtocol, setMessageTemplates, getConnectedDeviceInfo, isConnected, setDisconnectCallback, setStatusCallback, setLinkEventCallback
+} from './bluetooth.js';
 import { openMakeCode, closeMakeCode } from './makecode-embed.js';
 import * as trainer from './image-trainer.js';
 import * as audioTrainer from './audio-trainer.js';
 import * as poseTrainer from './pose-trainer.js';
-import { loadModels, saveModels, addProject, deleteProject, updateProjectMakeCode, updateProjectModel } from './project-store.js';
+import * as handTrainer from './hand-trainer.js';
+import * as faceTrainer from './face-trainer.js';
+import * as motionTrainer from './motion-trainer.js';
+import * as detectTrainer from './detect-trainer.js';
+import { loadModels, saveModels, addProject, deleteProject, updateProjectMakeCode, updateProjectModel, updateProjectDevice, updateProjectRouting, updateProjectOutputSettings, updateProjectMessageTemplates, updateProjectMaxPeople, updateProjectTrainingOptions } from './project-store.js';
 import { getConfig } from './trainer-config.js';
+import { createOutputPolicy, createValuePolicy, resolveWinner, projectOutputPolicy, DEFAULT_OUTPUT_POLICY } from './output-policy.js';
+import { createSmoother, DEFAULT_SMOOTHING } from './smoothing.js';
+import { resolveTrainingOptions, trainingOptionOverrides } from './training-options.js';
+import { classAccuracies, chartPoints } from './training-metrics.js';
+import { ICON_ORDER } from './virtual-transport.js';
 
 let currentModel = null;
 
 // Tracks which type of project is being created via the name modal
-let pendingProjectType = 'image'; // 'image' | 'audio' | 'pose'
+let pendingProjectType = 'image'; // 'image' | 'audio' | 'pose' | 'hand' | 'face' | 'motion' | 'detect'
+
+// Default name of the single output of regression projects, the label of its messages
+const REGRESSION_CLASS = 'valor';
 
 // Webcam unificada: se mueve entre clases (captura) y sección de predicciones
 let activeWebcam = null;
@@ -24,6 +39,13 @@ let predictionLoopRunning = false;
 let trainingFacingMode = 'user'; // 'user' | 'environment'
 let predictionExpanded = false;
 
+// Decides which predictions reach the micro:bit (see output-policy.js)
+let outputPolicy = createOutputPolicy();
+// Temporal smoothing applied before display and transmission (see smoothing.js)
+let predictionSmoother = createSmoother();
+// Smoother and output policy of each tracked person, when a pose project tracks several
+let personOutputs = [];
+
 let batchRecordingActive = false;
 let batchRecordingCancelled = false;
 
@@ -32,6 +54,9 @@ let previewWebcam = null;
 let previewLoopRunning = false;
 let previewAudioVisualizerCanvas = null;
 
+// Instant mode predictions on the training screen
+let instantPredictionInFlight = false;
+
 const CLASS_COLORS = [
     { bg: '#E1F5EE', dot: '#1D9E75', btnFill: '#1D9E75', badge: '#9FE1CB', badgeText: '#0F6E56', headerText: '#085041', icon: '#0F6E56' },
     { bg: '#E6F1FB', dot: '#378ADD', btnFill: '#378ADD', badge: '#B5D4F4', badgeText: '#185FA5', headerText: '#0C447C', icon: '#185FA5' },
@@ -48,24 +73,283 @@ function getClassColor(index) {
 function getTrainer() {
     if (currentModel?.projectType === 'audio') return audioTrainer;
     if (currentModel?.projectType === 'pose') return poseTrainer;
+    if (currentModel?.projectType === 'hand') return handTrainer;
+    if (currentModel?.projectType === 'face') return faceTrainer;
+    if (currentModel?.projectType === 'motion') return motionTrainer;
+    if (currentModel?.projectType === 'detect') return detectTrainer;
     return trainer;
 }
 
-function resetConnectionUI() {
-    const pConn = document.getElementById('predictionConnectBtn');
-    if (pConn && pConn.classList.contains('connected')) {
-        pConn.classList.remove('connected');
-        pConn.textContent = '🔗 Conectar';
+/**
+ * Whether a project type captures from the camera (flip buttons, webcam loops)
+ */
+function usesCamera(projectType) {
+    return getConfig(projectType).captureMode.startsWith('webcam');
+}
+
+/**
+ * Whether a project type classifies landmarks drawn over the webcam (pose, hands, face)
+ */
+function usesSkeleton(projectType) {
+    return getConfig(projectType).captureMode === 'webcam-skeleton';
+}
+
+// Connections that lost the link and are retrying, to report when they give up
+const reconnectingConnections = new Set();
+
+function onMicrobitDisconnected(connId) {
+    if (reconnectingConnections.delete(connId)) {
+        showToast('No se pudo reconectar con el micro:bit', 'error');
+    }
+    renderConnectedDevices();
+}
+setDisconnectCallback(onMicrobitDisconnected);
+
+function onMicrobitStatusChange(connId, status) {
+    if (status === 'reconnecting') {
+        reconnectingConnections.add(connId);
+        showToast('Se perdió la conexión, reconectando…', 'info');
+    } else {
+        reconnectingConnections.delete(connId);
+        showToast('micro:bit reconectado', 'success');
+    }
+    renderConnectedDevices();
+}
+setStatusCallback(onMicrobitStatusChange);
+
+// ============================================
+// CONNECTED MICRO:BITS
+// ============================================
+
+const TRANSPORT_ICONS = { ble: '📶', serial: '🔌', virtual: '🧪' };
+
+/**
+ * Render one row per connected micro:bit with its status and the classes
+ * routed to it. All chips active means the board receives every class.
+ */
+function renderConnectedDevices() {
+    const container = document.getElementById('predictionDevices');
+    if (!container) return;
+    const conns = getConnections();
+    const classNames = currentModel?.classNames || getTrainer().getClassNames();
+
+    container.innerHTML = conns.map(c => {
+        const statusBadge = c.status === 'reconnecting'
+            ? '<span class="badge badge-connecting">Reconectando…</span>'
+            : '<span class="badge badge-connected">Conectado</span>';
+        const chips = classNames.map((name, i) => `
+                    <button class="device-class-chip${routesClass(c.classes, name) ? ' active' : ''}" data-conn="${c.id}" data-ci="${i}">${escapeHtml(name)}</button>`).join('');
+        return `
+            <div class="device-row">
+                <div class="device-row-header">
+                    <span class="device-name">${TRANSPORT_ICONS[c.kind]} ${escapeHtml(c.name)}</span>
+                    ${statusBadge}
+                    <button class="btn-device-disconnect" data-conn="${c.id}" title="Desconectar">×</button>
+                </div>
+                <div class="device-class-chips">${chips}
+                </div>
+            </div>`;
+    }).join('');
+    container.classList.toggle('hidden', conns.length === 0);
+
+    container.querySelectorAll('.device-class-chip').forEach(chip => {
+        chip.addEventListener('click', () => {
+            const conn = getConnections().find(c => c.id === +chip.dataset.conn);
+            if (!conn) return;
+            const name = classNames[+chip.dataset.ci];
+            let classes = conn.classes ?? [...classNames];
+            classes = classes.includes(name) ? classes.filter(n => n !== name) : [...classes, name];
+            if (classNames.every(n => classes.includes(n))) classes = null;
+            setRouting(conn.id, classes);
+            saveDeviceRouting(conn.name, classes);
+            renderConnectedDevices();
+        });
+    });
+
+    container.querySelectorAll('.btn-device-disconnect').forEach(btn => {
+        btn.addEventListener('click', () => disconnectMicrobit(+btn.dataset.conn));
+    });
+
+    document.getElementById('predictionConnectBtn').textContent =
+        conns.length ? '🔗 Conectar otro' : '🔗 Conectar';
+    refreshKnownDeviceButton();
+
+    const hasVirtual = conns.some(c => c.kind === 'virtual');
+    document.getElementById('virtualMicrobit').classList.toggle('hidden', !hasVirtual);
+    if (!hasVirtual) virtualBoard = null;
+}
+
+// ============================================
+// VIRTUAL MICRO:BIT
+// ============================================
+
+// Simulated board of the current virtual connection (see virtual-transport.js)
+let virtualBoard = null;
+
+/**
+ * Options for a new virtual micro:bit: one icon per class, in class order,
+ * and the "desconocido" icon for the unknown message
+ */
+function virtualBoardOptions() {
+    const classNames = currentModel?.classNames || getTrainer().getClassNames();
+    const rules = {};
+    classNames.forEach((name, i) => {
+        // By name for v1 messages, by index for v2 frames
+        rules[name] = rules[`#${i}`] = ICON_ORDER[i % ICON_ORDER.length];
+    });
+    rules[getOutputSettings().unknownLabel] = 'unknown';
+    return {
+        rules,
+        controlledMode: document.getElementById('virtualControlledMode').checked,
+        protocolV2: true,
+        onDisplay: renderVirtualLeds,
+        onReady: board => { virtualBoard = board; },
+    };
+}
+
+function renderVirtualLeds(leds) {
+    const grid = document.getElementById('virtualLeds');
+    if (grid.children.length !== 25) {
+        grid.innerHTML = '<span class="virtual-led"></span>'.repeat(25);
+    }
+    leds.flat().forEach((on, i) => grid.children[i].classList.toggle('on', on));
+}
+
+/**
+ * Routing is remembered per device name, so a board gets the same
+ * classes the next time it connects to this project.
+ */
+function saveDeviceRouting(deviceName, classes) {
+    if (!currentModel) return;
+    const routing = { ...(currentModel.deviceRouting || {}), [deviceName]: classes };
+    updateProjectRouting(currentModel.id, routing);
+    currentModel.deviceRouting = routing;
+}
+
+/**
+ * Offer one-tap reconnection to the micro:bit last used with this project,
+ * when it is not connected and the browser can reach it without the chooser (getDevices).
+ */
+async function refreshKnownDeviceButton() {
+    const row = document.getElementById('predictionKnownDevice');
+    if (!row) return;
+    const device = currentModel?.lastDevice;
+    const alreadyConnected = !!device
+        && getConnections().some(c => getConnectedDeviceInfo(c.id)?.id === device.id);
+    const show = !!device && !alreadyConnected && await isKnownDeviceAvailable(device.id);
+    row.classList.toggle('hidden', !show);
+    if (show) {
+        document.getElementById('predictionKnownDeviceBtn').textContent = `📶 Reconectar a ${device.name}`;
     }
 }
-setDisconnectCallback(resetConnectionUI);
+
+// ============================================
+// LINK DIAGNOSTICS
+// ============================================
+
+const DIAGNOSTICS_LOG_SIZE = 200;
+
+// Link events from bluetooth.js, newest last. Kept while the drawer is
+// closed so opening it shows what already happened.
+const diagnosticsLog = [];
+// connId → last OK round-trip latency (ms), only in controlled mode
+const lastLatency = new Map();
+let diagnosticsInterval = null;
+
+function onLinkEvent(event) {
+    if (event.type === 'ack') lastLatency.set(event.connId, event.latency);
+    diagnosticsLog.push(event);
+    if (diagnosticsLog.length > DIAGNOSTICS_LOG_SIZE) diagnosticsLog.shift();
+    if (diagnosticsInterval) prependDiagnosticsEntry(event);
+}
+setLinkEventCallback(onLinkEvent);
+
+function openDiagnosticsDrawer() {
+    const list = document.getElementById('diagnosticsLog');
+    list.innerHTML = '';
+    diagnosticsLog.forEach(prependDiagnosticsEntry);
+    renderDiagnosticsSummary();
+    clearInterval(diagnosticsInterval);
+    diagnosticsInterval = setInterval(renderDiagnosticsSummary, 1000);
+    document.getElementById('diagnosticsDrawer').classList.remove('hidden');
+}
+
+function closeDiagnosticsDrawer() {
+    clearInterval(diagnosticsInterval);
+    diagnosticsInterval = null;
+    document.getElementById('diagnosticsDrawer').classList.add('hidden');
+}
+
+function clearDiagnosticsLog() {
+    diagnosticsLog.length = 0;
+    document.getElementById('diagnosticsLog').innerHTML = '';
+}
+
+const DIAGNOSTICS_ARROWS = { tx: '↑', drop: '✕', fail: '⚠', rx: '↓', ack: '↓' };
+
+function prependDiagnosticsEntry(event) {
+    const list = document.getElementById('diagnosticsLog');
+    const text = event.type === 'ack'
+        ? `OK (${event.latency} ms)`
+        : event.text.replace(/\n/g, '⏎');
+    const time = new Date(event.time).toLocaleTimeString('es', { hour12: false });
+    const ms = String(event.time % 1000).padStart(3, '0');
+
+    const li = document.createElement('li');
+    li.className = `diagnostics-entry diagnostics-${event.type}`;
+    li.innerHTML = `
+        <span class="diagnostics-time">${time}.${ms}</span>
+        <span class="diagnostics-dir">${DIAGNOSTICS_ARROWS[event.type]}</span>
+        <span class="diagnostics-device">${escapeHtml(event.name)}</span>
+        <span class="diagnostics-text">${escapeHtml(text)}</span>`;
+    list.prepend(li);
+    while (list.children.length > DIAGNOSTICS_LOG_SIZE) list.lastElementChild.remove();
+}
+
+function formatUptime(ms) {
+    const total = Math.floor(ms / 1000);
+    const minutes = Math.floor(total / 60);
+    const seconds = String(total % 60).padStart(2, '0');
+    return minutes >= 60
+        ? `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} min`
+        : `${minutes}:${seconds}`;
+}
+
+function renderDiagnosticsSummary() {
+    const container = document.getElementById('diagnosticsSummary');
+    const conns = getConnections();
+    const now = Date.now();
+
+    if (conns.length === 0) {
+        container.innerHTML = '<p class="diagnostics-empty">Ningún micro:bit conectado</p>';
+        return;
+    }
+
+    container.innerHTML = conns.map(c => {
+        const perSecond = diagnosticsLog.filter(e => e.connId === c.id && e.type === 'tx' && now - e.time < 1000).length;
+        const latency = lastLatency.get(c.id);
+        return `
+            <div class="diagnostics-device-card">
+                <div class="diagnostics-device-name">${TRANSPORT_ICONS[c.kind]} ${escapeHtml(c.name)}</div>
+                <dl class="diagnostics-stats">
+                    <dt>Conectado</dt><dd>${c.status === 'reconnecting' ? 'Reconectando…' : formatUptime(now - c.connectedAt)}</dd>
+                    <dt>Mensajes/s</dt><dd>${perSecond}</dd>
+                    <dt>Enviados</dt><dd>${c.stats.sent}</dd>
+                    <dt>Descartados</dt><dd>${c.stats.dropped}</dd>
+                    <dt>Fallos</dt><dd class="${c.stats.failed > 0 ? 'diagnostics-bad' : ''}">${c.stats.failed}</dd>
+                    <dt>Latencia (OK)</dt><dd>${latency !== undefined ? `${latency} ms` : '—'}</dd>
+                    <dt>Protocolo</dt><dd>v${c.protocol}${c.controlledMode ? ' · modo controlado' : ''}</dd>
+                </dl>
+            </div>`;
+    }).join('');
+}
 
 // ============================================
 // PROJECT LIBRARY
 // ============================================
 
 async function deleteModelAndCleanup(id) {
-    await deleteProject(id, { trainer, audioTrainer, poseTrainer });
+    await deleteProject(id, { trainer, audioTrainer, poseTrainer, handTrainer, faceTrainer, motionTrainer, detectTrainer });
 }
 
 function renderModels() {
@@ -165,9 +449,13 @@ async function openPredictionScreen(model) {
 
     const isAudio = model.projectType === 'audio' || model.localModel?.source === 'local-audio';
     const isPose = model.projectType === 'pose' || model.localModel?.source === 'local-pose';
+    const isHand = model.projectType === 'hand' || model.localModel?.source === 'local-hand';
+    const isFace = model.projectType === 'face' || model.localModel?.source === 'local-face';
+    const isMotion = model.projectType === 'motion' || model.localModel?.source === 'local-motion';
+    const isDetect = model.projectType === 'detect' || model.localModel?.source === 'local-detect';
 
     // Flip button only makes sense for camera models
-    document.getElementById('predictionFlipBtn').style.display = isAudio ? 'none' : '';
+    document.getElementById('predictionFlipBtn').style.display = isAudio || isMotion ? 'none' : '';
 
     batchRecordingActive = false;
     batchRecordingCancelled = true;
@@ -177,10 +465,9 @@ async function openPredictionScreen(model) {
     closeMakeCode('makecodeInlineFrame');
     closeCaptureWebcamSilent();
     disconnectMicrobit();
+    applyOutputSettings();
 
-    const conn = document.getElementById('predictionConnectBtn');
-    conn.classList.remove('connected');
-    conn.textContent = '🔗 Conectar';
+    renderConnectedDevices();
 
     trainingFacingMode = 'user';
     predictionExpanded = false;
@@ -205,11 +492,22 @@ async function openPredictionScreen(model) {
             document.querySelector('.prediction-main-content')?.scrollTo(0, 0)
             await audioTrainer.startVisualizer(canvas);
             await audioTrainer.startListening(preds => renderTrainingPredictions(preds));
-        } else if (isPose) {
-            if (!poseTrainer.isTrained()) {
-                await poseTrainer.loadSavedModel(model.localModel);
+        } else if (isPose || isHand || isFace) {
+            const skeletonTrainer = isHand ? handTrainer : isFace ? faceTrainer : poseTrainer;
+            if (!skeletonTrainer.isTrained()) {
+                await skeletonTrainer.loadSavedModel(model.localModel);
+            }
+            await startSkeletonPredictionLoop();
+        } else if (isMotion) {
+            if (!motionTrainer.isTrained()) {
+                await motionTrainer.loadSavedModel(model.localModel);
+            }
+            startMotionPredictionLoop();
+        } else if (isDetect) {
+            if (!detectTrainer.isTrained()) {
+                await detectTrainer.loadSavedModel(model.localModel);
             }
-            await startPosePredictionLoop();
+            await startPredictionLoop();
         } else {
             await startPredictionLoop();
         }
@@ -224,6 +522,10 @@ async function openPredictionScreen(model) {
     const classNamesForMakeCode = model.classNames
         || (isAudio ? audioTrainer.getClassNames()
             : isPose ? poseTrainer.getClassNames()
+            : isHand ? handTrainer.getClassNames()
+            : isFace ? faceTrainer.getClassNames()
+            : isMotion ? motionTrainer.getClassNames()
+            : isDetect ? detectTrainer.getClassNames()
             : trainer.getClassNames());
 
     openMakeCode(
@@ -248,11 +550,14 @@ async function openTrainingScreen(project) {
     document.getElementById('trainBtn').disabled = true;
     const badge = document.getElementById('projectTypeBadge');
     if (badge) {
-        const typeLabels = { image: 'imagen', audio: 'audio', pose: 'pose' };
+        const typeLabels = { image: 'imagen', audio: 'audio', pose: 'pose', hand: 'manos', face: 'cara', motion: 'movimiento', detect: 'objeto' };
         badge.textContent = typeLabels[project.projectType] || project.projectType;
+        if (project.poseMode === 'sequence') badge.textContent += ' · movimientos';
+        if (project.regression) badge.textContent += ' · valor';
     }
+    document.getElementById('poseOptionsBtn').style.display = project.projectType === 'pose' ? '' : 'none';
     const captureFlipBtn = document.getElementById('captureFlipBtn');
-    if (captureFlipBtn) captureFlipBtn.style.display = project.projectType === 'audio' ? 'none' : '';
+    if (captureFlipBtn) captureFlipBtn.style.display = usesCamera(project.projectType) ? '' : 'none';
 
     stopPredictionLoop();
     closeCaptureWebcamSilent();
@@ -261,6 +566,10 @@ async function openTrainingScreen(project) {
     trainer.dispose();
     audioTrainer.dispose();
     poseTrainer.dispose();
+    handTrainer.dispose();
+    faceTrainer.dispose();
+    motionTrainer.dispose();
+    detectTrainer.dispose();
     document.getElementById('trainProgressText').textContent = '';
 
     trainingFacingMode = 'user';
@@ -269,28 +578,73 @@ async function openTrainingScreen(project) {
 
     const isAudio = project.projectType === 'audio';
     const isPose = project.projectType === 'pose';
+    const isHand = project.projectType === 'hand';
+    const isFace = project.projectType === 'face';
+    const isMotion = project.projectType === 'motion';
 
-    if (isPose) {
-        showToast('Cargando detector de pose...', 'info');
+    if (isMotion) {
+        await motionTrainer.initTrainer();
+
+        if (project.localModel) {
+            try {
+                await motionTrainer.loadSavedModel(project.localModel);
+            } catch (e) {
+                showScreen('trainingScreen');
+                document.getElementById('trainingCaptureSection').classList.remove('hidden');
+                project.localModel.classNames.forEach(name => motionTrainer.addClass(name));
+                renderTrainingClasses();
+                openMotionSensorView();
+                return;
+            }
+            showToast('Cargando muestras anteriores...', 'info');
+            await motionTrainer.loadSamples(project.id);
+            if (motionTrainer.isTrained()) {
+                await openPredictionScreen(project);
+                return;
+            }
+            showScreen('trainingScreen');
+            document.getElementById('trainingCaptureSection').classList.remove('hidden');
+        } else {
+            showScreen('trainingScreen');
+            document.getElementById('trainingCaptureSection').classList.remove('hidden');
+            motionTrainer.addClass('Clase 1');
+            motionTrainer.addClass('Clase 2');
+        }
+
+        renderTrainingClasses();
+        openMotionSensorView();
+        return;
+    }
+
+    if (isPose || isHand || isFace) {
+        const skeletonTrainer = isHand ? handTrainer : isFace ? faceTrainer : poseTrainer;
+        const detectorName = isHand ? 'manos' : isFace ? 'cara' : 'pose';
+        showToast(`Cargando detector de ${detectorName}...`, 'info');
 
         try {
-            await poseTrainer.initTrainer();
+            if (isHand) handTrainer.setNumHands(project.handCount);
+            if (isPose) {
+                poseTrainer.setMode(project.poseMode);
+                poseTrainer.setRegression(project.regression);
+                await poseTrainer.setMaxPeople(project.maxPeople ?? 1);
+            }
+            await skeletonTrainer.initTrainer();
 
             if (project.localModel) {
                 try {
-                    await poseTrainer.loadSavedModel(project.localModel);
+                    await skeletonTrainer.loadSavedModel(project.localModel);
                 } catch (e) {
                     showScreen('trainingScreen');
                     document.getElementById('trainingCaptureSection').classList.remove('hidden');
-                    project.localModel.classNames.forEach(name => poseTrainer.addClass(name));
+                    project.localModel.classNames.forEach(name => skeletonTrainer.addClass(name));
                     renderTrainingClasses();
                     await openCaptureWebcamWithSkeleton();
                     showToast('Listo', 'success');
                     return;
                 }
                 showToast('Cargando muestras anteriores...', 'info');
-                await poseTrainer.loadSamples(project.id);
-                if (poseTrainer.isTrained()) {
+                await skeletonTrainer.loadSamples(project.id);
+                if (skeletonTrainer.isTrained()) {
                     await openPredictionScreen(project);
                     return;
                 }
@@ -299,16 +653,16 @@ async function openTrainingScreen(project) {
             } else {
                 showScreen('trainingScreen');
                 document.getElementById('trainingCaptureSection').classList.remove('hidden');
-                poseTrainer.addClass('Clase 1');
-                poseTrainer.addClass('Clase 2');
+                const classNames = project.regression ? [REGRESSION_CLASS] : ['Clase 1', 'Clase 2'];
+                classNames.forEach(name => skeletonTrainer.addClass(name));
             }
 
             renderTrainingClasses();
             await openCaptureWebcamWithSkeleton();
             showToast('Listo', 'success');
         } catch (error) {
-            console.error('Pose training init error:', error);
-            showToast('Error al inicializar detector de pose', 'error');
+            console.error('Landmark training init error:', error);
+            showToast(`Error al inicializar detector de ${detectorName}`, 'error');
             showScreen('homeScreen');
         }
 
@@ -354,7 +708,9 @@ async function openTrainingScreen(project) {
         return;
     }
 
-    // ── Image trainer flow ──
+    // ── Image trainer flow (also object detection, on the same features) ──
+    const imageTrainer = project.projectType === 'detect' ? detectTrainer : trainer;
+    if (imageTrainer === trainer) trainer.setRegression(project.regression);
     if (!project.localModel) {
         document.getElementById('trainingCaptureSection').classList.remove('hidden');
     }
@@ -362,23 +718,23 @@ async function openTrainingScreen(project) {
     showToast('Cargando red base...', 'info');
 
     try {
-        await trainer.initTrainer();
+        await imageTrainer.initTrainer();
 
         if (project.localModel) {
             try {
-                await trainer.loadSavedModel(project.localModel);
+                await imageTrainer.loadSavedModel(project.localModel);
             } catch (e) {
                 showScreen('trainingScreen');
                 document.getElementById('trainingCaptureSection').classList.remove('hidden');
-                project.localModel.classNames.forEach(name => trainer.addClass(name));
+                project.localModel.classNames.forEach(name => imageTrainer.addClass(name));
                 renderTrainingClasses();
                 openCaptureWebcam();
                 showToast('Listo', 'success');
                 return;
             }
             showToast('Cargando muestras anteriores...', 'info');
-            await trainer.loadSamples(project.id);
-            if (trainer.isTrained()) {
+            await imageTrainer.loadSamples(project.id);
+            if (imageTrainer.isTrained()) {
                 await openPredictionScreen(project);
                 return;
             }
@@ -386,8 +742,8 @@ async function openTrainingScreen(project) {
             document.getElementById('trainingCaptureSection').classList.remove('hidden');
         } else {
             showScreen('trainingScreen');
-            trainer.addClass('Clase 1');
-            trainer.addClass('Clase 2');
+            const classNames = project.regression ? [REGRESSION_CLASS] : getConfig(project.projectType).defaultClasses;
+            classNames.forEach(name => imageTrainer.addClass(name));
         }
 
         renderTrainingClasses();
@@ -430,7 +786,10 @@ async function openCaptureWebcam() {
 
     function updateLoop() {
         if (activeWebcamTarget !== 'capture') return;
-        if (activeWebcam) activeWebcam.update();
+        if (activeWebcam) {
+            activeWebcam.update();
+            updateInstantPredictions(activeWebcam.canvas);
+        }
         requestAnimationFrame(updateLoop);
     }
     requestAnimationFrame(updateLoop);
@@ -472,9 +831,13 @@ async function openCaptureWebcamWithSkeleton() {
         displayCtx.drawImage(activeWebcam.canvas, 0, 0, activeWebcam.width, activeWebcam.height);
 
         try {
-            poseTrainer.extractKeypoints(activeWebcam.canvas, performance.now());
-            const landmarks = poseTrainer.getLastLandmarks();
-            if (landmarks) poseTrainer.drawSkeleton(displayCtx, landmarks, activeWebcam.width, activeWebcam.height, false);
+            const t = getTrainer();
+            // Instant mode: the prediction runs the detection itself
+            if (!updateInstantPredictions(activeWebcam.canvas)) {
+                t.extractKeypoints(activeWebcam.canvas, performance.now());
+            }
+            const landmarks = t.getLastLandmarks();
+            if (landmarks) t.drawSkeleton(displayCtx, landmarks, activeWebcam.width, activeWebcam.height, false);
         } catch (e) {
             // ignore detection errors during preview
         }
@@ -484,7 +847,7 @@ async function openCaptureWebcamWithSkeleton() {
     requestAnimationFrame(updateLoop);
 }
 
-async function startPosePredictionLoop() {
+async function startSkeletonPredictionLoop() {
     if (activeWebcamTarget === 'capture') return;
     stopPredictionLoop();
 
@@ -508,6 +871,7 @@ async function startPosePredictionLoop() {
 
     updateTrainButton();
 
+    const t = getTrainer();
     let inFlight = false;
     function loop() {
         if (!predictionLoopRunning || activeWebcamTarget !== 'prediction') return;
@@ -516,16 +880,18 @@ async function startPosePredictionLoop() {
         activeWebcam.update();
         displayCtx.drawImage(activeWebcam.canvas, 0, 0, activeWebcam.width, activeWebcam.height);
 
-        const landmarks = poseTrainer.getLastLandmarks();
-        if (landmarks) poseTrainer.drawSkeleton(displayCtx, landmarks, activeWebcam.width, activeWebcam.height, false);
+        const landmarks = t.getLastLandmarks();
+        if (landmarks) t.drawSkeleton(displayCtx, landmarks, activeWebcam.width, activeWebcam.height, false);
 
         if (!inFlight) {
             inFlight = true;
-            poseTrainer.predict(activeWebcam.canvas)
-                .then(preds => {
-                    inFlight = false;
-                    renderTrainingPredictions(preds);
-                })
+            // Several people: each one classified and sent on its own
+            const tracksPeople = t === poseTrainer && poseTrainer.getMaxPeople() > 1;
+            const prediction = tracksPeople
+                ? poseTrainer.predictPeople(activeWebcam.canvas).then(renderPeoplePredictions)
+                : t.predict(activeWebcam.canvas).then(renderTrainingPredictions);
+            prediction
+                .then(() => { inFlight = false; })
                 .catch(() => { inFlight = false; });
         }
 
@@ -545,9 +911,103 @@ async function openAudioVisualizer() {
     await audioTrainer.startVisualizer(canvas);
 }
 
+// ============================================
+// MOTION SENSOR
+// ============================================
+
+/**
+ * Live accelerometer chart with a connect button, in place of the webcam.
+ * The drawing loop stops by itself once the view is removed from the page.
+ */
+function showSensorView(container) {
+    container.innerHTML = '';
+
+    const view = document.createElement('div');
+    view.className = 'sensor-view';
+    const canvas = document.createElement('canvas');
+    canvas.width = 400;
+    canvas.height = 300;
+    const connectBtn = document.createElement('button');
+    connectBtn.className = 'btn-sensor-connect';
+    connectBtn.textContent = '📶 Conectar micro:bit';
+    connectBtn.addEventListener('click', connectMotionSensor);
+    view.append(canvas, connectBtn);
+    container.appendChild(view);
+
+    const ctx = canvas.getContext('2d');
+    function loop() {
+        if (!canvas.isConnected) return;
+        connectBtn.style.display = motionTrainer.isSensorConnected() ? 'none' : '';
+        motionTrainer.drawSignal(ctx, canvas.width, canvas.height);
+        requestAnimationFrame(loop);
+    }
+    requestAnimationFrame(loop);
+}
+
+function openMotionSensorView() {
+    if (activeWebcamTarget === 'capture') closeCaptureWebcamSilent();
+    stopPredictionLoop();
+
+    activeWebcamTarget = 'capture';
+    showSensorView(document.getElementById('captureWebcamContainer'));
+}
+
+async function connectMotionSensor() {
+    if (!motionTrainer.isSensorSupported()) {
+        showToast('Este navegador no soporta Bluetooth', 'error');
+        return;
+    }
+    try {
+        await motionTrainer.connectSensor();
+        showToast(`Acelerómetro conectado: ${motionTrainer.getSensorName()}`, 'success');
+    } catch (error) {
+        // Closing the chooser is not an error
+        if (error.name === 'NotFoundError') return;
+        console.error('Accelerometer connection error:', error);
+        showToast('No se pudo leer el acelerómetro. ¿El programa de la micro:bit activa el servicio de acelerómetro?', 'error');
+    }
+}
+
+motionTrainer.onSensorDisconnect(() => {
+    showToast('Se desconectó el acelerómetro de la micro:bit', 'info');
+});
+
+function startMotionPredictionLoop() {
+    if (activeWebcamTarget === 'capture') return;
+    stopPredictionLoop();
+
+    showSensorView(document.getElementById('prediction-webcam-wrapper'));
+    document.querySelector('.prediction-main-content')?.scrollTo(0, 0);
+
+    activeWebcamTarget = 'prediction';
+    predictionLoopRunning = true;
+
+    updateTrainButton();
+
+    let inFlight = false;
+    function loop() {
+        if (!predictionLoopRunning || activeWebcamTarget !== 'prediction') return;
+        if (!inFlight && motionTrainer.isSensorConnected()) {
+            inFlight = true;
+            motionTrainer.predict()
+                .then(preds => {
+                    inFlight = false;
+                    renderTrainingPredictions(preds);
+                })
+                .catch(() => { inFlight = false; });
+        }
+        requestAnimationFrame(loop);
+    }
+    requestAnimationFrame(loop);
+}
+
 function closeCaptureWebcamSilent() {
     trainer.stopCapture();
     poseTrainer.stopCapture();
+    handTrainer.stopCapture();
+    faceTrainer.stopCapture();
+    motionTrainer.stopCapture();
+    detectTrainer.stopCapture();
     if (activeWebcam && activeWebcamTarget === 'capture') {
         activeWebcam.stop();
         activeWebcam = null;
@@ -567,8 +1027,17 @@ async function startPredictionLoop() {
     await activeWebcam.setup(trainingFacingMode);
     await activeWebcam.play();
 
+    // Detection draws the object box over a copy of the frame
+    let boxCtx = null;
+    if (getConfig(currentModel?.projectType).labelsBoxes) {
+        const boxCanvas = document.createElement('canvas');
+        boxCanvas.width = activeWebcam.width;
+        boxCanvas.height = activeWebcam.height;
+        boxCtx = boxCanvas.getContext('2d');
+    }
+
     wrapper.innerHTML = '';
-    wrapper.appendChild(activeWebcam.canvas);
+    wrapper.appendChild(boxCtx ? boxCtx.canvas : activeWebcam.canvas);
     document.querySelector('.prediction-main-content')?.scrollTo(0, 0);
 
     activeWebcamTarget = 'prediction';
@@ -576,14 +1045,19 @@ async function startPredictionLoop() {
 
     updateTrainButton();
 
+    const t = getTrainer();
     let inFlight = false;
     function loop() {
         if (!predictionLoopRunning || activeWebcamTarget !== 'prediction') return;
         if (!activeWebcam) return;
         activeWebcam.update();
+        if (boxCtx) {
+            boxCtx.drawImage(activeWebcam.canvas, 0, 0, activeWebcam.width, activeWebcam.height);
+            detectTrainer.drawBox(boxCtx, detectTrainer.getLastBox(), activeWebcam.width, activeWebcam.height);
+        }
         if (!inFlight) {
             inFlight = true;
-            trainer.predict(activeWebcam.canvas)
+            t.predict(activeWebcam.canvas)
                 .then(preds => {
                     inFlight = false;
                     renderTrainingPredictions(preds);
@@ -597,8 +1071,9 @@ async function startPredictionLoop() {
 
 function stopPredictionLoop() {
     predictionLoopRunning = false;
-    if (activeWebcam && activeWebcamTarget === 'prediction') {
-        activeWebcam.stop();
+    if (activeWebcamTarget === 'prediction') {
+        // The motion sensor view has no webcam
+        if (activeWebcam) activeWebcam.stop();
         activeWebcam = null;
         activeWebcamTarget = null;
         document.getElementById('prediction-webcam-wrapper').innerHTML = '';
@@ -614,7 +1089,7 @@ async function flipCaptureCamera() {
         activeWebcamTarget = null;
     }
     await new Promise(r => setTimeout(r, 250));
-    if (currentModel?.projectType === 'pose') {
+    if (usesSkeleton(currentModel?.projectType)) {
         await openCaptureWebcamWithSkeleton();
     } else {
         await openCaptureWebcam();
@@ -632,8 +1107,8 @@ async function flipPreviewCamera() {
     const wrapper = document.getElementById('previewVisorWrapper');
     const classNames = getTrainer().getClassNames();
     wrapper.innerHTML = '';
-    if (currentModel?.projectType === 'pose') {
-        await startPreviewPose(wrapper, classNames);
+    if (usesSkeleton(currentModel?.projectType)) {
+        await startPreviewSkeleton(wrapper, classNames);
     } else {
         await startPreviewImage(wrapper, classNames);
     }
@@ -653,8 +1128,8 @@ async function flipTrainingCamera() {
 
     await new Promise(r => setTimeout(r, 250));
 
-    if (currentModel?.projectType === 'pose') {
-        await startPosePredictionLoop();
+    if (usesSkeleton(currentModel?.projectType)) {
+        await startSkeletonPredictionLoop();
     } else {
         await startPredictionLoop();
     }
@@ -717,7 +1192,8 @@ async function enterCaptureMode() {
     closeMakeCode('makecodeInlineFrame');
 
     const isAudio = currentModel?.projectType === 'audio';
-    const isPose = currentModel?.projectType === 'pose';
+    const isSkeleton = usesSkeleton(currentModel?.projectType);
+    const isMotion = currentModel?.projectType === 'motion';
 
     if (isAudio) {
         audioTrainer.stopListening();
@@ -732,20 +1208,31 @@ async function enterCaptureMode() {
         renderTrainingClasses();
         showScreen('trainingScreen');
         await openAudioVisualizer();
-    } else if (isPose) {
-        const classes = poseTrainer.getClasses();
+    } else if (isSkeleton) {
+        const t = getTrainer();
+        const classes = t.getClasses();
         const needLoad = classes.length > 0 && classes.every(c => c.count === 0);
-        if (needLoad) await poseTrainer.loadSamples(currentModel.id);
+        if (needLoad) await t.loadSamples(currentModel.id);
         renderTrainingClasses();
 
         document.getElementById('trainingCaptureSection').classList.remove('hidden');
         showScreen('trainingScreen');
         await openCaptureWebcamWithSkeleton();
+    } else if (isMotion) {
+        const classes = motionTrainer.getClasses();
+        const needLoad = classes.length > 0 && classes.every(c => c.count === 0);
+        if (needLoad) await motionTrainer.loadSamples(currentModel.id);
+        renderTrainingClasses();
+
+        document.getElementById('trainingCaptureSection').classList.remove('hidden');
+        showScreen('trainingScreen');
+        openMotionSensorView();
     } else {
         // Restaurar muestras desde IDB si no hay samples en memoria
-        const classes = trainer.getClasses();
+        const t = getTrainer();
+        const classes = t.getClasses();
         const needLoad = classes.length > 0 && classes.every(c => c.count === 0);
-        if (needLoad) await trainer.loadSamples(currentModel.id);
+        if (needLoad) await t.loadSamples(currentModel.id);
         renderTrainingClasses();
 
         showScreen('trainingScreen');
@@ -753,22 +1240,296 @@ async function enterCaptureMode() {
     }
 }
 
-function renderTrainingPredictions(predictions) {
+/**
+ * Instant mode: predict the capture webcam frame and show it over the
+ * camera, so every captured sample changes the predictions right away.
+ * Nothing is sent to the micro:bit from the training screen.
+ * @returns {boolean} True if a prediction was started
+ */
+function updateInstantPredictions(source) {
+    if (instantPredictionInFlight || !isInstantModel()) return false;
+    instantPredictionInFlight = true;
+    getTrainer().predict(source)
+        .then(predictions => {
+            const container = document.getElementById('instantPredictions');
+            container.innerHTML = predictions.length
+                ? predictionItemsHtml(predictions, getOutputSettings())
+                : '<div class="instant-empty">Capturá muestras para ver predicciones</div>';
+        })
+        .catch(() => {})
+        .finally(() => { instantPredictionInFlight = false; });
+    return true;
+}
+
+/**
+ * True when the current project predicts from its samples (k-nearest-neighbours)
+ */
+function isInstantModel() {
+    return getConfig(currentModel?.projectType).supportsInstant && getTrainer().isInstant();
+}
+
+/**
+ * Instant mode toggle and live predictions of the training screen
+ */
+function syncInstantMode() {
+    const supported = getConfig(currentModel?.projectType).supportsInstant;
+    document.getElementById('instantToggle').style.display = supported ? '' : 'none';
+    document.getElementById('instantCheck').checked = isInstantModel();
+    const container = document.getElementById('instantPredictions');
+    container.classList.toggle('hidden', !isInstantModel());
+    if (!isInstantModel()) container.innerHTML = '';
+}
+
+/**
+ * Hyperparameters for train(): the trainer's defaults overridden by the
+ * project's trainingOptions. Undefined for trainers without the panel.
+ */
+function getTrainingOptions() {
+    if (!getConfig(currentModel?.projectType).supportsTrainingOptions) return undefined;
+    return resolveTrainingOptions(currentModel.trainingOptions, getTrainer().getDefaultTrainingOptions());
+}
+
+/**
+ * "Avanzado" panel of the training screen. Hidden in instant mode, which
+ * does not train; fields the trainer has no default for are hidden too.
+ */
+function syncTrainingOptionsPanel() {
+    const panel = document.getElementById('advancedPanel');
+    const options = getTrainingOptions();
+    panel.style.display = options && !isInstantModel() ? '' : 'none';
+    if (!options) return;
+    panel.querySelectorAll('[data-option]').forEach(input => {
+        const key = input.dataset.option;
+        input.closest('.advanced-field').style.display = key in options ? '' : 'none';
+        if (key in options) input.value = String(+(options[key] * (+input.dataset.scale || 1)).toPrecision(6));
+    });
+}
+
+function saveTrainingOptionsPanel() {
+    if (!currentModel) return;
+    const defaults = getTrainer().getDefaultTrainingOptions();
+    const raw = {};
+    document.querySelectorAll('#advancedPanel [data-option]').forEach(input => {
+        raw[input.dataset.option] = input.value === '' ? '' : +input.value / (+input.dataset.scale || 1);
+    });
+    const overrides = trainingOptionOverrides(resolveTrainingOptions(raw, defaults), defaults);
+    updateProjectTrainingOptions(currentModel.id, overrides);
+    currentModel.trainingOptions = overrides;
+    // Show the clamped values
+    syncTrainingOptionsPanel();
+}
+
+// ============================================
+// MÉTRICAS DEL ENTRENAMIENTO
+// ============================================
+
+const CHART_WIDTH = 280;
+const CHART_HEIGHT = 100;
+
+// Last training of the session: curves, validation results and thumbnails of the misses
+let trainingReport = null;
+
+/**
+ * Loss and accuracy charts of fit(), redrawn after every epoch. Solid lines
+ * are the training rows, dashed lines the validation rows.
+ * @param {HTMLElement} container
+ * @param {object[]} history - Logs of each finished epoch (loss, acc, val_loss, val_acc)
+ * @param {number} totalEpochs
+ */
+function renderTrainingCharts(container, history, totalEpochs) {
+    const series = key => history.map(logs => logs[key]).filter(Number.isFinite);
+    const lossMax = Math.max(...series('loss'), ...series('val_loss'));
+
+    const chart = (title, trainKey, valKey, max, format) => {
+        const train = series(trainKey);
+        if (!train.length) return '';
+        const val = series(valKey);
+        const last = val.length ? val[val.length - 1] : train[train.length - 1];
+        return `
+            <div class="training-chart">
+                <div class="training-chart-title">${title} <span>${format(last)}</span></div>
+                <svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" preserveAspectRatio="none">
+                    <polyline class="chart-train" points="${chartPoints(train, totalEpochs, CHART_WIDTH, CHART_HEIGHT, max)}"></polyline>
+                    <polyline class="chart-val" points="${chartPoints(val, totalEpochs, CHART_WIDTH, CHART_HEIGHT, max)}"></polyline>
+                </svg>
+            </div>`;
+    };
+
+    container.innerHTML =
+        chart('Pérdida', 'loss', 'val_loss', lossMax, v => v.toFixed(3)) +
+        chart('Precisión', 'acc', 'val_acc', 1, v => `${Math.round(v * 100)}%`) +
+        (history.some(logs => Number.isFinite(logs.val_loss))
+            ? '<div class="training-chart-legend"><span class="legend-train">entrenamiento</span><span class="legend-val">validación</span></div>'
+            : '');
+}
+
+/**
+ * Metrics buttons of the training screen and the preview, for the project
+ * trained last in this session
+ */
+function syncMetricsButtons() {
+    const available = !!trainingReport && trainingReport.modelId === currentModel?.id;
+    document.getElementById('metricsBtn').style.display = available ? '' : 'none';
+    document.getElementById('previewMetricsBtn').style.display = available ? '' : 'none';
+}
+
+/**
+ * Per-class accuracy and confusion matrix on the validation rows.
+ * Cells and classes with misses show the thumbnails of those samples.
+ */
+function renderValidationMetrics() {
+    const container = document.getElementById('metricsValidation');
+    const { validation, classNames, regression } = trainingReport;
+    document.getElementById('metricsMisclassified').innerHTML = '';
+
+    if (!validation) {
+        container.innerHTML = `<p class="input-hint">${
+            validation === undefined ? 'Este tipo de proyecto muestra solo las curvas de entrenamiento.'
+            : regression ? 'Con valor continuo no hay clases que confundir: la pérdida es el error cuadrático medio.'
+            : 'No hubo muestras de validación. Subí «Validación» en el panel Avanzado para ver la precisión por clase.'
+        }</p>`;
+        return;
+    }
+
+    const { matrix } = validation;
+    const accuracies = classAccuracies(matrix);
+    const name = i => escapeHtml(classNames[i] ?? `Clase ${i + 1}`);
+    const dot = i => `<span class="preview-class-dot" style="background: ${getClassColor(i).dot};"></span>`;
+
+    container.innerHTML = `
+        <h4 class="metrics-heading">Precisión por clase</h4>
+        <table class="metrics-table">
+            ${accuracies.map((a, i) => `
+                <tr class="${a.correct < a.total ? 'metrics-clickable' : ''}" data-actual="${i}">
+                    <td>${dot(i)}${name(i)}</td>
+                    <td class="metrics-num">${a.accuracy === null ? '—' : `${Math.round(a.accuracy * 100)}%`}</td>
+                    <td class="metrics-num metrics-muted">${a.correct}/${a.total}</td>
+                </tr>`).join('')}
+        </table>
+        <h4 class="metrics-heading">Matriz de confusión</h4>
+        <div class="metrics-matrix-wrap">
+            <table class="metrics-table metrics-matrix">
+                <tr><th>Real \\ Predicha</th>${matrix.map((_, j) => `<th>${name(j)}</th>`).join('')}</tr>
+                ${matrix.map((row, i) => `
+                    <tr>
+                        <th>${name(i)}</th>
+                        ${row.map((n, j) => i !== j && n
+                            ? `<td class="metrics-miss metrics-clickable" data-actual="${i}" data-predicted="${j}">${n}</td>`
+                            : `<td class="${i === j ? 'metrics-hit' : ''}">${n}</td>`).join('')}
+                    </tr>`).join('')}
+            </table>
+        </div>
+        <small class="input-hint">Calculado sobre las muestras de validación. Tocá una celda roja o una clase para ver las muestras mal clasificadas.</small>`;
+
+    container.querySelectorAll('.metrics-clickable').forEach(el => {
+        el.addEventListener('click', () => {
+            const predicted = el.dataset.predicted === undefined ? undefined : +el.dataset.predicted;
+            renderMisclassified(+el.dataset.actual, predicted);
+        });
+    });
+}
+
+/**
+ * Thumbnails of the validation samples of a class predicted as another one
+ * @param {number} actual - Class index
+ * @param {number} [predicted] - Only this wrong class; every wrong class when omitted
+ */
+function renderMisclassified(actual, predicted) {
+    const { validation, classNames } = trainingReport;
+    const misses = validation.misclassified.filter(m =>
+        m.classIndex === actual && (predicted === undefined || m.predicted === predicted));
+    document.getElementById('metricsMisclassified').innerHTML = `
+        <h4 class="metrics-heading">${escapeHtml(classNames[actual])} mal clasificadas</h4>
+        <div class="sample-gallery">
+            ${misses.map(m => `
+                <div class="sample-thumb">
+                    ${m.thumb ? `<img src="${m.thumb}">` : ''}
+                    <span class="sample-value">→ ${escapeHtml(classNames[m.predicted])}</span>
+                </div>`).join('')}
+        </div>`;
+}
+
+function openMetricsModal() {
+    if (!trainingReport) return;
+    renderTrainingCharts(document.getElementById('metricsCharts'), trainingReport.history, trainingReport.totalEpochs);
+    renderValidationMetrics();
+    document.getElementById('metricsModal').classList.remove('hidden');
+}
+
+function renderTrainingPredictions(rawPredictions) {
     const container = document.getElementById('prediction-predictions');
-    if (!container || !predictions?.length) return;
+    if (!container || !rawPredictions?.length) return;
 
-    // Find the winner without reordering
-    let maxProb = -1;
-    let winnerIdx = -1;
-    predictions.forEach((pred, i) => {
-        const prob = pred.probability ?? 0;
-        if (prob > maxProb) { maxProb = prob; winnerIdx = i; }
+    const predictions = predictionSmoother.apply(rawPredictions);
+    container.innerHTML = predictionItemsHtml(predictions, getOutputSettings());
+    sendPredictions(predictions, outputPolicy);
+}
+
+/**
+ * Predictions of several tracked people, one group per person in the
+ * color of its skeleton. Each person has its own smoother and output
+ * policy, and reaches the micro:bit as "P1:…", "P2:…".
+ * @param {{person: number, predictions: Array}[]} people - From poseTrainer.predictPeople()
+ */
+function renderPeoplePredictions(people) {
+    const container = document.getElementById('prediction-predictions');
+    if (!container || !people?.length) return;
+
+    const settings = getOutputSettings();
+    const groups = people.map(({ person, predictions: rawPredictions }) => {
+        if (!personOutputs[person - 1]) {
+            personOutputs[person - 1] = { smoother: createPredictionSmoother(settings), policy: createPredictionPolicy(settings) };
+        }
+        const output = personOutputs[person - 1];
+        const predictions = output.smoother.apply(rawPredictions);
+        sendPredictions(predictions, output.policy, person);
+
+        const color = poseTrainer.PERSON_COLORS[(person - 1) % poseTrainer.PERSON_COLORS.length];
+        return `
+            <div class="person-predictions" style="border-left-color:${color}">
+                <div class="person-label"><span class="person-dot" style="background:${color}"></span>Persona ${person}</div>
+                ${predictionItemsHtml(predictions, settings)}
+            </div>`;
     });
+    container.innerHTML = groups.join('');
+}
 
-    container.innerHTML = predictions.map((pred, i) => {
+/**
+ * Prediction list markup, in class order; the winner is highlighted and
+ * an "unknown" item goes first when no class reaches its threshold.
+ */
+function predictionItemsHtml(predictions, settings) {
+    // Regression: a single value, no winner and no thresholds
+    if (isRegressionModel()) {
+        const value = Math.round((predictions[0]?.probability ?? 0) * 100);
+        return `
+            <div class="prediction-item top">
+                <div class="prediction-item-header">
+                    <span class="class-name">${escapeHtml(predictions[0]?.className ?? '')}</span>
+                    <span class="confidence" style="color:var(--primary)">${value}</span>
+                </div>
+                <div class="confidence-bar">
+                    <div class="confidence-fill" style="width: ${value}%"></div>
+                </div>
+            </div>`;
+    }
+
+    // Winner without reordering; not highlighted if below its threshold
+    const winner = resolveWinner(predictions, settings.thresholds);
+    const winnerIdx = winner?.known ? winner.index : -1;
+
+    const unknownItem = winner && !winner.known ? `
+            <div class="prediction-item unknown">
+                <div class="prediction-item-header">
+                    <span class="class-name">${escapeHtml(settings.unknownLabel)}</span>
+                </div>
+            </div>` : '';
+
+    return unknownItem + predictions.map((pred, i) => {
         const pct = (pred.probability * 100).toFixed(1);
         const isWinner = (i === winnerIdx);
         const confColor = isWinner ? 'var(--primary)' : '#888';
+        const threshold = settings.thresholds[pred.className] ?? 0;
         return `
             <div class="prediction-item ${isWinner ? 'top' : ''}">
                 <div class="prediction-item-header">
@@ -777,13 +1538,31 @@ function renderTrainingPredictions(predictions) {
                 </div>
                 <div class="confidence-bar">
                     <div class="confidence-fill" style="width: ${pct}%"></div>
+                    ${threshold > 0 ? `<div class="confidence-threshold" style="left: ${threshold}%"></div>` : ''}
                 </div>
             </div>`;
     }).join('');
+}
 
-    if (isConnected() && winnerIdx >= 0) {
-        const top = predictions[winnerIdx];
-        sendToMicrobit(top.className, top.probability * 100);
+/**
+ * Send to the micro:bit whatever the output policy lets through.
+ * @param {number} [person] - Tracked person (1, 2, …), sent as a "P1:" prefix
+ */
+function sendPredictions(predictions, policy, person) {
+    if (!isConnected()) return;
+    const message = policy.update(predictions, performance.now());
+    if (message && isRegressionModel()) {
+        // "valor#NN": the value takes the place of the confidence
+        sendToMicrobit(message.className, message.confidence, person ? { person } : undefined);
+    } else if (message) {
+        // Detection: where the object is, when the reported class is an object
+        const box = currentModel?.projectType === 'detect' && message.index >= 0 ? detectTrainer.getLastBox() : null;
+        sendToMicrobit(message.className, message.confidence, {
+            index: message.index,
+            probabilities: predictions.map(p => (p.probability ?? 0) * 100),
+            person,
+            box: box ? detectTrainer.boxSummary(box) : undefined,
+        });
     }
 }
 
@@ -808,26 +1587,38 @@ function updateClassUI(classIndex) {
     }
 
     const gallery = card.querySelector('.sample-gallery');
-    if (gallery) {
-        const samples = t.getSamples(classIndex);
-        gallery.innerHTML = samples.map(s => `
-            <div class="sample-thumb">
-                <img src="${s.thumb}">
-                <button class="btn-delete-sample" data-ci="${classIndex}" data-si="${s.index}">×</button>
-            </div>
-        `).join('');
-        gallery.querySelectorAll('.btn-delete-sample').forEach(btn => {
-            btn.addEventListener('click', () => {
-                t.deleteSample(+btn.dataset.ci, +btn.dataset.si);
-                updateClassUI(classIndex);
-                updateTrainButton();
-            });
-        });
-    }
+    if (gallery) renderSampleGallery(gallery, classIndex);
 
     updateTrainButton();
 }
 
+/**
+ * Thumbnails of a class, each with its delete button. Regression samples
+ * show their target value; detection samples open the box editor.
+ */
+function renderSampleGallery(gallery, classIndex) {
+    const t = getTrainer();
+    gallery.innerHTML = t.getSamples(classIndex).map(s => `
+        <div class="sample-thumb${s.hasBox === false ? ' no-box' : ''}">
+            <img src="${s.thumb}" data-si="${s.index}">
+            ${s.value !== undefined ? `<span class="sample-value">${s.value}</span>` : ''}
+            <button class="btn-delete-sample" data-ci="${classIndex}" data-si="${s.index}">×</button>
+        </div>
+    `).join('');
+    // Detection: tap a sample to draw the box of the object
+    if (getConfig(currentModel?.projectType).labelsBoxes) {
+        gallery.querySelectorAll('.sample-thumb img').forEach(img => {
+            img.addEventListener('click', () => openBoxEditor(classIndex, +img.dataset.si));
+        });
+    }
+    gallery.querySelectorAll('.btn-delete-sample').forEach(btn => {
+        btn.addEventListener('click', () => {
+            t.deleteSample(+btn.dataset.ci, +btn.dataset.si);
+            updateClassUI(classIndex);
+        });
+    });
+}
+
 function setActiveCard(cardElement) {
     document.querySelectorAll('#trainingClassesList .training-class-card').forEach(c => {
         c.classList.remove('class-card-active');
@@ -843,6 +1634,10 @@ function renderTrainingClasses() {
     const t = getTrainer();
     const container = document.getElementById('trainingClassesList');
     const cls = t.getClasses();
+    const regression = isRegressionModel();
+
+    // Regression projects have a single output, named like the message it sends
+    document.getElementById('addClassBtn').style.display = regression ? 'none' : '';
 
     container.innerHTML = cls.map((c, i) => {
         const color = getClassColor(i);
@@ -855,6 +1650,12 @@ function renderTrainingClasses() {
                     <div class="sample-progress-fill${c.count >= 8 ? ' ready' : ''}" style="width:${pct}%"></div>
                 </div>` : '';
 
+        const targetValueHTML = regression ? `
+                <label class="target-value">
+                    <span>Valor de las próximas muestras: <strong class="target-value-label">${t.getTargetValue()}</strong></span>
+                    <input type="range" class="target-value-slider" min="0" max="100" step="1" value="${t.getTargetValue()}">
+                </label>` : '';
+
         const menuHTML = isFixed ? '' : `
                     <div class="class-menu-wrapper">
                         <button class="btn-class-menu" data-index="${i}" title="Opciones">
@@ -869,12 +1670,12 @@ function renderTrainingClasses() {
                                 </svg>
                                 Borrar muestras
                             </button>
-                            <button class="class-dropdown-item btn-delete-class-unified danger" data-index="${i}">
+                            ${regression ? '' : `<button class="class-dropdown-item btn-delete-class-unified danger" data-index="${i}">
                                 <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                                     <path d="M3 6h18M8 6V4a2 2 0 012-2h4a2 2 0 012 2v2m3 0v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6h14"/>
                                 </svg>
                                 Eliminar clase
-                            </button>
+                            </button>`}
                         </div>
                     </div>`;
 
@@ -899,6 +1700,7 @@ function renderTrainingClasses() {
             </div>
             <div class="class-card-body">
                 ${progressBarHTML}
+                ${targetValueHTML}
                 <div class="class-capture-buttons">
                     <button class="btn-capture-one-unified" data-index="${i}" style="background:${color.bg}; color:${color.headerText}; border-color:${color.badge};">
                         ${config.captureIcon}
@@ -909,19 +1711,16 @@ function renderTrainingClasses() {
                         ${config.captureHoldLabel}
                     </button>
                 </div>
-                <div class="sample-gallery">
-                    ${samples.map(s => `
-                        <div class="sample-thumb">
-                            <img src="${s.thumb}">
-                            <button class="btn-delete-sample" data-ci="${i}" data-si="${s.index}">×</button>
-                        </div>
-                    `).join('')}
-                </div>
+                <div class="sample-gallery"></div>
             </div>
         </div>`;
     }).join('');
 
+    container.querySelectorAll('.sample-gallery').forEach((gallery, i) => renderSampleGallery(gallery, i));
     wireTrainingClassEvents(container, config, t);
+    syncInstantMode();
+    syncTrainingOptionsPanel();
+    syncMetricsButtons();
 
     const firstCard = container.querySelector('.training-class-card');
     if (firstCard) setActiveCard(firstCard);
@@ -1000,13 +1799,11 @@ function wireTrainingClassEvents(container, config, t) {
         });
     });
 
-    // Delete individual sample
-    container.querySelectorAll('.btn-delete-sample').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const ci = +btn.dataset.ci;
-            t.deleteSample(ci, +btn.dataset.si);
-            updateClassUI(ci);
-            updateTrainButton();
+    // Regression: target value of the next samples
+    container.querySelectorAll('.target-value-slider').forEach(slider => {
+        slider.addEventListener('input', () => {
+            t.setTargetValue(+slider.value);
+            slider.closest('.target-value').querySelector('.target-value-label').textContent = t.getTargetValue();
         });
     });
 
@@ -1030,6 +1827,17 @@ function wireTrainingClassEvents(container, config, t) {
                 await recordWithCountdown(+btn.dataset.index);
             });
         });
+    } else if (config.captureMode === 'sensor') {
+        container.querySelectorAll('.btn-capture-one-unified').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const ci = +btn.dataset.index;
+                if (!motionTrainer.isSensorConnected() || !t.captureOne(ci)) {
+                    showToast(config.captureOneFailMessage, 'info');
+                    return;
+                }
+                updateClassUI(ci);
+            });
+        });
     } else {
         container.querySelectorAll('.btn-capture-one-unified').forEach(btn => {
             btn.addEventListener('click', () => {
@@ -1093,10 +1901,16 @@ function wireTrainingClassEvents(container, config, t) {
             });
         });
     } else {
+        const isSensor = config.captureMode === 'sensor';
         container.querySelectorAll('.btn-capture-hold-unified').forEach(btn => {
             const ci = +btn.dataset.index;
             btn.addEventListener('click', () => {
-                if (!activeWebcam || activeWebcamTarget !== 'capture') return;
+                if (isSensor) {
+                    if (!motionTrainer.isSensorConnected()) {
+                        showToast(config.captureOneFailMessage, 'info');
+                        return;
+                    }
+                } else if (!activeWebcam || activeWebcamTarget !== 'capture') return;
                 if (btn.classList.contains('capturing')) {
                     btn.classList.remove('capturing');
                     t.stopCapture();
@@ -1111,7 +1925,9 @@ function wireTrainingClassEvents(container, config, t) {
                     });
                     btn.classList.add('capturing');
                     btn.innerHTML = '<span class="hold-dot"></span> Detener';
-                    if (config.captureMode === 'webcam-skeleton') {
+                    if (isSensor) {
+                        t.startCapture(ci);
+                    } else if (config.captureMode === 'webcam-skeleton') {
                         t.startCapture(ci, activeWebcam.canvas, activeWebcam.canvas, false);
                     } else {
                         t.startCapture(ci, activeWebcam.canvas);
@@ -1176,12 +1992,31 @@ function updateTrainButton() {
     // Don't override during active training
     if (trainBtn.classList.contains('training')) return;
 
-    const ready = cls.length >= 2 && cls.every(c => c.count >= 8);
+    // Regression: one output, at least 8 samples with at least 2 different values
+    const regressionValues = isRegressionModel() && cls.length ? new Set(t.getSamples(0).map(s => s.value)).size : 0;
+    // Instant mode: no minimum beyond one sample per class
+    const instant = isInstantModel();
+    let ready;
+    if (instant) {
+        ready = isRegressionModel() ? cls[0]?.count >= 1 : cls.length >= 2 && cls.every(c => c.count >= 1);
+    } else {
+        ready = isRegressionModel()
+            ? cls[0]?.count >= 8 && regressionValues >= 2
+            : cls.length >= 2 && cls.every(c => c.count >= 8);
+    }
     trainBtn.disabled = !ready || (isCameraModel && predictionLoopRunning);
 
-    label.textContent = 'Entrenar';
-
-    if (!ready) {
+    label.textContent = instant ? 'Usar' : 'Entrenar';
+
+    if (!ready && instant) {
+        trainBtn.title = isRegressionModel() || cls.length >= 2
+            ? 'Se necesita al menos 1 muestra por clase'
+            : 'Se necesitan al menos 2 clases';
+    } else if (!ready && isRegressionModel()) {
+        trainBtn.title = cls[0]?.count >= 8
+            ? 'Se necesitan muestras con al menos 2 valores distintos'
+            : 'Se necesitan al menos 8 muestras';
+    } else if (!ready) {
         if (cls.length < 2) {
             trainBtn.title = 'Se necesitan al menos 2 clases';
         } else {
@@ -1209,8 +2044,13 @@ async function openPreviewModal() {
     const t = getTrainer();
     const projectType = currentModel.projectType;
     const classNames = t.getClassNames();
+    syncMetricsButtons();
 
-    if (subtitle) subtitle.textContent = `${currentModel.name} — ${classNames.length} clases entrenadas`;
+    if (subtitle) {
+        subtitle.textContent = isRegressionModel()
+            ? `${currentModel.name} — valor continuo`
+            : `${currentModel.name} — ${classNames.length} clases entrenadas`;
+    }
 
     cardsContainer.innerHTML = classNames.map((name, i) => {
         const color = getClassColor(i).dot;
@@ -1231,12 +2071,14 @@ async function openPreviewModal() {
     wrapper.innerHTML = '';
 
     const previewFlip = document.getElementById('previewFlipBtn');
-    if (previewFlip) previewFlip.style.display = projectType === 'audio' ? 'none' : '';
+    if (previewFlip) previewFlip.style.display = usesCamera(projectType) ? '' : 'none';
 
     if (projectType === 'audio') {
         await startPreviewAudio(wrapper, classNames);
-    } else if (projectType === 'pose') {
-        await startPreviewPose(wrapper, classNames);
+    } else if (usesSkeleton(projectType)) {
+        await startPreviewSkeleton(wrapper, classNames);
+    } else if (projectType === 'motion') {
+        startPreviewMotion(wrapper, classNames);
     } else {
         await startPreviewImage(wrapper, classNames);
     }
@@ -1246,7 +2088,15 @@ async function startPreviewImage(wrapper, classNames) {
     previewWebcam = new Webcam(trainingFacingMode === 'user');
     await previewWebcam.setup(trainingFacingMode);
     await previewWebcam.play();
-    wrapper.appendChild(previewWebcam.canvas);
+
+    let boxCtx = null;
+    if (getConfig(currentModel?.projectType).labelsBoxes) {
+        const boxCanvas = document.createElement('canvas');
+        boxCanvas.width = previewWebcam.width;
+        boxCanvas.height = previewWebcam.height;
+        boxCtx = boxCanvas.getContext('2d');
+    }
+    wrapper.appendChild(boxCtx ? boxCtx.canvas : previewWebcam.canvas);
 
     previewLoopRunning = true;
     let inFlight = false;
@@ -1256,6 +2106,10 @@ async function startPreviewImage(wrapper, classNames) {
         if (!previewLoopRunning) return;
         if (!previewWebcam) return;
         previewWebcam.update();
+        if (boxCtx) {
+            boxCtx.drawImage(previewWebcam.canvas, 0, 0, previewWebcam.width, previewWebcam.height);
+            detectTrainer.drawBox(boxCtx, detectTrainer.getLastBox(), previewWebcam.width, previewWebcam.height);
+        }
         if (!inFlight) {
             inFlight = true;
             t.predict(previewWebcam.canvas)
@@ -1267,7 +2121,7 @@ async function startPreviewImage(wrapper, classNames) {
     requestAnimationFrame(loop);
 }
 
-async function startPreviewPose(wrapper, classNames) {
+async function startPreviewSkeleton(wrapper, classNames) {
     previewWebcam = new Webcam(trainingFacingMode === 'user');
     await previewWebcam.setup(trainingFacingMode);
     await previewWebcam.play();
@@ -1287,8 +2141,8 @@ async function startPreviewPose(wrapper, classNames) {
         if (!previewWebcam) return;
         previewWebcam.update();
         displayCtx.drawImage(previewWebcam.canvas, 0, 0, previewWebcam.width, previewWebcam.height);
-        const landmarks = poseTrainer.getLastLandmarks();
-        if (landmarks) poseTrainer.drawSkeleton(displayCtx, landmarks, previewWebcam.width, previewWebcam.height, false);
+        const landmarks = t.getLastLandmarks();
+        if (landmarks) t.drawSkeleton(displayCtx, landmarks, previewWebcam.width, previewWebcam.height, false);
         if (!inFlight) {
             inFlight = true;
             t.predict(previewWebcam.canvas)
@@ -1300,6 +2154,25 @@ async function startPreviewPose(wrapper, classNames) {
     requestAnimationFrame(loop);
 }
 
+function startPreviewMotion(wrapper, classNames) {
+    showSensorView(wrapper);
+
+    previewLoopRunning = true;
+    let inFlight = false;
+
+    function loop() {
+        if (!previewLoopRunning) return;
+        if (!inFlight && motionTrainer.isSensorConnected()) {
+            inFlight = true;
+            motionTrainer.predict()
+                .then(preds => { inFlight = false; renderPreviewPredictions(preds, classNames); })
+                .catch(() => { inFlight = false; });
+        }
+        requestAnimationFrame(loop);
+    }
+    requestAnimationFrame(loop);
+}
+
 async function startPreviewAudio(wrapper, classNames) {
     previewAudioVisualizerCanvas = document.createElement('canvas');
     previewAudioVisualizerCanvas.width = 400;
@@ -1337,7 +2210,7 @@ function renderPreviewPredictions(predictions, classNames) {
         const fillEl = document.getElementById(`previewFill-${i}`);
         if (!card || !pctEl || !fillEl) return;
 
-        pctEl.textContent = `${pct}%`;
+        pctEl.textContent = isRegressionModel() ? `${pct}` : `${pct}%`;
         fillEl.style.width = `${pct}%`;
 
         if (name === winnerName) {
@@ -1374,6 +2247,246 @@ function closePreviewModal() {
     modal.classList.add('hidden');
 }
 
+// ============================================
+// MODAL: OPCIONES DE POSE
+// ============================================
+
+// Visibility below which a keypoint is ignored when that option is on
+const POSE_MIN_VISIBILITY = 0.5;
+
+function openPoseOptionsModal() {
+    const opts = poseTrainer.getNormalization();
+    document.getElementById('poseNormalizeCheck').checked = opts.normalize;
+    document.getElementById('poseDropZCheck').checked = opts.dropZ;
+    document.getElementById('poseVisibilityCheck').checked = opts.minVisibility > 0;
+    document.getElementById('poseMirrorCheck').checked = opts.mirror;
+    document.getElementById('posePeopleSelect').value = String(poseTrainer.getMaxPeople());
+    document.getElementById('poseOptionsModal').classList.remove('hidden');
+}
+
+function closePoseOptionsModal() {
+    document.getElementById('poseOptionsModal').classList.add('hidden');
+}
+
+async function savePoseOptions() {
+    const previous = JSON.stringify(poseTrainer.getNormalization());
+    poseTrainer.setNormalization({
+        normalize: document.getElementById('poseNormalizeCheck').checked,
+        dropZ: document.getElementById('poseDropZCheck').checked,
+        minVisibility: document.getElementById('poseVisibilityCheck').checked ? POSE_MIN_VISIBILITY : 0,
+        mirror: document.getElementById('poseMirrorCheck').checked,
+    });
+    closePoseOptionsModal();
+
+    // The number of people applies right away, no retraining needed
+    const maxPeople = +document.getElementById('posePeopleSelect').value;
+    if (currentModel && maxPeople !== poseTrainer.getMaxPeople()) {
+        await poseTrainer.setMaxPeople(maxPeople);
+        updateProjectMaxPeople(currentModel.id, maxPeople);
+        currentModel.maxPeople = maxPeople;
+        personOutputs = [];
+    }
+
+    const normalizationChanged = JSON.stringify(poseTrainer.getNormalization()) !== previous;
+    if (normalizationChanged && poseTrainer.isTrained() && !poseTrainer.isInstant()) showToast('Se aplicará al volver a entrenar', 'info');
+}
+
+// ============================================
+// MODAL: CAJA DEL OBJETO
+// ============================================
+
+// Sample whose box is being drawn: {classIndex, sampleIndex, image, box}
+let boxEditor = null;
+let boxDragStart = null; // [x, y] in fractions of the frame while dragging
+
+async function openBoxEditor(classIndex, sampleIndex) {
+    const image = new Image();
+    await new Promise(res => {
+        image.onload = res;
+        image.src = detectTrainer.getSampleImage(classIndex, sampleIndex);
+    });
+    boxEditor = { classIndex, sampleIndex, image, box: detectTrainer.getSampleBox(classIndex, sampleIndex) };
+    drawBoxEditor();
+    document.getElementById('boxEditorModal').classList.remove('hidden');
+}
+
+function drawBoxEditor() {
+    const canvas = document.getElementById('boxEditorCanvas');
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(boxEditor.image, 0, 0, canvas.width, canvas.height);
+    detectTrainer.drawBox(ctx, boxEditor.box, canvas.width, canvas.height);
+}
+
+function closeBoxEditor() {
+    document.getElementById('boxEditorModal').classList.add('hidden');
+    boxEditor = null;
+    boxDragStart = null;
+}
+
+/**
+ * Save the box and go on with the next sample of the class still without one
+ */
+async function saveBox() {
+    if (!boxEditor) return;
+    const { classIndex, sampleIndex, box } = boxEditor;
+    await detectTrainer.setSampleBox(classIndex, sampleIndex, box);
+    updateClassUI(classIndex);
+
+    const next = box && detectTrainer.getSamples(classIndex).find(s => !s.hasBox);
+    if (next) {
+        await openBoxEditor(classIndex, next.index);
+    } else {
+        closeBoxEditor();
+    }
+}
+
+function boxEditorPoint(e) {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return [(e.clientX - rect.left) / rect.width, (e.clientY - rect.top) / rect.height];
+}
+
+// ============================================
+// MODAL: AJUSTES DE ENVÍO
+// ============================================
+
+function getOutputSettings() {
+    return { ...DEFAULT_SMOOTHING, protocol: 1, ...projectOutputPolicy(currentModel?.outputSettings) };
+}
+
+/**
+ * True when the current project predicts a continuous value instead of classes
+ */
+function isRegressionModel() {
+    return !!currentModel?.regression;
+}
+
+/**
+ * Smoother for the current project. Majority voting has nothing to vote on
+ * with a single regression output, so those use the moving average instead.
+ */
+function createPredictionSmoother(settings) {
+    if (isRegressionModel() && settings.smoothing === 'majority') {
+        return createSmoother({ ...settings, smoothing: 'ema' });
+    }
+    return createSmoother(settings);
+}
+
+/**
+ * Output policy for the current project: classes, or a value for regression
+ */
+function createPredictionPolicy(settings) {
+    return isRegressionModel() ? createValuePolicy(settings) : createOutputPolicy(settings);
+}
+
+/**
+ * Rebuild the smoother and output policy from the current project's settings
+ */
+function applyOutputSettings() {
+    const settings = getOutputSettings();
+    predictionSmoother = createPredictionSmoother(settings);
+    outputPolicy = createPredictionPolicy(settings);
+    personOutputs = [];
+    setPreferredProtocol(settings.protocol);
+    setMessageTemplates(currentModel?.messageTemplates);
+}
+
+function openOutputSettingsModal() {
+    const settings = getOutputSettings();
+    document.getElementById('outputModeSelect').value = settings.mode;
+    document.getElementById('outputMaxRateInput').value = settings.maxRate;
+    document.getElementById('outputHysteresisInput').value = settings.hysteresis;
+    document.getElementById('outputMinDwellInput').value = settings.minDwell;
+    document.getElementById('outputSmoothingSelect').value = settings.smoothing;
+    document.getElementById('outputSmoothingWindowInput').value = settings.smoothingWindow;
+    document.getElementById('outputUnknownSelect').value = settings.unknown;
+    document.getElementById('outputUnknownLabelInput').value = settings.unknownLabel;
+    document.getElementById('outputProtocolSelect').value = String(settings.protocol);
+
+    const classNames = currentModel?.classNames || getTrainer().getClassNames();
+    document.getElementById('outputThresholdsList').innerHTML = classNames.map((name, i) => `
+        <label class="threshold-row">
+            <span>${escapeHtml(name)}</span>
+            <input type="number" class="input-text" data-ci="${i}" min="0" max="100" step="5" value="${settings.thresholds[name] ?? 0}">
+        </label>`).join('');
+
+    const templates = currentModel?.messageTemplates || {};
+    const templatesList = document.getElementById('outputTemplatesList');
+    templatesList.innerHTML = classNames.map((name, i) => `
+        <label class="threshold-row">
+            <span>${escapeHtml(name)}</span>
+            <input type="text" class="input-text input-template" data-ci="${i}" placeholder="{class}#{conf}">
+        </label>`).join('');
+    // Set via .value: escapeHtml does not escape quotes
+    templatesList.querySelectorAll('input').forEach(input => {
+        input.value = templates[classNames[+input.dataset.ci]] || '';
+    });
+
+    updateOutputSettingsVisibility();
+    document.getElementById('outputSettingsModal').classList.remove('hidden');
+}
+
+function updateOutputSettingsVisibility() {
+    const mode = document.getElementById('outputModeSelect').value;
+    document.getElementById('outputMaxRateGroup').style.display = mode === 'rate' ? '' : 'none';
+    const smoothing = document.getElementById('outputSmoothingSelect').value;
+    document.getElementById('outputSmoothingWindowGroup').style.display = smoothing === 'none' ? 'none' : '';
+    const unknown = document.getElementById('outputUnknownSelect').value;
+    document.getElementById('outputUnknownLabelGroup').style.display = unknown === 'send' ? '' : 'none';
+}
+
+function closeOutputSettingsModal() {
+    document.getElementById('outputSettingsModal').classList.add('hidden');
+}
+
+function readNumberInput(id, min, max, fallback) {
+    return clampNumber(document.getElementById(id).value, min, max, fallback);
+}
+
+function clampNumber(raw, min, max, fallback) {
+    const value = parseFloat(raw);
+    if (Number.isNaN(value)) return fallback;
+    return Math.min(max, Math.max(min, value));
+}
+
+function saveOutputSettings() {
+    if (!currentModel) return;
+    const defaults = DEFAULT_OUTPUT_POLICY;
+
+    const classNames = currentModel.classNames || getTrainer().getClassNames();
+    const thresholds = {};
+    document.querySelectorAll('#outputThresholdsList input').forEach(input => {
+        const value = clampNumber(input.value, 0, 100, 0);
+        if (value > 0) thresholds[classNames[+input.dataset.ci]] = value;
+    });
+
+    const settings = {
+        ...(currentModel.outputSettings || {}),
+        mode: document.getElementById('outputModeSelect').value,
+        maxRate: readNumberInput('outputMaxRateInput', 1, 30, defaults.maxRate),
+        hysteresis: readNumberInput('outputHysteresisInput', 0, 100, defaults.hysteresis),
+        minDwell: readNumberInput('outputMinDwellInput', 0, 5000, defaults.minDwell),
+        smoothing: document.getElementById('outputSmoothingSelect').value,
+        smoothingWindow: Math.round(readNumberInput('outputSmoothingWindowInput', 2, 30, DEFAULT_SMOOTHING.smoothingWindow)),
+        thresholds,
+        unknown: document.getElementById('outputUnknownSelect').value,
+        unknownLabel: document.getElementById('outputUnknownLabelInput').value.trim() || defaults.unknownLabel,
+        protocol: +document.getElementById('outputProtocolSelect').value,
+    };
+    const messageTemplates = {};
+    document.querySelectorAll('#outputTemplatesList input').forEach(input => {
+        const template = input.value.trim();
+        if (template) messageTemplates[classNames[+input.dataset.ci]] = template;
+    });
+
+    updateProjectOutputSettings(currentModel.id, settings);
+    updateProjectMessageTemplates(currentModel.id, messageTemplates);
+    currentModel.outputSettings = settings;
+    currentModel.messageTemplates = messageTemplates;
+    applyOutputSettings();
+    closeOutputSettingsModal();
+    showToast('Ajustes guardados', 'success');
+}
+
 // ============================================
 // UTILITIES
 // ============================================
@@ -1430,29 +2543,25 @@ document.getElementById('closeTypeModalBtn').addEventListener('click', () => {
     document.getElementById('projectTypeModal').classList.add('hidden');
 });
 
-document.getElementById('typeTrainBtn').addEventListener('click', () => {
-    pendingProjectType = 'image';
-    document.getElementById('projectTypeModal').classList.add('hidden');
-    document.getElementById('trainNameModal').classList.remove('hidden');
-    document.getElementById('trainProjectName').value = '';
-    document.getElementById('trainProjectName').focus();
-});
-
-document.getElementById('typeAudioTrainBtn').addEventListener('click', () => {
-    pendingProjectType = 'audio';
+function openTrainNameModal(projectType) {
+    pendingProjectType = projectType;
     document.getElementById('projectTypeModal').classList.add('hidden');
+    document.getElementById('trainPoseModeGroup').style.display = projectType === 'pose' ? '' : 'none';
+    document.getElementById('trainHandCountGroup').style.display = projectType === 'hand' ? '' : 'none';
+    document.getElementById('trainOutputGroup').style.display = ['image', 'pose'].includes(projectType) ? '' : 'none';
+    document.getElementById('trainOutput').value = 'classes';
     document.getElementById('trainNameModal').classList.remove('hidden');
     document.getElementById('trainProjectName').value = '';
     document.getElementById('trainProjectName').focus();
-});
+}
 
-document.getElementById('typePoseTrainBtn').addEventListener('click', () => {
-    pendingProjectType = 'pose';
-    document.getElementById('projectTypeModal').classList.add('hidden');
-    document.getElementById('trainNameModal').classList.remove('hidden');
-    document.getElementById('trainProjectName').value = '';
-    document.getElementById('trainProjectName').focus();
-});
+document.getElementById('typeTrainBtn').addEventListener('click', () => openTrainNameModal('image'));
+document.getElementById('typeAudioTrainBtn').addEventListener('click', () => openTrainNameModal('audio'));
+document.getElementById('typePoseTrainBtn').addEventListener('click', () => openTrainNameModal('pose'));
+document.getElementById('typeHandTrainBtn').addEventListener('click', () => openTrainNameModal('hand'));
+document.getElementById('typeFaceTrainBtn').addEventListener('click', () => openTrainNameModal('face'));
+document.getElementById('typeMotionTrainBtn').addEventListener('click', () => openTrainNameModal('motion'));
+document.getElementById('typeDetectTrainBtn').addEventListener('click', () => openTrainNameModal('detect'));
 
 // Train name modal
 document.getElementById('closeTrainNameBtn').addEventListener('click', () => {
@@ -1472,7 +2581,14 @@ document.getElementById('startTrainingBtn').addEventListener('click', async () =
 
     document.getElementById('trainNameModal').classList.add('hidden');
 
-    currentModel = addProject(name, pendingProjectType);
+    // Hands per sample, pose mode and regression fix the model, so they are chosen once per project
+    const extra = {};
+    if (pendingProjectType === 'hand') extra.handCount = +document.getElementById('trainHandCount').value;
+    if (pendingProjectType === 'pose') extra.poseMode = document.getElementById('trainPoseMode').value;
+    if (['image', 'pose'].includes(pendingProjectType) && document.getElementById('trainOutput').value === 'value') {
+        extra.regression = true;
+    }
+    currentModel = addProject(name, pendingProjectType, extra);
     renderModels();
     await openTrainingScreen(currentModel);
 });
@@ -1492,6 +2608,10 @@ document.getElementById('trainingBackBtn').addEventListener('click', () => {
     trainer.dispose();
     audioTrainer.dispose();
     poseTrainer.dispose();
+    handTrainer.dispose();
+    faceTrainer.dispose();
+    motionTrainer.dispose();
+    detectTrainer.dispose();
     document.getElementById('trainingClassesList').innerHTML = '';
     trainingFacingMode = 'user';
     renderModels();
@@ -1500,10 +2620,15 @@ document.getElementById('trainingBackBtn').addEventListener('click', () => {
 
 // Prediction screen
 document.getElementById('predictionBackBtn').addEventListener('click', () => {
+    closeDiagnosticsDrawer();
     stopPredictionLoop();
     audioTrainer.stopListening();
     audioTrainer.stopVisualizer();
     poseTrainer.dispose();
+    handTrainer.dispose();
+    faceTrainer.dispose();
+    motionTrainer.dispose();
+    detectTrainer.dispose();
     closeMakeCode('makecodeInlineFrame');
     disconnectMicrobit();
     predictionExpanded = false;
@@ -1513,6 +2638,7 @@ document.getElementById('predictionBackBtn').addEventListener('click', () => {
 });
 
 document.getElementById('predictionRetrainBtn').addEventListener('click', async () => {
+    closeDiagnosticsDrawer();
     await enterCaptureMode();
 });
 
@@ -1528,17 +2654,58 @@ document.getElementById('previewBackBtn').addEventListener('click', async () =>
     const projectType = currentModel?.projectType;
     if (projectType === 'audio') {
         await openAudioVisualizer();
-    } else if (projectType === 'pose') {
+    } else if (usesSkeleton(projectType)) {
         await openCaptureWebcamWithSkeleton();
+    } else if (projectType === 'motion') {
+        openMotionSensorView();
     } else {
         await openCaptureWebcam();
     }
 });
 
 document.getElementById('predictionFlipBtn').addEventListener('click', () => flipTrainingCamera());
+document.getElementById('poseOptionsBtn').addEventListener('click', openPoseOptionsModal);
+document.getElementById('closePoseOptionsBtn').addEventListener('click', closePoseOptionsModal);
+document.getElementById('cancelPoseOptionsBtn').addEventListener('click', closePoseOptionsModal);
+document.getElementById('savePoseOptionsBtn').addEventListener('click', savePoseOptions);
+document.getElementById('closeBoxEditorBtn').addEventListener('click', closeBoxEditor);
+document.getElementById('cancelBoxEditorBtn').addEventListener('click', closeBoxEditor);
+document.getElementById('saveBoxBtn').addEventListener('click', saveBox);
+document.getElementById('clearBoxBtn').addEventListener('click', () => {
+    if (!boxEditor) return;
+    boxEditor.box = null;
+    drawBoxEditor();
+});
+document.getElementById('boxEditorCanvas').addEventListener('pointerdown', e => {
+    if (!boxEditor) return;
+    boxDragStart = boxEditorPoint(e);
+    e.currentTarget.setPointerCapture(e.pointerId);
+});
+document.getElementById('boxEditorCanvas').addEventListener('pointermove', e => {
+    if (!boxDragStart) return;
+    const box = detectTrainer.boxFromCorners(...boxDragStart, ...boxEditorPoint(e));
+    if (box) {
+        boxEditor.box = box;
+        drawBoxEditor();
+    }
+});
+document.getElementById('boxEditorCanvas').addEventListener('pointerup', () => { boxDragStart = null; });
+document.getElementById('predictionSettingsBtn').addEventListener('click', openOutputSettingsModal);
+document.getElementById('predictionDiagnosticsBtn').addEventListener('click', () => {
+    if (diagnosticsInterval) closeDiagnosticsDrawer();
+    else openDiagnosticsDrawer();
+});
+document.getElementById('closeDiagnosticsBtn').addEventListener('click', closeDiagnosticsDrawer);
+document.getElementById('clearDiagnosticsBtn').addEventListener('click', clearDiagnosticsLog);
+document.getElementById('outputModeSelect').addEventListener('change', updateOutputSettingsVisibility);
+document.getElementById('outputSmoothingSelect').addEventListener('change', updateOutputSettingsVisibility);
+document.getElementById('outputUnknownSelect').addEventListener('change', updateOutputSettingsVisibility);
+document.getElementById('closeOutputSettingsBtn').addEventListener('click', closeOutputSettingsModal);
+document.getElementById('cancelOutputSettingsBtn').addEventListener('click', closeOutputSettingsModal);
+document.getElementById('saveOutputSettingsBtn').addEventListener('click', saveOutputSettings);
 document.getElementById('predictionExpandBtn').addEventListener('click', togglePredictionExpanded);
-document.getElementById('captureFlipBtn').addEventListener('click', () => { if (currentModel?.projectType !== 'audio') flipCaptureCamera(); });
-document.getElementById('previewFlipBtn').addEventListener('click', () => { if (currentModel?.projectType !== 'audio') flipPreviewCamera(); });
+document.getElementById('captureFlipBtn').addEventListener('click', () => { if (usesCamera(currentModel?.projectType)) flipCaptureCamera(); });
+document.getElementById('previewFlipBtn').addEventListener('click', () => { if (usesCamera(currentModel?.projectType)) flipPreviewCamera(); });
 
 document.getElementById('addClassBtn').addEventListener('click', () => {
     const t = getTrainer();
@@ -1549,6 +2716,30 @@ document.getElementById('addClassBtn').addEventListener('click', () => {
     if (cards.length) setActiveCard(cards[cards.length - 1]);
 });
 
+document.getElementById('instantCheck').addEventListener('change', (e) => {
+    getTrainer().setInstant(e.target.checked);
+    syncInstantMode();
+    syncTrainingOptionsPanel();
+    updateTrainButton();
+});
+
+document.getElementById('metricsBtn').addEventListener('click', openMetricsModal);
+document.getElementById('previewMetricsBtn').addEventListener('click', openMetricsModal);
+document.getElementById('closeMetricsBtn').addEventListener('click', () => {
+    document.getElementById('metricsModal').classList.add('hidden');
+});
+
+document.querySelectorAll('#advancedPanel [data-option]').forEach(input => {
+    input.addEventListener('change', saveTrainingOptionsPanel);
+});
+
+document.getElementById('resetTrainingOptionsBtn').addEventListener('click', () => {
+    if (!currentModel) return;
+    updateProjectTrainingOptions(currentModel.id, {});
+    currentModel.trainingOptions = {};
+    syncTrainingOptionsPanel();
+});
+
 document.getElementById('trainBtn').addEventListener('click', async () => {
     const btn = document.getElementById('trainBtn');
     const isAudio = currentModel?.projectType === 'audio';
@@ -1562,6 +2753,9 @@ document.getElementById('trainBtn').addEventListener('click', async () => {
 
     btn.disabled = true;
 
+    // Instant mode has nothing to fit, the samples are the model
+    const instant = isInstantModel();
+
     // Show training overlay
     const overlay = document.getElementById('trainingOverlay');
     const overlayPct = document.getElementById('trainingOverlayPct');
@@ -1569,19 +2763,45 @@ document.getElementById('trainBtn').addEventListener('click', async () => {
     overlayPct.className = 'training-overlay-pct';
     overlayPct.textContent = '0%';
     overlayLabel.textContent = 'Entrenando modelo...';
+    const charts = document.getElementById('trainingCharts');
+    charts.innerHTML = '';
     overlay.classList.remove('hidden');
 
     try {
         await t.saveSamples(currentModel.id);
-        await t.train((epoch, total) => {
+        const history = [];
+        let totalEpochs = 0;
+        const result = await t.train((epoch, total, logs) => {
             const pct = Math.round((epoch + 1) / total * 100);
             overlayPct.textContent = `${pct}%`;
-        });
+            totalEpochs = total;
+            if (logs) {
+                history.push(logs);
+                renderTrainingCharts(charts, history, total);
+            }
+        }, getTrainingOptions());
+
+        trainingReport = instant ? null : {
+            modelId: currentModel.id,
+            history,
+            totalEpochs,
+            classNames: t.getClassNames(),
+            regression: isRegressionModel(),
+            // Thumbnails are copied now: the sample indices change when samples are deleted
+            validation: result?.validation && {
+                ...result.validation,
+                misclassified: result.validation.misclassified.map(m => ({
+                    ...m,
+                    thumb: t.getSamples(m.classIndex)[m.sampleIndex]?.thumb
+                }))
+            },
+        };
+        syncMetricsButtons();
 
         // Show completion briefly
         overlayPct.classList.add('done');
         overlayPct.textContent = '✓';
-        overlayLabel.textContent = 'Modelo entrenado';
+        overlayLabel.textContent = instant ? 'Modelo listo' : 'Modelo entrenado';
         await new Promise(r => setTimeout(r, 600));
 
         const localModelInfo = await t.saveModel(currentModel.id);
@@ -1592,11 +2812,8 @@ document.getElementById('trainBtn').addEventListener('click', async () => {
         overlay.classList.add('hidden');
         overlayLabel.textContent = 'Entrenando modelo...';
 
-        // Reload samples so the training screen is ready when the user closes the modal
-        if (currentModel.projectType !== 'audio') {
-            await t.loadSamples(currentModel.id);
-            renderTrainingClasses();
-        }
+        // Samples stay in memory, so the training screen is ready when the user closes the modal
+        if (currentModel.projectType !== 'audio') renderTrainingClasses();
 
         await openPreviewModal();
 
@@ -1615,20 +2832,63 @@ document.getElementById('trainBtn').addEventListener('click', async () => {
 });
 
 
-// Prediction screen — bluetooth toggle
-document.getElementById('predictionConnectBtn').addEventListener('click', async () => {
-    const btn = document.getElementById('predictionConnectBtn');
-    if (isConnected()) {
-        disconnectMicrobit();
-    } else {
-        try {
-            await connectMicrobit();
-            btn.classList.add('connected');
-            btn.textContent = '❌ Desconectar';
-        } catch (error) {
-            showToast('Error al conectar', 'error');
-        }
+// Prediction screen — micro:bit connection toggle
+async function connectWithTransport(kind, options = {}) {
+    if (kind === 'virtual') {
+        options = { ...virtualBoardOptions(), ...options };
+        renderVirtualLeds(Array.from({ length: 5 }, () => new Array(5).fill(false)));
     }
+    try {
+        const connId = await connectMicrobit(kind, options);
+        const name = getConnections().find(c => c.id === connId)?.name;
+        setRouting(connId, currentModel?.deviceRouting?.[name] ?? null);
+        rememberConnectedDevice(connId);
+    } catch (error) {
+        showToast('Error al conectar', 'error');
+    }
+    renderConnectedDevices();
+}
+
+function rememberConnectedDevice(connId) {
+    const info = getConnectedDeviceInfo(connId);
+    if (!info || !currentModel) return;
+    updateProjectDevice(currentModel.id, info);
+    currentModel.lastDevice = info;
+}
+
+document.getElementById('predictionConnectBtn').addEventListener('click', () => {
+    // The virtual micro:bit is always available, so there is always a choice
+    const kinds = getAvailableTransports();
+    const hasVirtual = getConnections().some(c => c.kind === 'virtual');
+
+    const modal = document.getElementById('transportModal');
+    modal.querySelectorAll('[data-transport]').forEach(btn => {
+        const kind = btn.dataset.transport;
+        const available = kinds.includes(kind) && !(kind === 'virtual' && hasVirtual);
+        btn.style.display = available ? '' : 'none';
+    });
+    modal.classList.remove('hidden');
+});
+
+document.getElementById('virtualControlledMode').addEventListener('change', (e) => {
+    if (virtualBoard) virtualBoard.controlledMode = e.target.checked;
+});
+
+document.getElementById('predictionKnownDeviceBtn').addEventListener('click', async () => {
+    const device = currentModel?.lastDevice;
+    if (!device) return;
+    await connectWithTransport('ble', { deviceId: device.id });
+});
+
+document.getElementById('closeTransportModalBtn').addEventListener('click', () => {
+    document.getElementById('transportModal').classList.add('hidden');
+});
+
+document.querySelectorAll('#transportModal [data-transport]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+        document.getElementById('transportModal').classList.add('hidden');
+        await connectWithTransport(btn.dataset.transport);
+    });
 });
 
 // ============================================
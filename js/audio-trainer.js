@@ -6,6 +6,10 @@
  * speechCommands is a global loaded via <script> in index.html.
  */
 
+import { resolveTrainingOptions } from './training-options.js';
+import { splitRows, validationLogs, validationResult } from './training-metrics.js';
+import { idbPut, idbGet, idbDelete, saveHead, loadHead, removeHead } from './trainer-storage.js';
+
 // Base recognizer (pre-trained speech commands model)
 let baseRecognizer = null;
 
@@ -257,7 +261,22 @@ function stopContinuousRecording() {
 // TRAINING
 // ============================================
 
-async function train(onProgress) {
+/**
+ * Hyperparameters used when train() gets none. The transfer head is a
+ * single dense layer, so there are no hidden units to choose; the learning
+ * rate is the one of speech-commands' default SGD optimizer.
+ */
+function getDefaultTrainingOptions() {
+    return { epochs: 50, batchSize: 32, learningRate: 0.01, validationSplit: 0.15 };
+}
+
+/**
+ * @param {function} [onProgress] - (epoch, totalEpochs, logs) after each epoch
+ * @param {object} [options] - Partial hyperparameters (see training-options.js)
+ */
+async function train(onProgress, options) {
+    const opts = resolveTrainingOptions(options, getDefaultTrainingOptions());
+
     let counts = {};
     try { counts = transfer.countExamples(); } catch (e) {}
 
@@ -286,17 +305,62 @@ async function train(onProgress) {
         );
     }
 
-    const totalEpochs = 50;
-    await transfer.train({
-        epochs: totalEpochs,
-        callback: {
-            onEpochEnd: (epoch, logs) => {
-                if (onProgress) onProgress(epoch, totalEpochs, logs);
+    // speech-commands picks its validationSplit examples at random and
+    // never says which, so the validation samples are held out here instead:
+    // removed while training, scored after each epoch, restored at the end
+    const samples = [];
+    classNames.forEach((name, classIndex) => {
+        if (!counts[name]) return;
+        transfer.getExamples(name).forEach(({ uid, example }, sampleIndex) => {
+            samples.push({ uid, example, ref: { classIndex, sampleIndex } });
+        });
+    });
+    const split = splitRows(samples, opts.validationSplit, { classOf: s => s.ref.classIndex });
+    const actual = split.validation.map(s => s.ref.classIndex);
+    // Normalized like the examples speech-commands trains on
+    const valData = new Float32Array(split.validation.flatMap(s =>
+        Array.from(speechCommands.utils.normalizeFloat32Array(s.example.spectrogram.data))));
+
+    // Class probabilities of each validation sample, in classNames order
+    // (the scores follow the alphabetical wordLabels())
+    const validationProbabilities = async () => {
+        const labels = transfer.wordLabels();
+        const { scores } = await transfer.recognize(valData);
+        const rows = split.validation.length === 1 ? [scores] : scores;
+        return rows.map(row => classNames.map(name => {
+            const w = labels.indexOf(name);
+            return w < 0 ? 0 : row[w];
+        }));
+    };
+
+    const totalEpochs = opts.epochs;
+    let validation = null;
+    split.validation.forEach(s => transfer.removeExample(s.uid));
+    try {
+        await transfer.train({
+            epochs: totalEpochs,
+            batchSize: opts.batchSize,
+            optimizer: tf.train.sgd(opts.learningRate),
+            callback: {
+                onEpochEnd: async (epoch, logs) => {
+                    if (split.validation.length) {
+                        logs = { ...logs, ...validationLogs(await validationProbabilities(), actual) };
+                    }
+                    if (onProgress) onProgress(epoch, totalEpochs, logs);
+                }
             }
+        });
+
+        if (split.validation.length) {
+            const predicted = (await validationProbabilities()).map(p => p.indexOf(Math.max(...p)));
+            validation = validationResult(predicted, split.validation.map(s => s.ref), classNames.length);
         }
-    });
+    } finally {
+        // Same order as before, so the thumbnails and sample indices still match
+        transfer.loadExamples(serialized, true);
+    }
 
-    return { epochs: totalEpochs };
+    return { epochs: totalEpochs, validation };
 }
 
 // ============================================
@@ -472,45 +536,6 @@ function stopVisualizer() {
 // PERSISTENCE
 // ============================================
 
-function idbOpen() {
-    return new Promise((resolve, reject) => {
-        const req = indexedDB.open('tm-microbit', 1);
-        req.onupgradeneeded = e => e.target.result.createObjectStore('samples');
-        req.onsuccess = e => resolve(e.target.result);
-        req.onerror = () => reject(req.error);
-    });
-}
-
-async function idbPut(key, value) {
-    const db = await idbOpen();
-    return new Promise((resolve, reject) => {
-        const tx = db.transaction('samples', 'readwrite');
-        tx.objectStore('samples').put(value, key);
-        tx.oncomplete = () => { db.close(); resolve(); };
-        tx.onerror = () => { db.close(); reject(tx.error); };
-    });
-}
-
-async function idbGet(key) {
-    const db = await idbOpen();
-    return new Promise((resolve, reject) => {
-        const tx = db.transaction('samples', 'readonly');
-        const req = tx.objectStore('samples').get(key);
-        req.onsuccess = () => { db.close(); resolve(req.result); };
-        req.onerror = () => { db.close(); reject(req.error); };
-    });
-}
-
-async function idbDelete(key) {
-    const db = await idbOpen();
-    return new Promise((resolve, reject) => {
-        const tx = db.transaction('samples', 'readwrite');
-        tx.objectStore('samples').delete(key);
-        tx.oncomplete = () => { db.close(); resolve(); };
-        tx.onerror = () => { db.close(); reject(tx.error); };
-    });
-}
-
 async function saveModel(projectId) {
     const storageKey = 'tm-audio-local-' + projectId;
     let saved = false;
@@ -530,7 +555,7 @@ async function saveModel(projectId) {
         const internalModel = transfer.model || transfer.transferModel;
         if (internalModel && typeof internalModel.save === 'function') {
             try {
-                await internalModel.save('indexeddb://' + storageKey);
+                await saveHead(internalModel, storageKey);
                 saved = true;
             } catch (e) {
                 console.warn('model.save failed:', e);
@@ -561,7 +586,7 @@ async function loadSavedModel(localModelInfo) {
     }
 
     // Fall back: load TF.js model and inject into transfer recognizer
-    const loadedModel = await tf.loadLayersModel('indexeddb://' + localModelInfo.storageKey);
+    const loadedModel = await loadHead(localModelInfo.storageKey);
 
     let injected = false;
     for (const prop of ['model', 'transferModel']) {
@@ -620,11 +645,7 @@ async function loadSamples(projectId) {
 }
 
 async function deleteModel(storageKey) {
-    try {
-        await tf.io.removeModel('indexeddb://' + storageKey);
-    } catch (e) {
-        console.warn('Could not remove audio model:', e);
-    }
+    await removeHead(storageKey);
 }
 
 async function deleteSamplesDB(projectId) {
@@ -669,7 +690,7 @@ export {
     getSamples, deleteSample,
     recordSample, startContinuousRecording, stopContinuousRecording,
     getIsRecording,
-    train,
+    getDefaultTrainingOptions, train,
     startListening, stopListening, isListening,
     startVisualizer, stopVisualizer,
     saveModel, loadSavedModel, deleteModel,
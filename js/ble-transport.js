@@ -0,0 +1,242 @@
+/**
+ * ble-transport.js
+ * micro:bit UART over Web Bluetooth.
+ * Implements the transport interface driven by bluetooth.js:
+ * connect / send / disconnect / onMessage / onDisconnect / onStatusChange.
+ * Unexpected disconnections are retried with exponential backoff.
+ */
+
+const UART_SERVICE_UUID = '6e400001-b5a3-f393-e0a9-e50e24dcca9e';
+const UART_TX_CHARACTERISTIC_UUID = '6e400003-b5a3-f393-e0a9-e50e24dcca9e';
+// micro:bit → app (indicate). Named from the app's side, like TX above.
+const UART_RX_CHARACTERISTIC_UUID = '6e400002-b5a3-f393-e0a9-e50e24dcca9e';
+
+// Reconnection after an unexpected gattserverdisconnected
+// (e.g. a student walking out of range)
+const RECONNECT_MAX_ATTEMPTS = 6;
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 16000;
+
+/**
+ * Exponential backoff delay before reconnection attempt `attempt` (0-based).
+ * @param {number} attempt
+ * @returns {number} Delay in ms: 1s, 2s, 4s… capped at RECONNECT_MAX_DELAY
+ */
+export function reconnectDelay(attempt) {
+    return Math.min(RECONNECT_BASE_DELAY * 2 ** attempt, RECONNECT_MAX_DELAY);
+}
+
+export class BleTransport {
+    static isSupported() {
+        return typeof navigator !== 'undefined' && !!navigator.bluetooth;
+    }
+
+    /**
+     * Look up a previously paired micro:bit without opening the chooser.
+     * Needs navigator.bluetooth.getDevices(), not available in every browser.
+     * @param {string} deviceId - BluetoothDevice.id saved from an earlier connection
+     * @returns {Promise<BluetoothDevice|null>}
+     */
+    static async findKnownDevice(deviceId) {
+        if (!BleTransport.isSupported() || typeof navigator.bluetooth.getDevices !== 'function') return null;
+        try {
+            const devices = await navigator.bluetooth.getDevices();
+            return devices.find(d => d.id === deviceId) || null;
+        } catch (e) {
+            console.warn('⚠️ getDevices failed:', e);
+            return null;
+        }
+    }
+
+    constructor() {
+        this.kind = 'ble';
+        this.device = null;
+
+        this._tx = null;
+        this._rx = null;
+        this._decoder = new TextDecoder();
+        this._messageHandler = null;
+        this._disconnectHandler = null;
+        this._statusHandler = null;
+
+        this._closing = false;
+        this._reconnectTimeoutId = null;
+
+        this._onRxValueChanged = this._onRxValueChanged.bind(this);
+        this._onGattDisconnected = this._onGattDisconnected.bind(this);
+    }
+
+    get name() {
+        return this.device?.name || 'micro:bit';
+    }
+
+    /**
+     * {id, name} to remember this micro:bit for the next session
+     */
+    get deviceInfo() {
+        return this.device ? { id: this.device.id, name: this.device.name } : null;
+    }
+
+    /**
+     * Connect to the UART service.
+     * @param {object} [options]
+     * @param {string} [options.deviceId] - Reconnect to a known micro:bit; falls back to the chooser
+     */
+    async connect({ deviceId } = {}) {
+        if (deviceId) {
+            this.device = await BleTransport.findKnownDevice(deviceId);
+        }
+        if (!this.device) {
+            this.device = await navigator.bluetooth.requestDevice({
+                filters: [{ namePrefix: 'BBC micro:bit' }],
+                optionalServices: [UART_SERVICE_UUID]
+            });
+        }
+
+        await this._setupGatt();
+        this.device.addEventListener('gattserverdisconnected', this._onGattDisconnected);
+    }
+
+    /**
+     * Connect GATT and discover the TX/RX characteristics.
+     * Runs on the first connection and again on every reconnection.
+     */
+    async _setupGatt() {
+        const server = await this.device.gatt.connect();
+        const uartService = await server.getPrimaryService(UART_SERVICE_UUID);
+        const tx = await uartService.getCharacteristic(UART_TX_CHARACTERISTIC_UUID);
+        const rx = await uartService.getCharacteristic(UART_RX_CHARACTERISTIC_UUID);
+        rx.addEventListener('characteristicvaluechanged', this._onRxValueChanged);
+        await rx.startNotifications();
+        this._tx = tx;
+        this._rx = rx;
+    }
+
+    /**
+     * Write raw bytes (≤ 20) to the micro:bit
+     */
+    async send(bytes) {
+        if (!this._tx) return;
+        await this._tx.writeValueWithoutResponse(bytes);
+    }
+
+    disconnect() {
+        this._closing = true;
+        if (this.device && this.device.gatt.connected) {
+            // Fires gattserverdisconnected, which runs the cleanup
+            this.device.gatt.disconnect();
+        } else {
+            this._finishDisconnect();
+        }
+    }
+
+    /**
+     * Stop listening to the device without closing its GATT connection.
+     * Used when the same micro:bit is picked twice and another transport owns it.
+     */
+    detach() {
+        this._closing = true;
+        this._releaseCharacteristics();
+        if (this.device) {
+            this.device.removeEventListener('gattserverdisconnected', this._onGattDisconnected);
+        }
+    }
+
+    isConnected() {
+        return this._tx !== null && !!this.device?.gatt?.connected;
+    }
+
+    /**
+     * @param {function(string)} fn - Receives decoded text chunks (not split into lines)
+     */
+    onMessage(fn) {
+        this._messageHandler = fn;
+    }
+
+    /**
+     * Called once the link is gone for good (user disconnect or reconnection gave up)
+     */
+    onDisconnect(fn) {
+        this._disconnectHandler = fn;
+    }
+
+    /**
+     * @param {function(string)} fn - Receives 'reconnecting' or 'connected'
+     */
+    onStatusChange(fn) {
+        this._statusHandler = fn;
+    }
+
+    _onRxValueChanged(event) {
+        const chunk = this._decoder.decode(event.target.value, { stream: true });
+        if (this._messageHandler) this._messageHandler(chunk);
+    }
+
+    _onGattDisconnected() {
+        this._releaseCharacteristics();
+        if (this._closing) {
+            this._finishDisconnect();
+            return;
+        }
+
+        console.warn('⚠️ micro:bit link lost, reconnecting…');
+        if (this._statusHandler) this._statusHandler('reconnecting');
+        this._scheduleReconnect(0);
+    }
+
+    _scheduleReconnect(attempt) {
+        this._reconnectTimeoutId = setTimeout(() => {
+            this._reconnectTimeoutId = null;
+            this._tryReconnect(attempt);
+        }, reconnectDelay(attempt));
+    }
+
+    async _tryReconnect(attempt) {
+        if (this._closing) return;
+
+        try {
+            await this._setupGatt();
+        } catch (e) {
+            this._releaseCharacteristics();
+            if (this._closing) return;
+            if (attempt + 1 >= RECONNECT_MAX_ATTEMPTS) {
+                console.warn('⚠️ Reconnection failed, giving up:', e);
+                this._finishDisconnect();
+            } else {
+                this._scheduleReconnect(attempt + 1);
+            }
+            return;
+        }
+
+        // disconnect() was called while the attempt was in flight
+        if (this._closing) {
+            this.device.gatt.disconnect();
+            return;
+        }
+
+        console.log('✅ Reconnected to:', this.name);
+        if (this._statusHandler) this._statusHandler('connected');
+    }
+
+    _releaseCharacteristics() {
+        if (this._rx) {
+            this._rx.removeEventListener('characteristicvaluechanged', this._onRxValueChanged);
+        }
+        this._tx = null;
+        this._rx = null;
+    }
+
+    _finishDisconnect() {
+        if (this._reconnectTimeoutId) {
+            clearTimeout(this._reconnectTimeoutId);
+            this._reconnectTimeoutId = null;
+        }
+        this._releaseCharacteristics();
+        if (this.device) {
+            this.device.removeEventListener('gattserverdisconnected', this._onGattDisconnected);
+        }
+        const handler = this._disconnectHandler;
+        this._disconnectHandler = null;
+        if (handler) handler();
+    }
+}
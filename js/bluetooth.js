@@ -1,89 +1,310 @@
 /**
  * bluetooth.js
- * Simplified Bluetooth - Maximum flow only
+ * micro:bit links: UART message protocol on top of pluggable transports
+ * (Web Bluetooth, WebSerial or a simulated board). The module name is kept
+ * for history; the transport specifics live in ble-transport.js,
+ * serial-transport.js and virtual-transport.js.
+ *
+ * Several micro:bits can be connected at once. Each connection has its
+ * own routing (which classes it receives), keep-alive and controlled-mode state.
+ *
+ * Protocols:
+ *  - v1 (default): "className#confidence\n", one packet of ≤ 20 bytes
+ *  - v2 (opt-in):  "#index:p0,p1,…\n", class index plus every probability,
+ *                  chunked across 20-byte packets. Negotiated per connection:
+ *                  the app sends "V2?" and switches once the micro:bit replies "V2".
+ *  - Templates:    classes with a message template send the filled-in template
+ *                  instead (e.g. "MOTOR:1,1"), on any protocol, for programs
+ *                  that do not use the iaMachine extension.
+ *
+ * Writes to each micro:bit go through a serialized queue (createWriteQueue):
+ * BLE rejects a write while another is in progress, and the prediction loop,
+ * keep-alive and handshake all write to the same characteristic.
  */
 
-let microbitDevice = null;
-let uartService = null;
-let txCharacteristic = null;
-let keepAliveInterval = null;
+import { BleTransport } from './ble-transport.js';
+import { SerialTransport } from './serial-transport.js';
+import { VirtualTransport } from './virtual-transport.js';
+
+const TRANSPORTS = {
+    ble: BleTransport,
+    serial: SerialTransport,
+    virtual: VirtualTransport,
+};
+
+// id → connection:
+// {id, transport, status: 'connected'|'reconnecting', classes: string[]|null (null = all),
+//  queue, rxPending, protocol: 1|2, controlledMode, awaitingAck, ackTimeoutId, heldPredictions,
+//  keepAliveInterval, connectedAt, lastPredictionSentAt}
+//
+// "Modo controlado": the micro:bit replies OK after each handler runs.
+// It is detected from the first OK received and dropped again if an
+// ack does not arrive within ACK_TIMEOUT.
+const connections = new Map();
+let nextConnectionId = 1;
+
 let disconnectCallback = null;
+let statusCallback = null;
+let linkEventCallback = null;
 
+// Protocol version the app asks for; v1 boards never answer the handshake
+let preferredProtocol = 1;
+
+// className → message template, see formatTemplateMessage
+let messageTemplates = {};
+
+/**
+ * @param {function(number)} fn - Receives the id of the connection that closed
+ */
 function setDisconnectCallback(fn) {
     disconnectCallback = fn;
 }
 
-const UART_SERVICE_UUID = '6e400001-b5a3-f393-e0a9-e50e24dcca9e';
-const UART_TX_CHARACTERISTIC_UUID = '6e400003-b5a3-f393-e0a9-e50e24dcca9e';
+/**
+ * @param {function(number, string)} fn - Receives the connection id and 'reconnecting' or 'connected'
+ */
+function setStatusCallback(fn) {
+    statusCallback = fn;
+}
+
+/**
+ * Receive every frame written to or read from a micro:bit, for diagnostics.
+ * Events: {connId, name, type, time, text?, latency?} where type is
+ *  'tx' (written), 'drop' (dropped by the queue), 'fail' (write error),
+ *  'rx' (line received) or 'ack' (OK with the round-trip latency in ms)
+ * @param {function(object)|null} fn
+ */
+function setLinkEventCallback(fn) {
+    linkEventCallback = fn;
+}
+
+function emitLinkEvent(conn, type, detail = {}) {
+    if (linkEventCallback) {
+        linkEventCallback({ connId: conn.id, name: conn.transport.name, type, time: Date.now(), ...detail });
+    }
+}
+
 const KEEP_ALIVE_INTERVAL = 120000; // 2 minutes
+const ACK_TIMEOUT = 3000;
+
+const UART_PACKET_SIZE = 20;
+const WRITE_QUEUE_SIZE = 8;
+const HANDSHAKE_V2 = 'V2?\n';
+const HANDSHAKE_V2_REPLY = 'V2';
+
+/**
+ * Transport kinds usable in this browser, e.g. ['ble', 'serial', 'virtual']
+ */
+function getAvailableTransports() {
+    return Object.keys(TRANSPORTS).filter(kind => TRANSPORTS[kind].isSupported());
+}
 
 /**
- * Connect to micro:bit
+ * Check if a micro:bit paired in an earlier session can be reconnected without the chooser
+ * @param {string} deviceId
  */
-async function connectMicrobit() {
+async function isKnownDeviceAvailable(deviceId) {
+    return (await BleTransport.findKnownDevice(deviceId)) !== null;
+}
+
+/**
+ * Connect to a micro:bit, in addition to any already connected
+ * @param {string} [kind] - Transport kind: 'ble' (default), 'serial' or 'virtual'
+ * @param {object} [options] - Passed to the transport, e.g. {deviceId} for BLE
+ * @returns {Promise<number>} Connection id
+ */
+async function connectMicrobit(kind = 'ble', options = {}) {
+    const Transport = TRANSPORTS[kind];
+    if (!Transport) throw new Error(`Unknown transport: ${kind}`);
+
     try {
-        microbitDevice = await navigator.bluetooth.requestDevice({
-            filters: [{ namePrefix: 'BBC micro:bit' }],
-            optionalServices: [UART_SERVICE_UUID]
+        const transport = new Transport();
+        const conn = {
+            id: nextConnectionId++,
+            transport,
+            queue: null,
+            status: 'connected',
+            classes: null,
+            rxPending: '',
+            protocol: 1,
+            controlledMode: false,
+            awaitingAck: false,
+            ackTimeoutId: null,
+            heldPredictions: new Map(), // person (0 = single) → latest {className, confidence, frame} held back while awaiting an ack
+            keepAliveInterval: null,
+            connectedAt: Date.now(),
+            lastPredictionSentAt: null, // for the OK round-trip latency
+        };
+        conn.queue = createWriteQueue(bytes => transport.send(bytes), {
+            onResult: (result, packets, priority) => onWriteResult(conn, result, packets, priority),
+        });
+        const t = conn.transport;
+        t.onMessage(chunk => onTransportMessage(conn, chunk));
+        t.onDisconnect(() => {
+            if (connections.get(conn.id) === conn) onDisconnected(conn);
         });
+        t.onStatusChange(status => {
+            if (connections.get(conn.id) === conn) onStatusChange(conn, status);
+        });
+        await t.connect(options);
+
+        // The same board picked twice: keep the existing connection
+        const info = t.deviceInfo;
+        const duplicate = info && [...connections.values()].find(c => c.transport.deviceInfo?.id === info.id);
+        if (duplicate) {
+            t.detach();
+            console.log('Already connected to:', t.name);
+            return duplicate.id;
+        }
+
+        connections.set(conn.id, conn);
+        console.log('✅ Connected to:', t.name);
+
+        startKeepAlive(conn);
+        if (preferredProtocol === 2) sendHandshake(conn);
 
-        const server = await microbitDevice.gatt.connect();
-        uartService = await server.getPrimaryService(UART_SERVICE_UUID);
-        txCharacteristic = await uartService.getCharacteristic(UART_TX_CHARACTERISTIC_UUID);
-        
-        console.log('✅ Connected to:', microbitDevice.name);
-        
-        startKeepAlive();
-        microbitDevice.addEventListener('gattserverdisconnected', onDisconnected);
-        
-        return true;
+        return conn.id;
     } catch (error) {
-        console.error('❌ Bluetooth error:', error);
+        console.error('❌ Connection error:', error);
         throw error;
     }
 }
 
 /**
- * Disconnect from micro:bit
+ * Disconnect one micro:bit, or all of them when no id is given
+ * @param {number} [id]
  */
-function disconnectMicrobit() {
-    if (microbitDevice && microbitDevice.gatt.connected) {
-        microbitDevice.gatt.disconnect();
+function disconnectMicrobit(id) {
+    const targets = id === undefined ? [...connections.values()] : [connections.get(id)].filter(Boolean);
+    targets.forEach(conn => {
+        onDisconnected(conn);
+        conn.transport.disconnect();
+    });
+}
+
+/**
+ * Handle a transport losing the link and getting it back.
+ * While reconnecting nothing is sent; on success the keep-alive restarts.
+ */
+function onStatusChange(conn, status) {
+    conn.status = status;
+    conn.rxPending = '';
+    conn.queue.clear();
+    conn.protocol = 1;
+    resetControlledMode(conn);
+    if (status === 'reconnecting') {
+        stopKeepAlive(conn);
+    } else {
+        conn.connectedAt = Date.now();
+        startKeepAlive(conn);
+        // The board may have been reset: negotiate again
+        if (preferredProtocol === 2) sendHandshake(conn);
     }
-    onDisconnected();
+    if (statusCallback) statusCallback(conn.id, status);
 }
 
 /**
  * Handle disconnection
  */
-function onDisconnected() {
-    uartService = null;
-    txCharacteristic = null;
-    microbitDevice = null;
-    stopKeepAlive();
-    if (disconnectCallback) disconnectCallback();
-    console.log('Disconnected');
+function onDisconnected(conn) {
+    connections.delete(conn.id);
+    conn.queue.clear();
+    resetControlledMode(conn);
+    stopKeepAlive(conn);
+    if (disconnectCallback) disconnectCallback(conn.id);
+    console.log('Disconnected:', conn.transport.name);
+}
+
+/**
+ * Choose the UART protocol for current and future connections.
+ * v2 is only used on boards that answer the handshake; the rest stay on v1.
+ * @param {number} version - 1 or 2
+ */
+function setPreferredProtocol(version) {
+    preferredProtocol = version === 2 ? 2 : 1;
+    connections.forEach(conn => {
+        if (preferredProtocol === 2) {
+            if (conn.protocol !== 2 && conn.status === 'connected') sendHandshake(conn);
+        } else {
+            conn.protocol = 1;
+        }
+    });
+}
+
+/**
+ * Replace the class → message template table of the current project
+ * @param {Object<string, string>} templates - Classes without a template use the protocol format
+ */
+function setMessageTemplates(templates) {
+    messageTemplates = { ...(templates || {}) };
+}
+
+function sendHandshake(conn) {
+    conn.queue.enqueue([new TextEncoder().encode(HANDSHAKE_V2)], 'control');
+}
+
+/**
+ * Connected micro:bits, for the prediction screen device list
+ * @returns {{id: number, name: string, kind: string, status: string, classes: string[]|null, protocol: number,
+ *            controlledMode: boolean, connectedAt: number,
+ *            stats: {sent: number, dropped: number, failed: number, queued: number}}[]}
+ */
+function getConnections() {
+    return [...connections.values()].map(conn => ({
+        id: conn.id,
+        name: conn.transport.name,
+        kind: conn.transport.kind,
+        status: conn.status,
+        classes: conn.classes ? [...conn.classes] : null,
+        protocol: conn.protocol,
+        controlledMode: conn.controlledMode,
+        connectedAt: conn.connectedAt,
+        stats: conn.queue.stats(),
+    }));
+}
+
+/**
+ * Choose which classes a micro:bit receives
+ * @param {number} id - Connection id
+ * @param {string[]|null} classes - Class names, or null to receive every class
+ */
+function setRouting(id, classes) {
+    const conn = connections.get(id);
+    if (conn) conn.classes = classes ? [...classes] : null;
+}
+
+/**
+ * Check if a prediction for a class goes to a micro:bit with the given routing
+ * @param {string[]|null} classes - Routing of the connection (null = all classes)
+ * @param {string} className
+ */
+function routesClass(classes, className) {
+    return classes === null || classes.includes(className);
 }
 
 /**
  * Format a prediction result as a BLE UART message.
- * Protocol: "className#confidence\n", max 20 bytes UTF-8.
+ * Protocol: "className#confidence\n", max 20 bytes UTF-8; with an object
+ * box, "className#confidence@x,y,size\n".
  * If the encoded message exceeds 20 bytes, the class name is
- * truncated at a valid UTF-8 boundary so the total fits.
+ * truncated at a valid UTF-8 boundary so the total fits. A message with
+ * a box is never truncated (the box alone takes up to 16 bytes): send it
+ * with chunkUartFrame.
  *
  * @param {string} className - The predicted class name
  * @param {number} confidence - Confidence percentage (0-100)
- * @returns {Uint8Array} Encoded message, guaranteed ≤ 20 bytes
+ * @param {{x: number, y: number, size: number}} [box] - Object center and size (0-100)
+ * @returns {Uint8Array} Encoded message, ≤ 20 bytes without a box
  */
-function formatUartMessage(className, confidence) {
-    const suffix = `#${Math.round(confidence)}\n`;
+function formatUartMessage(className, confidence, box) {
+    const suffix = `#${Math.round(confidence)}${formatBox(box)}\n`;
     const encoder = new TextEncoder();
     const suffixBytes = encoder.encode(suffix);
     const nameBytes = encoder.encode(className);
 
     const totalLength = nameBytes.length + suffixBytes.length;
 
-    if (totalLength <= 20) {
+    if (totalLength <= 20 || box) {
         // Fast path: fits as-is
         const result = new Uint8Array(totalLength);
         result.set(nameBytes, 0);
@@ -111,49 +332,391 @@ function formatUartMessage(className, confidence) {
 }
 
 /**
- * Send data to micro:bit
+ * Format a prediction as a protocol v2 frame.
+ * Protocol: "#index:p0,p1,…\n" with every probability as an integer
+ * percentage in class order. index is -1 when no class is reported
+ * (e.g. below its confidence threshold). No size limit: send it with
+ * chunkUartFrame. With an object box, "#index:p0,p1,…@x,y,size\n".
+ *
+ * @param {number} classIndex - Index of the reported class, or -1
+ * @param {number[]} probabilities - Confidence percentages (0-100), one per class
+ * @param {string} [prefix] - Text before the frame, e.g. personPrefix()
+ * @param {{x: number, y: number, size: number}} [box] - Object center and size (0-100)
+ * @returns {Uint8Array} Encoded frame (ASCII)
  */
-async function sendToMicrobit(className, confidence) {
-    if (!txCharacteristic) return;
+function formatUartFrameV2(classIndex, probabilities, prefix = '', box) {
+    const values = probabilities.map(p => Math.min(100, Math.max(0, Math.round(p))));
+    return new TextEncoder().encode(`${prefix}#${classIndex}:${values.join(',')}${formatBox(box)}\n`);
+}
 
-    try {
-        const data = formatUartMessage(className, confidence);
-        await txCharacteristic.writeValueWithoutResponse(data);
-    } catch (error) {
-        console.error('❌ Send error:', error);
+/**
+ * Object box suffix: "@x,y,size", empty without a box.
+ *
+ * @param {{x: number, y: number, size: number}} [box] - Percentages (0-100)
+ * @returns {string}
+ */
+function formatBox(box) {
+    return box ? `@${box.x},${box.y},${box.size}` : '';
+}
+
+/**
+ * Message prefix identifying a tracked person: "P1:", "P2:", …
+ * Empty for 0 (a single person, messages unchanged).
+ *
+ * @param {number} person - 1-based person index, or 0
+ * @returns {string}
+ */
+function personPrefix(person) {
+    return person > 0 ? `P${person}:` : '';
+}
+
+/**
+ * Fill in a per-class message template.
+ * Placeholders: {class} class name, {conf} confidence (integer 0-100),
+ * {index} class index (-1 for unknown), {x} {y} {size} object box
+ * (0-100, -1 without a box). A newline is appended so the
+ * micro:bit can read it as a line; long messages go through chunkUartFrame.
+ *
+ * @param {string} template - e.g. "MOTOR:1,1" or "{class}={conf}"
+ * @param {string} className
+ * @param {number} confidence - Confidence percentage (0-100)
+ * @param {number} [index] - Class index
+ * @param {{x: number, y: number, size: number}} [box] - Object center and size (0-100)
+ * @returns {Uint8Array} Encoded message (UTF-8)
+ */
+function formatTemplateMessage(template, className, confidence, index = -1, box = null) {
+    const values = {
+        class: className, conf: Math.round(confidence), index,
+        x: box?.x ?? -1, y: box?.y ?? -1, size: box?.size ?? -1,
+    };
+    const text = template.replace(/\{(class|conf|index|x|y|size)\}/g, (_, key) => String(values[key]));
+    return new TextEncoder().encode(`${text}\n`);
+}
+
+/**
+ * Split an encoded frame into UART packets.
+ * The micro:bit reassembles them by reading up to the newline.
+ *
+ * @param {Uint8Array} bytes - Encoded frame
+ * @param {number} [size] - Packet size in bytes (20 for BLE UART)
+ * @returns {Uint8Array[]} Packets in sending order, each ≤ size bytes
+ */
+function chunkUartFrame(bytes, size = UART_PACKET_SIZE) {
+    const packets = [];
+    for (let i = 0; i < bytes.length; i += size) {
+        packets.push(bytes.slice(i, i + size));
+    }
+    return packets;
+}
+
+/**
+ * Serialized write queue for one micro:bit.
+ *
+ * Each message (one or more packets) is written whole, one packet at a time,
+ * awaiting every write. Two priorities:
+ *  - 'control' (handshake, keep-alive): queued ahead of predictions, never replaced
+ *  - 'prediction': latest wins, a newer prediction replaces the one still queued
+ *    with the same key (e.g. the same tracked person)
+ * The queue holds at most `maxSize` messages; when full, the oldest queued
+ * prediction is dropped, or the incoming message if there is none.
+ *
+ * @param {function(Uint8Array): Promise} send - Writes one packet
+ * @param {object} [options]
+ * @param {number} [options.maxSize]
+ * @param {function(string, Uint8Array[], string)} [options.onResult] - Called with
+ *        'sent' | 'dropped' | 'failed', the message packets and its priority
+ * @returns {{enqueue: function(Uint8Array[], string=, *=): Promise<boolean>, clear: function(),
+ *            stats: function(): {sent: number, dropped: number, failed: number, queued: number}}}
+ *          enqueue resolves true once written, false if dropped or the write failed
+ */
+function createWriteQueue(send, { maxSize = WRITE_QUEUE_SIZE, onResult = null } = {}) {
+    let pending = []; // {packets, priority, resolve}
+    let writing = false;
+    const counters = { sent: 0, dropped: 0, failed: 0 };
+
+    function finish(entry, result) {
+        counters[result]++;
+        if (onResult) onResult(result, entry.packets, entry.priority);
+        entry.resolve(result === 'sent');
+    }
+
+    function drop(entry) {
+        finish(entry, 'dropped');
+    }
+
+    function enqueue(packets, priority = 'prediction', key = 0) {
+        return new Promise(resolve => {
+            const entry = { packets, priority, key, resolve };
+
+            if (priority === 'prediction') {
+                pending = pending.filter(e => {
+                    if (e.priority !== 'prediction' || e.key !== key) return true;
+                    drop(e);
+                    return false;
+                });
+            }
+
+            if (pending.length >= maxSize) {
+                const oldest = pending.findIndex(e => e.priority === 'prediction');
+                if (oldest === -1) {
+                    drop(entry);
+                    return;
+                }
+                drop(pending.splice(oldest, 1)[0]);
+            }
+
+            if (priority === 'control') {
+                const firstPrediction = pending.findIndex(e => e.priority === 'prediction');
+                pending.splice(firstPrediction === -1 ? pending.length : firstPrediction, 0, entry);
+            } else {
+                pending.push(entry);
+            }
+            drain();
+        });
+    }
+
+    async function drain() {
+        if (writing) return;
+        writing = true;
+        while (pending.length > 0) {
+            const entry = pending.shift();
+            try {
+                for (const packet of entry.packets) {
+                    await send(packet);
+                }
+                finish(entry, 'sent');
+            } catch (error) {
+                console.error('❌ Send error:', error);
+                finish(entry, 'failed');
+            }
+        }
+        writing = false;
+    }
+
+    /**
+     * Drop every queued message (the one being written finishes)
+     */
+    function clear() {
+        const dropped = pending;
+        pending = [];
+        dropped.forEach(drop);
+    }
+
+    function stats() {
+        return { ...counters, queued: pending.length };
+    }
+
+    return { enqueue, clear, stats };
+}
+
+/**
+ * Split buffered UART text into complete lines.
+ * Incoming notifications may carry partial lines or several lines at once,
+ * so the unterminated tail is returned to be prepended to the next chunk.
+ *
+ * @param {string} pending - Unterminated text left over from previous chunks
+ * @param {string} chunk - Newly received text
+ * @returns {{lines: string[], pending: string}} Complete lines (trimmed, non-empty) and the new tail
+ */
+function splitUartLines(pending, chunk) {
+    const parts = (pending + chunk).split('\n');
+    const rest = parts.pop();
+    const lines = parts.map(l => l.replace(/\r$/, '').trim()).filter(l => l.length > 0);
+    return { lines, pending: rest };
+}
+
+/**
+ * Report a finished write to the diagnostics listener
+ */
+function onWriteResult(conn, result, packets, priority) {
+    if (result === 'sent' && priority === 'prediction') conn.lastPredictionSentAt = Date.now();
+    if (!linkEventCallback) return;
+    const decoder = new TextDecoder();
+    const text = packets.map(p => decoder.decode(p)).join('');
+    const type = { sent: 'tx', dropped: 'drop', failed: 'fail' }[result];
+    emitLinkEvent(conn, type, { text });
+}
+
+/**
+ * Handle text received from a micro:bit
+ */
+function onTransportMessage(conn, chunk) {
+    const { lines, pending } = splitUartLines(conn.rxPending, chunk);
+    conn.rxPending = pending;
+    lines.forEach(line => handleIncomingLine(conn, line));
+}
+
+function handleIncomingLine(conn, line) {
+    emitLinkEvent(conn, 'rx', { text: line });
+    if (line === 'OK') {
+        onAck(conn);
+        return;
+    }
+    if (line === HANDSHAKE_V2_REPLY) {
+        if (preferredProtocol === 2 && conn.protocol !== 2) {
+            conn.protocol = 2;
+            console.log('🤝 Protocol v2:', conn.transport.name);
+        }
+        return;
+    }
+    console.log(`📩 ${conn.transport.name}:`, line);
+}
+
+/**
+ * An OK from the micro:bit means its handler finished: release the
+ * prediction held back in the meantime, if any.
+ */
+function onAck(conn) {
+    if (conn.lastPredictionSentAt !== null) {
+        emitLinkEvent(conn, 'ack', { latency: Date.now() - conn.lastPredictionSentAt });
+        conn.lastPredictionSentAt = null;
+    }
+    if (!conn.controlledMode) console.log('🤝 Controlled mode detected:', conn.transport.name);
+    conn.controlledMode = true;
+    conn.awaitingAck = false;
+    clearAckTimeout(conn);
+    flushHeldPrediction(conn);
+}
+
+function onAckTimeout(conn) {
+    conn.ackTimeoutId = null;
+    console.warn('⚠️ No OK from micro:bit, leaving controlled mode:', conn.transport.name);
+    conn.controlledMode = false;
+    conn.awaitingAck = false;
+    flushHeldPrediction(conn);
+}
+
+function clearAckTimeout(conn) {
+    if (conn.ackTimeoutId) {
+        clearTimeout(conn.ackTimeoutId);
+        conn.ackTimeoutId = null;
+    }
+}
+
+function resetControlledMode(conn) {
+    clearAckTimeout(conn);
+    conn.controlledMode = false;
+    conn.awaitingAck = false;
+    conn.heldPredictions.clear();
+}
+
+/**
+ * Send held predictions, oldest person first: one if still in controlled
+ * mode (it waits for the next OK), all of them otherwise.
+ */
+function flushHeldPrediction(conn) {
+    for (const [person, held] of conn.heldPredictions) {
+        if (conn.controlledMode && conn.awaitingAck) return;
+        conn.heldPredictions.delete(person);
+        sendPrediction(conn, held.className, held.confidence, held.frame);
     }
 }
 
+/**
+ * Send a prediction to every connected micro:bit whose routing includes the class
+ * @param {string} className
+ * @param {number} confidence - Percentage (0-100)
+ * @param {{index: number, probabilities: number[], person?: number, box?: object}} [frame] - Class
+ *        index and every probability (0-100), used by micro:bits on protocol v2. With several
+ *        people tracked, `person` (1, 2, …) prefixes every message with "P<person>:".
+ *        In detection projects, `box` ({x, y, size}, 0-100) is appended as "@x,y,size".
+ *        Regression values come without probabilities and are sent as "name#value" on
+ *        either protocol.
+ */
+function sendToMicrobit(className, confidence, frame) {
+    connections.forEach(conn => {
+        if (conn.status !== 'connected') return;
+        if (!routesClass(conn.classes, className)) return;
+        sendPrediction(conn, className, confidence, frame);
+    });
+}
+
+/**
+ * Send a prediction to one micro:bit.
+ * In controlled mode only one prediction is in flight at a time: while
+ * waiting for the OK, newer predictions replace the held one (one held
+ * prediction per person).
+ */
+function sendPrediction(conn, className, confidence, frame) {
+    const person = frame?.person ?? 0;
+    if (conn.controlledMode && conn.awaitingAck) {
+        conn.heldPredictions.set(person, { className, confidence, frame });
+        return;
+    }
+
+    const prefix = personPrefix(person);
+    const template = messageTemplates[className];
+    let packets;
+    if (template) {
+        packets = chunkUartFrame(formatTemplateMessage(prefix + template, className, confidence, frame?.index, frame?.box));
+    } else if (conn.protocol === 2 && frame?.probabilities) {
+        packets = chunkUartFrame(formatUartFrameV2(frame.index, frame.probabilities, prefix, frame.box));
+    } else {
+        packets = chunkUartFrame(formatUartMessage(prefix + className, confidence, frame?.box));
+    }
+    if (conn.controlledMode) {
+        conn.awaitingAck = true;
+        clearAckTimeout(conn);
+        conn.ackTimeoutId = setTimeout(() => onAckTimeout(conn), ACK_TIMEOUT);
+    }
+    conn.queue.enqueue(packets, 'prediction', person);
+}
+
+/**
+ * Check if a micro:bit is acknowledging predictions (modo controlado)
+ * @param {number} [id] - Connection id; any connection when omitted
+ */
+function isControlledMode(id) {
+    if (id !== undefined) return !!connections.get(id)?.controlledMode;
+    return [...connections.values()].some(conn => conn.controlledMode);
+}
+
 /**
  * Check if connected
+ * @param {number} [id] - Connection id; any connection when omitted
  */
-function isConnected() {
-    return txCharacteristic !== null && microbitDevice?.gatt?.connected;
+function isConnected(id) {
+    if (id !== undefined) return !!connections.get(id)?.transport.isConnected();
+    return [...connections.values()].some(conn => conn.transport.isConnected());
+}
+
+/**
+ * {id, name} of a connected micro:bit, or null if it cannot be remembered
+ * @param {number} id - Connection id
+ */
+function getConnectedDeviceInfo(id) {
+    return connections.get(id)?.transport.deviceInfo ?? null;
 }
 
 /**
  * Keep-alive heartbeat
  */
-function startKeepAlive() {
-    stopKeepAlive();
-    console.log('💓 Keep-alive started');
-    
-    keepAliveInterval = setInterval(() => {
-        if (txCharacteristic && microbitDevice?.gatt?.connected) {
+function startKeepAlive(conn) {
+    stopKeepAlive(conn);
+    console.log('💓 Keep-alive started:', conn.transport.name);
+
+    conn.keepAliveInterval = setInterval(() => {
+        if (conn.transport.isConnected()) {
             const encoder = new TextEncoder();
-            txCharacteristic.writeValueWithoutResponse(encoder.encode('\n'))
-                .catch(err => console.warn('⚠️ Ping failed:', err));
+            conn.queue.enqueue([encoder.encode('\n')], 'control');
         } else {
-            stopKeepAlive();
+            stopKeepAlive(conn);
         }
     }, KEEP_ALIVE_INTERVAL);
 }
 
-function stopKeepAlive() {
-    if (keepAliveInterval) {
-        clearInterval(keepAliveInterval);
-        keepAliveInterval = null;
+function stopKeepAlive(conn) {
+    if (conn.keepAliveInterval) {
+        clearInterval(conn.keepAliveInterval);
+        conn.keepAliveInterval = null;
     }
 }
 
-export { connectMicrobit, disconnectMicrobit, sendToMicrobit, isConnected, setDisconnectCallback, formatUartMessage };
\ No newline at end of file
+export {
+    getAvailableTransports, isKnownDeviceAvailable,
+    connectMicrobit, disconnectMicrobit, sendToMicrobit,
+    getConnections, setRouting, getConnectedDeviceInfo, setPreferredProtocol, setMessageTemplates,
+    isConnected, isControlledMode, setDisconnectCallback, setStatusCallback, setLinkEventCallback,
+    formatUartMessage, formatUartFrameV2, formatTemplateMessage, personPrefix, chunkUartFrame, splitUartLines, routesClass,
+    createWriteQueue
+};
@@ -0,0 +1,508 @@
+/**
+ * detect-trainer.js
+ * Object detection module: MobileNet features (shared with image-trainer.js)
+ * + a small localizer head with two outputs, the class of the frame and
+ * the box of the object in it.
+ * Students draw the box on each captured frame. Classes with boxes are
+ * objects; a class without boxes (e.g. "Nada") teaches the frames with
+ * no object, and its samples do not count for the box.
+ */
+
+import {
+    initTrainer as initFeatureExtractor, getFeatureSize,
+    extractFeatures, captureFrame,
+    saveFeatureCache, loadSampleFeatures, deleteFeatureCache
+} from './image-trainer.js';
+import { shuffledIndices } from './training-metrics.js';
+import { idbPut, idbGet, idbDelete, saveHead, loadHead, removeHead } from './trainer-storage.js';
+
+// Smallest box side, as a fraction of the frame (a tap is not a box)
+const MIN_BOX_SIDE = 0.02;
+
+// Box target of samples without an object, skipped by the box loss
+const NO_BOX = [-1, -1, -1, -1];
+
+// Trainable localizer head: features → [class probabilities, box]
+let head = null;
+
+// Indices of the classes trained with boxes
+let boxClasses = [];
+
+// Classes and samples
+// Boxes are {x, y, w, h}: top-left corner and size, as fractions of the frame
+let classes = []; // [{name, samples: [{id, tensor, thumb, img224, box}], count}]
+
+// Capture
+let captureIntervalId = null;
+
+// Box of the last prediction, null when its class has no boxes
+let lastBox = null;
+
+// ============================================
+// INIT
+// ============================================
+
+async function initTrainer() {
+    await initFeatureExtractor();
+}
+
+// ============================================
+// CLASS MANAGEMENT
+// ============================================
+
+function addClass(name) {
+    classes.push({ name, samples: [], count: 0 });
+    return classes.length - 1;
+}
+
+function removeClass(index) {
+    classes[index].samples.forEach(s => s.tensor.dispose());
+    classes.splice(index, 1);
+}
+
+function renameClass(index, newName) {
+    classes[index].name = newName;
+}
+
+function clearSamples(index) {
+    classes[index].samples.forEach(s => s.tensor.dispose());
+    classes[index].samples = [];
+    classes[index].count = 0;
+}
+
+function getClasses() {
+    return classes.map(c => ({ name: c.name, count: c.count }));
+}
+
+function getClassNames() {
+    return classes.map(c => c.name);
+}
+
+function getTotalClasses() {
+    return classes.length;
+}
+
+// ============================================
+// BOXES
+// ============================================
+
+/**
+ * Box dragged between two corners, in fractions of the frame.
+ * @returns {{x: number, y: number, w: number, h: number}|null} null if too small
+ */
+function boxFromCorners(x0, y0, x1, y1) {
+    const clamp = v => Math.min(1, Math.max(0, v));
+    const left = clamp(Math.min(x0, x1)), right = clamp(Math.max(x0, x1));
+    const top = clamp(Math.min(y0, y1)), bottom = clamp(Math.max(y0, y1));
+    if (right - left < MIN_BOX_SIDE || bottom - top < MIN_BOX_SIDE) return null;
+    return { x: left, y: top, w: right - left, h: bottom - top };
+}
+
+/**
+ * Training target of a box: [center x, center y, width, height], or NO_BOX.
+ */
+function boxToTarget(box) {
+    if (!box) return NO_BOX;
+    return [box.x + box.w / 2, box.y + box.h / 2, box.w, box.h];
+}
+
+/**
+ * Box predicted by the head ([center x, center y, width, height]), kept inside the frame.
+ */
+function targetToBox([cx, cy, w, h]) {
+    const left = Math.max(0, cx - w / 2), top = Math.max(0, cy - h / 2);
+    return {
+        x: left,
+        y: top,
+        w: Math.min(1, cx + w / 2) - left,
+        h: Math.min(1, cy + h / 2) - top,
+    };
+}
+
+/**
+ * What the micro:bit receives: center and larger side, as integer
+ * percentages of the frame (x from the left, y from the top).
+ * @returns {{x: number, y: number, size: number}}
+ */
+function boxSummary(box) {
+    return {
+        x: Math.round((box.x + box.w / 2) * 100),
+        y: Math.round((box.y + box.h / 2) * 100),
+        size: Math.round(Math.max(box.w, box.h) * 100),
+    };
+}
+
+/**
+ * Draw a box on a canvas context.
+ * @param {boolean} flip - Mirror X coords to match a horizontally-flipped display.
+ */
+function drawBox(ctx, box, canvasWidth, canvasHeight, flip = false) {
+    if (!box) return;
+    const x = (flip ? 1 - box.x - box.w : box.x) * canvasWidth;
+    ctx.strokeStyle = '#00ff00';
+    ctx.lineWidth = Math.max(2, canvasWidth / 100);
+    ctx.strokeRect(x, box.y * canvasHeight, box.w * canvasWidth, box.h * canvasHeight);
+}
+
+/**
+ * 80x80 thumbnail of a stored frame, with its box drawn.
+ */
+async function renderThumb(img224, box) {
+    const img = new Image();
+    await new Promise(res => {
+        img.onload = res;
+        img.src = img224;
+    });
+    const thumbCanvas = document.createElement('canvas');
+    thumbCanvas.width = 80;
+    thumbCanvas.height = 80;
+    const ctx = thumbCanvas.getContext('2d');
+    ctx.drawImage(img, 0, 0, 80, 80);
+    drawBox(ctx, box, 80, 80);
+    return thumbCanvas.toDataURL('image/jpeg', 0.6);
+}
+
+// ============================================
+// CAPTURE
+// ============================================
+
+/**
+ * Capture one frame, still without a box.
+ */
+function captureOne(classIndex, webcamCanvas) {
+    const s = captureFrame(webcamCanvas);
+    classes[classIndex].samples.push({ ...s, box: null });
+    classes[classIndex].count++;
+}
+
+/**
+ * Start capturing frames continuously (~5fps).
+ */
+function startCapture(classIndex, webcamCanvas) {
+    stopCapture();
+
+    captureOne(classIndex, webcamCanvas);
+
+    captureIntervalId = setInterval(() => {
+        captureOne(classIndex, webcamCanvas);
+    }, 200);
+}
+
+function stopCapture() {
+    if (captureIntervalId) {
+        clearInterval(captureIntervalId);
+        captureIntervalId = null;
+    }
+}
+
+// ============================================
+// SAMPLE ACCESS
+// ============================================
+
+/**
+ * Returns [{index, thumb, hasBox}] for all samples of a class.
+ */
+function getSamples(classIndex) {
+    return classes[classIndex].samples.map((s, i) => ({ index: i, thumb: s.thumb, hasBox: !!s.box }));
+}
+
+function deleteSample(classIndex, sampleIndex) {
+    classes[classIndex].samples[sampleIndex].tensor.dispose();
+    classes[classIndex].samples.splice(sampleIndex, 1);
+    classes[classIndex].count--;
+}
+
+/**
+ * The 224x224 frame of a sample (data URL), to draw its box on.
+ */
+function getSampleImage(classIndex, sampleIndex) {
+    return classes[classIndex].samples[sampleIndex].img224;
+}
+
+function getSampleBox(classIndex, sampleIndex) {
+    const box = classes[classIndex].samples[sampleIndex].box;
+    return box ? { ...box } : null;
+}
+
+/**
+ * Set (or clear, with null) the box of a sample and redraw its thumbnail.
+ */
+async function setSampleBox(classIndex, sampleIndex, box) {
+    const sample = classes[classIndex].samples[sampleIndex];
+    sample.box = box ? { ...box } : null;
+    sample.thumb = await renderThumb(sample.img224, sample.box);
+}
+
+// ============================================
+// TRAINING
+// ============================================
+
+/**
+ * Squared error of the box, only for samples that have one.
+ */
+function boxLoss(yTrue, yPred) {
+    const hasBox = yTrue.slice([0, 0], [-1, 1]).greaterEqual(0).toFloat();
+    return yTrue.sub(yPred).square().mul(hasBox).sum(-1);
+}
+
+async function train(onProgress) {
+    if (classes.length < 2) {
+        throw new Error("Se necesitan al menos 2 clases");
+    }
+    for (const cls of classes) {
+        if (cls.count < 8) {
+            throw new Error(`La clase "${cls.name}" necesita al menos 8 muestras`);
+        }
+    }
+
+    // A class with some boxes is an object: every sample needs its box
+    const trainBoxClasses = [];
+    classes.forEach((cls, classIndex) => {
+        const missing = cls.samples.filter(s => !s.box).length;
+        if (missing === cls.samples.length) return;
+        if (missing > 0) {
+            throw new Error(`Falta dibujar la caja en ${missing} muestras de "${cls.name}"`);
+        }
+        trainBoxClasses.push(classIndex);
+    });
+    if (trainBoxClasses.length === 0) {
+        throw new Error("Dibujá la caja del objeto en las muestras de al menos una clase");
+    }
+
+    const allFeatures = [];
+    const allLabels = [];
+    const allBoxes = [];
+
+    classes.forEach((cls, classIndex) => {
+        cls.samples.forEach(s => {
+            allFeatures.push(s.tensor);
+            allLabels.push(classIndex);
+            allBoxes.push(boxToTarget(s.box));
+        });
+    });
+
+    // Shuffled, so the validation rows fit() takes from the end come from
+    // every class instead of only the last one (usually the box-less "Nada")
+    const order = shuffledIndices(allFeatures.length);
+    const xs = tf.stack(order.map(i => allFeatures[i]));
+    const ysClass = tf.oneHot(
+        tf.tensor1d(order.map(i => allLabels[i]), "int32"),
+        classes.length
+    );
+    const ysBox = tf.tensor2d(order.map(i => allBoxes[i]));
+
+    const input = tf.input({ shape: [getFeatureSize()] });
+    const hidden = tf.layers.dense({
+        units: 100,
+        activation: "relu",
+        kernelRegularizer: tf.regularizers.l2({ l2: 0.001 })
+    }).apply(input);
+    const classOutput = tf.layers.dense({
+        units: classes.length,
+        activation: "softmax",
+        name: "class"
+    }).apply(hidden);
+    const boxOutput = tf.layers.dense({
+        units: 4,
+        activation: "sigmoid",
+        name: "box"
+    }).apply(hidden);
+    const newHead = tf.model({ inputs: input, outputs: [classOutput, boxOutput] });
+
+    newHead.compile({
+        optimizer: tf.train.adam(0.0005),
+        loss: ["categoricalCrossentropy", boxLoss],
+        metrics: { class: "accuracy" }
+    });
+
+    const totalEpochs = 50;
+    const history = await newHead.fit(xs, [ysClass, ysBox], {
+        epochs: totalEpochs,
+        batchSize: 16,
+        shuffle: true,
+        validationSplit: 0.15,
+        callbacks: {
+            onEpochEnd: (epoch, logs) => {
+                // Same log names as the classifiers
+                if (onProgress) onProgress(epoch, totalEpochs, {
+                    loss: logs.loss,
+                    acc: logs.class_acc,
+                    val_loss: logs.val_loss,
+                    val_acc: logs.val_class_acc
+                });
+            }
+        }
+    });
+
+    xs.dispose();
+    ysClass.dispose();
+    ysBox.dispose();
+
+    if (head) head.dispose();
+    head = newHead;
+    boxClasses = trainBoxClasses;
+
+    // Samples stay in memory for the next training, as in image-trainer.js
+
+    const h = history.history;
+    const finalAcc = h.val_class_acc
+        ? h.val_class_acc[h.val_class_acc.length - 1]
+        : h.class_acc[h.class_acc.length - 1];
+    const finalLoss = h.loss[h.loss.length - 1];
+
+    return {
+        accuracy: finalAcc,
+        loss: finalLoss,
+        epochs: totalEpochs
+    };
+}
+
+// ============================================
+// PREDICTION
+// ============================================
+
+/**
+ * Predict the class of a frame and locate its object (see getLastBox).
+ * Returns [{className, probability}].
+ */
+async function predict(canvas) {
+    if (!head) return [];
+
+    const features = extractFeatures(canvas);
+    const [classOutput, boxOutput] = tf.tidy(() => head.predict(features.expandDims(0)));
+    features.dispose();
+
+    const probs = await classOutput.data();
+    const target = await boxOutput.data();
+    classOutput.dispose();
+    boxOutput.dispose();
+
+    let top = 0;
+    probs.forEach((p, i) => { if (p > probs[top]) top = i; });
+    lastBox = boxClasses.includes(top) ? targetToBox(Array.from(target)) : null;
+
+    return classes.map((cls, i) => ({
+        className: cls.name,
+        probability: probs[i]
+    }));
+}
+
+/**
+ * Box of the object in the last predicted frame, or null if the most
+ * likely class is not an object.
+ */
+function getLastBox() {
+    return lastBox;
+}
+
+// ============================================
+// PERSISTENCE
+// ============================================
+
+async function saveModel(projectId) {
+    if (!head) throw new Error("No hay modelo entrenado");
+
+    const storageKey = "tm-detect-local-" + projectId;
+    await saveHead(head, storageKey);
+
+    return {
+        source: "local-detect",
+        storageKey,
+        classNames: classes.map(c => c.name),
+        boxClasses: boxClasses.map(i => classes[i].name),
+        featureExtractor: "mobilenet_v1_0.25_224",
+        trainedAt: new Date().toISOString()
+    };
+}
+
+async function loadSavedModel(localModelInfo) {
+    await initTrainer();
+
+    head = await loadHead(localModelInfo.storageKey);
+
+    classes = localModelInfo.classNames.map(name => ({
+        name, samples: [], count: 0
+    }));
+    boxClasses = (localModelInfo.boxClasses || [])
+        .map(name => localModelInfo.classNames.indexOf(name))
+        .filter(i => i >= 0);
+}
+
+async function deleteModel(storageKey) {
+    await removeHead(storageKey);
+}
+
+// ============================================
+// SAMPLE PERSISTENCE
+// ============================================
+
+async function saveSamples(projectId) {
+    const data = [];
+    classes.forEach((cls, ci) => {
+        cls.samples.forEach(s => data.push({ id: s.id, ci, img224: s.img224, thumb: s.thumb, box: s.box }));
+    });
+    await idbPut("tm-detect-samples-" + projectId, data);
+    await saveFeatureCache(projectId, classes.flatMap(cls => cls.samples));
+}
+
+async function loadSamples(projectId) {
+    const stored = await idbGet("tm-detect-samples-" + projectId);
+    if (!stored?.length) return;
+
+    // Reset in-memory samples before loading to avoid duplication on repeated calls
+    classes.forEach(cls => {
+        cls.samples.forEach(s => s.tensor.dispose());
+        cls.samples = [];
+        cls.count = 0;
+    });
+
+    const samples = stored.filter(s => classes[s.ci]);
+    const features = await loadSampleFeatures(projectId, samples);
+    samples.forEach((s, i) => {
+        const { id, tensor } = features[i];
+        classes[s.ci].samples.push({ id, tensor, thumb: s.thumb, img224: s.img224, box: s.box || null });
+        classes[s.ci].count++;
+    });
+}
+
+async function deleteSamplesDB(projectId) {
+    await idbDelete("tm-detect-samples-" + projectId);
+    await deleteFeatureCache(projectId);
+}
+
+// ============================================
+// CLEANUP
+// ============================================
+
+function isTrained() {
+    return head !== null;
+}
+
+function dispose() {
+    stopCapture();
+
+    classes.forEach(cls => {
+        cls.samples.forEach(s => s.tensor.dispose());
+    });
+    classes = [];
+    boxClasses = [];
+    lastBox = null;
+
+    if (head) { head.dispose(); head = null; }
+
+    // The feature extractor belongs to image-trainer.js
+}
+
+export {
+    initTrainer,
+    addClass, removeClass, renameClass,
+    clearSamples, getClasses, getClassNames, getTotalClasses,
+    getSamples, deleteSample, getSampleImage, getSampleBox, setSampleBox,
+    captureOne, startCapture, stopCapture,
+    train,
+    predict, getLastBox,
+    boxFromCorners, boxToTarget, targetToBox, boxSummary, drawBox,
+    saveModel, loadSavedModel, deleteModel,
+    saveSamples, loadSamples, deleteSamplesDB,
+    isTrained, dispose
+};
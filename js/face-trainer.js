@@ -0,0 +1,450 @@
+/**
+ * face-trainer.js
+ * Transfer learning module: MediaPipe FaceLandmarker + TF.js trainable head.
+ * Uses the 52 blendshape scores (smile, blink, jaw open…) as features
+ * instead of face pixels, trains a lightweight classifier.
+ * Same contract as pose-trainer.js.
+ */
+
+import { splitRows, evaluateValidation } from './training-metrics.js';
+import { idbPut, idbGet, idbDelete, saveHead, loadHead, removeHead } from './trainer-storage.js';
+
+// MediaPipe face detector
+let faceLandmarker = null;
+
+// TF.js classification head
+let head = null;
+const featureSize = 52; // ARKit-style blendshapes, 0-1 each
+
+// Classes and samples
+let classes = []; // [{name, samples: [{features: Float32Array, thumb: string}], count}]
+
+// Capture
+let captureIntervalId = null;
+
+// Last detected face mesh (478 landmarks, for the overlay)
+let lastLandmarks = null;
+
+// ============================================
+// INIT
+// ============================================
+
+async function initTrainer() {
+    if (faceLandmarker) return;
+
+    // Wait for MediaPipe globals to be available (loaded as ES module async)
+    let attempts = 0;
+    while (!window.FaceLandmarker || !window.FilesetResolver) {
+        if (attempts > 100) throw new Error('MediaPipe libraries did not load');
+        await new Promise(r => setTimeout(r, 100));
+        attempts++;
+    }
+
+    const vision = await window.FilesetResolver.forVisionTasks(
+        "vendor/mediapipe/wasm-0.10.14"
+    );
+
+    faceLandmarker = await window.FaceLandmarker.createFromOptions(vision, {
+        baseOptions: {
+            modelAssetPath: "vendor/mediapipe/models/face_landmarker-float16-v1.task",
+            delegate: "GPU"
+        },
+        runningMode: "VIDEO",
+        numFaces: 1,
+        outputFaceBlendshapes: true
+    });
+
+    console.log("Face trainer ready");
+}
+
+// ============================================
+// CLASS MANAGEMENT
+// ============================================
+
+function addClass(name) {
+    classes.push({ name, samples: [], count: 0 });
+    return classes.length - 1;
+}
+
+function removeClass(index) {
+    classes.splice(index, 1);
+}
+
+function renameClass(index, newName) {
+    classes[index].name = newName;
+}
+
+function clearSamples(index) {
+    classes[index].samples = [];
+    classes[index].count = 0;
+}
+
+function getClasses() {
+    return classes.map(c => ({ name: c.name, count: c.count }));
+}
+
+function getClassNames() {
+    return classes.map(c => c.name);
+}
+
+function getTotalClasses() {
+    return classes.length;
+}
+
+// ============================================
+// BLENDSHAPE EXTRACTION
+// ============================================
+
+/**
+ * Blendshape categories to a feature vector, placed by category index
+ * so the order never depends on how MediaPipe lists them.
+ * @param {{index: number, score: number}[]} categories
+ * @returns {Float32Array} featureSize scores
+ */
+function blendshapesToFeatures(categories) {
+    const features = new Float32Array(featureSize);
+    for (const c of categories) {
+        if (c.index >= 0 && c.index < featureSize) features[c.index] = c.score;
+    }
+    return features;
+}
+
+/**
+ * Extract blendshape scores from an image source (canvas or video element).
+ * Returns Float32Array(52), or null if no face detected.
+ */
+function extractKeypoints(imageSource, timestamp) {
+    if (!faceLandmarker) return null;
+
+    let result;
+    try {
+        result = faceLandmarker.detectForVideo(imageSource, timestamp);
+    } catch (e) {
+        return null;
+    }
+
+    if (!result.faceLandmarks?.length || !result.faceBlendshapes?.length) {
+        lastLandmarks = null;
+        return null;
+    }
+
+    lastLandmarks = result.faceLandmarks[0]; // first (and only) face
+    return blendshapesToFeatures(result.faceBlendshapes[0].categories);
+}
+
+function getLastLandmarks() {
+    return lastLandmarks;
+}
+
+// ============================================
+// MESH DRAWING
+// ============================================
+
+/**
+ * Draw the face mesh contours (eyes, brows, lips, face oval) on a canvas context.
+ * Landmarks are in normalized coords (0-1). The connection list comes from
+ * the MediaPipe global; without it only the points are drawn.
+ * @param {boolean} flip - Mirror X coords to match a horizontally-flipped display.
+ */
+function drawSkeleton(ctx, landmarks, canvasWidth, canvasHeight, flip = false) {
+    if (!landmarks || landmarks.length === 0) return;
+
+    const lx = (lm) => (flip ? 1 - lm.x : lm.x) * canvasWidth;
+    const ly = (lm) => lm.y * canvasHeight;
+
+    const contours = window.FaceLandmarker?.FACE_LANDMARKS_CONTOURS;
+    if (contours) {
+        ctx.strokeStyle = '#00ff00';
+        ctx.lineWidth = Math.max(1, canvasWidth / 320);
+        ctx.beginPath();
+        for (const { start, end } of contours) {
+            const a = landmarks[start];
+            const b = landmarks[end];
+            if (!a || !b) continue;
+            ctx.moveTo(lx(a), ly(a));
+            ctx.lineTo(lx(b), ly(b));
+        }
+        ctx.stroke();
+        return;
+    }
+
+    ctx.fillStyle = '#00ff00';
+    for (const lm of landmarks) {
+        ctx.fillRect(lx(lm), ly(lm), 1, 1);
+    }
+}
+
+// ============================================
+// CAPTURE
+// ============================================
+
+/**
+ * Capture one face sample from webcam.
+ * @param {boolean} flip - True when the display is horizontally mirrored (front camera).
+ * Returns false if no face detected.
+ */
+function captureOne(classIndex, webcamCanvas, imageSource, flip = true) {
+    const features = extractKeypoints(imageSource, performance.now());
+    if (!features) return false;
+
+    // Generate thumbnail: webcam frame + skeleton overlay
+    const thumbCanvas = document.createElement('canvas');
+    thumbCanvas.width = 80;
+    thumbCanvas.height = 80;
+    const thumbCtx = thumbCanvas.getContext('2d');
+    thumbCtx.drawImage(webcamCanvas, 0, 0, 80, 80);
+    if (lastLandmarks) drawSkeleton(thumbCtx, lastLandmarks, 80, 80, flip);
+    const thumb = thumbCanvas.toDataURL('image/jpeg', 0.6);
+
+    classes[classIndex].samples.push({ features, thumb });
+    classes[classIndex].count++;
+    return true;
+}
+
+/**
+ * Start capturing continuously (~5fps).
+ * @param {boolean} flip - True when the display is horizontally mirrored (front camera).
+ */
+function startCapture(classIndex, webcamCanvas, imageSource, flip = true) {
+    stopCapture();
+
+    // Immediate capture
+    captureOne(classIndex, webcamCanvas, imageSource, flip);
+
+    captureIntervalId = setInterval(() => {
+        captureOne(classIndex, webcamCanvas, imageSource, flip);
+    }, 200);
+}
+
+function stopCapture() {
+    if (captureIntervalId) {
+        clearInterval(captureIntervalId);
+        captureIntervalId = null;
+    }
+}
+
+// ============================================
+// SAMPLE ACCESS
+// ============================================
+
+function getSamples(classIndex) {
+    return classes[classIndex].samples.map((s, i) => ({
+        index: i,
+        thumb: s.thumb
+    }));
+}
+
+function deleteSample(classIndex, sampleIndex) {
+    classes[classIndex].samples.splice(sampleIndex, 1);
+    classes[classIndex].count--;
+}
+
+// ============================================
+// TRAINING
+// ============================================
+
+async function train(onProgress) {
+    if (classes.length < 2) {
+        throw new Error("Se necesitan al menos 2 clases");
+    }
+    for (const cls of classes) {
+        if (cls.count < 8) {
+            throw new Error(`La clase "${cls.name}" necesita al menos 8 muestras`);
+        }
+    }
+
+    const samples = [];
+    classes.forEach((cls, classIndex) => {
+        cls.samples.forEach((s, sampleIndex) => samples.push({
+            features: Array.from(s.features),
+            label: classIndex,
+            ref: { classIndex, sampleIndex }
+        }));
+    });
+
+    // Shuffled and split per class: the samples are grouped by class,
+    // so fit()'s validationSplit would validate on the last class only
+    const split = splitRows(samples, 0.15, { classOf: s => s.label });
+    const toTensors = rows => ({
+        xs: tf.tensor2d(rows.map(r => r.features)), // [rows, 52]
+        ys: tf.oneHot(tf.tensor1d(rows.map(r => r.label), 'int32'), classes.length)
+    });
+    const trainSet = toTensors(split.train);
+    const valSet = split.validation.length ? toTensors(split.validation) : null;
+
+    const newHead = tf.sequential();
+    newHead.add(tf.layers.dense({
+        inputShape: [featureSize],
+        units: 64,
+        activation: 'relu'
+    }));
+    newHead.add(tf.layers.dense({
+        units: classes.length,
+        activation: 'softmax'
+    }));
+
+    newHead.compile({
+        optimizer: tf.train.adam(0.001),
+        loss: 'categoricalCrossentropy',
+        metrics: ['accuracy']
+    });
+
+    const totalEpochs = 50;
+    await newHead.fit(trainSet.xs, trainSet.ys, {
+        epochs: totalEpochs,
+        batchSize: 16,
+        shuffle: true,
+        validationData: valSet ? [valSet.xs, valSet.ys] : undefined,
+        callbacks: {
+            onEpochEnd: (epoch, logs) => {
+                if (onProgress) onProgress(epoch, totalEpochs, logs);
+            }
+        }
+    });
+
+    const validation = valSet
+        ? await evaluateValidation(newHead, valSet.xs, split.validation.map(r => r.ref), classes.length)
+        : null;
+    tf.dispose(valSet ? [trainSet, valSet] : trainSet);
+
+    if (head) head.dispose();
+    head = newHead;
+
+    return { epochs: totalEpochs, validation };
+}
+
+// ============================================
+// PREDICTION
+// ============================================
+
+/**
+ * Predict face expression class from an image source (canvas or video element).
+ * Returns [{className, probability}] or empty array if no face detected.
+ */
+async function predict(imageSource) {
+    if (!faceLandmarker || !head) return [];
+
+    const features = extractKeypoints(imageSource, performance.now());
+    if (!features) return [];
+
+    const prediction = tf.tidy(() => {
+        const input = tf.tensor2d([Array.from(features)]);
+        return head.predict(input);
+    });
+
+    const probs = await prediction.data();
+    prediction.dispose();
+
+    return classes.map((cls, i) => ({
+        className: cls.name,
+        probability: probs[i]
+    }));
+}
+
+// ============================================
+// PERSISTENCE
+// ============================================
+
+async function saveModel(projectId) {
+    if (!head) throw new Error("No hay modelo entrenado");
+
+    const storageKey = 'tm-face-local-' + projectId;
+    await saveHead(head, storageKey);
+
+    return {
+        source: 'local-face',
+        storageKey,
+        classNames: classes.map(c => c.name),
+        trainedAt: new Date().toISOString()
+    };
+}
+
+async function loadSavedModel(localModelInfo) {
+    await initTrainer();
+
+    head = await loadHead(localModelInfo.storageKey);
+
+    classes = localModelInfo.classNames.map(name => ({
+        name, samples: [], count: 0
+    }));
+}
+
+async function deleteModel(storageKey) {
+    await removeHead(storageKey);
+}
+
+// ============================================
+// SAMPLE PERSISTENCE
+// ============================================
+
+async function saveSamples(projectId) {
+    const data = [];
+    classes.forEach((cls, ci) => {
+        cls.samples.forEach(s => {
+            data.push({
+                ci,
+                features: Array.from(s.features),
+                thumb: s.thumb
+            });
+        });
+    });
+    await idbPut('tm-face-samples-' + projectId, data);
+}
+
+async function loadSamples(projectId) {
+    const stored = await idbGet('tm-face-samples-' + projectId);
+    if (!stored?.length) return;
+
+    // Reset in-memory samples before loading to avoid duplication on repeated calls
+    // (e.g. after train() completes and the main flow calls loadSamples again).
+    classes.forEach(cls => {
+        cls.samples = [];
+        cls.count = 0;
+    });
+
+    for (const s of stored) {
+        if (!classes[s.ci]) continue;
+        classes[s.ci].samples.push({
+            features: new Float32Array(s.features),
+            thumb: s.thumb
+        });
+        classes[s.ci].count++;
+    }
+}
+
+async function deleteSamplesDB(projectId) {
+    await idbDelete('tm-face-samples-' + projectId);
+}
+
+// ============================================
+// CLEANUP
+// ============================================
+
+function isTrained() {
+    return head !== null;
+}
+
+function dispose() {
+    stopCapture();
+
+    classes = [];
+    lastLandmarks = null;
+
+    if (head) { head.dispose(); head = null; }
+
+    // faceLandmarker is kept alive — expensive to recreate
+}
+
+export {
+    initTrainer,
+    addClass, removeClass, renameClass,
+    clearSamples, getClasses, getClassNames, getTotalClasses,
+    getSamples, deleteSample,
+    captureOne, startCapture, stopCapture,
+    train,
+    predict,
+    extractKeypoints, getLastLandmarks, drawSkeleton, blendshapesToFeatures,
+    saveModel, loadSavedModel, deleteModel,
+    saveSamples, loadSamples, deleteSamplesDB,
+    isTrained, dispose
+};
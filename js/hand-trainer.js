@@ -0,0 +1,512 @@
+/**
+ * hand-trainer.js
+ * Transfer learning module: MediaPipe HandLandmarker + TF.js trainable head.
+ * Extracts 21 keypoints per hand (one or two hands) as features, trains a
+ * lightweight classifier. Same contract as pose-trainer.js.
+ */
+
+import { splitRows, evaluateValidation } from './training-metrics.js';
+import { idbPut, idbGet, idbDelete, saveHead, loadHead, removeHead } from './trainer-storage.js';
+
+const MAX_HANDS = 2;
+const HAND_KEYPOINTS = 21;
+const HAND_FEATURES = HAND_KEYPOINTS * 3; // x, y, z per keypoint
+
+// MediaPipe hand detector (always looks for MAX_HANDS, features use numHands)
+let handLandmarker = null;
+
+// Hands per sample: 1 = any single hand, 2 = left and right slots
+let numHands = 1;
+
+// TF.js classification head
+let head = null;
+
+// Classes and samples
+let classes = []; // [{name, samples: [{features: Float32Array, thumb: string}], count}]
+
+// Capture
+let captureIntervalId = null;
+
+// Last detected hands (for skeleton overlay): array of 21-keypoint arrays
+let lastLandmarks = null;
+
+// ============================================
+// INIT
+// ============================================
+
+async function initTrainer() {
+    if (handLandmarker) return;
+
+    // Wait for MediaPipe globals to be available (loaded as ES module async)
+    let attempts = 0;
+    while (!window.HandLandmarker || !window.FilesetResolver) {
+        if (attempts > 100) throw new Error('MediaPipe libraries did not load');
+        await new Promise(r => setTimeout(r, 100));
+        attempts++;
+    }
+
+    const vision = await window.FilesetResolver.forVisionTasks(
+        "vendor/mediapipe/wasm-0.10.14"
+    );
+
+    handLandmarker = await window.HandLandmarker.createFromOptions(vision, {
+        baseOptions: {
+            modelAssetPath: "vendor/mediapipe/models/hand_landmarker-float16-v1.task",
+            delegate: "GPU"
+        },
+        runningMode: "VIDEO",
+        numHands: MAX_HANDS
+    });
+
+    console.log("Hand trainer ready");
+}
+
+/**
+ * Set how many hands each sample holds. Changes the feature size,
+ * so it must be set before capturing or loading samples.
+ * @param {number} n - 1 or 2
+ */
+function setNumHands(n) {
+    numHands = n === 2 ? 2 : 1;
+}
+
+function getNumHands() {
+    return numHands;
+}
+
+// ============================================
+// CLASS MANAGEMENT
+// ============================================
+
+function addClass(name) {
+    classes.push({ name, samples: [], count: 0 });
+    return classes.length - 1;
+}
+
+function removeClass(index) {
+    classes.splice(index, 1);
+}
+
+function renameClass(index, newName) {
+    classes[index].name = newName;
+}
+
+function clearSamples(index) {
+    classes[index].samples = [];
+    classes[index].count = 0;
+}
+
+function getClasses() {
+    return classes.map(c => ({ name: c.name, count: c.count }));
+}
+
+function getClassNames() {
+    return classes.map(c => c.name);
+}
+
+function getTotalClasses() {
+    return classes.length;
+}
+
+// ============================================
+// KEYPOINT EXTRACTION
+// ============================================
+
+/**
+ * Flatten detected hands to [x0, y0, z0, x1, …] per hand.
+ * With one hand, the first detected hand is used whichever it is.
+ * With two, the left hand goes in the first slot and the right hand in the
+ * second, so a sign means the same whatever order MediaPipe reports;
+ * a missing hand leaves its slot at zero.
+ * @param {{x: number, y: number, z: number}[][]} hands - 21 keypoints per hand
+ * @param {{categoryName: string}[][]} handedness - Per hand, as reported by MediaPipe
+ * @param {number} count - Hands per sample (1 or 2)
+ * @returns {Float32Array} count × 63 values
+ */
+function handsToFeatures(hands, handedness, count) {
+    const features = new Float32Array(count * HAND_FEATURES);
+    const slots = new Array(count).fill(null);
+
+    if (count === 1) {
+        slots[0] = hands[0];
+    } else {
+        hands.forEach((hand, i) => {
+            const preferred = handedness?.[i]?.[0]?.categoryName === 'Right' ? 1 : 0;
+            // Two hands reported with the same side: keep both, in order
+            const slot = slots[preferred] === null ? preferred : 1 - preferred;
+            if (slots[slot] === null) slots[slot] = hand;
+        });
+    }
+
+    slots.forEach((hand, h) => {
+        if (!hand) return;
+        const offset = h * HAND_FEATURES;
+        for (let i = 0; i < HAND_KEYPOINTS; i++) {
+            features[offset + i * 3]     = hand[i].x;
+            features[offset + i * 3 + 1] = hand[i].y;
+            features[offset + i * 3 + 2] = hand[i].z;
+        }
+    });
+
+    return features;
+}
+
+/**
+ * Extract hand keypoints from an image source (canvas or video element).
+ * Returns Float32Array(numHands × 63), or null if no hand detected.
+ */
+function extractKeypoints(imageSource, timestamp) {
+    if (!handLandmarker) return null;
+
+    let result;
+    try {
+        result = handLandmarker.detectForVideo(imageSource, timestamp);
+    } catch (e) {
+        return null;
+    }
+
+    if (!result.landmarks || result.landmarks.length === 0) {
+        lastLandmarks = null;
+        return null;
+    }
+
+    lastLandmarks = result.landmarks;
+    return handsToFeatures(result.landmarks, result.handednesses ?? result.handedness, numHands);
+}
+
+function getLastLandmarks() {
+    return lastLandmarks;
+}
+
+// ============================================
+// SKELETON DRAWING
+// ============================================
+
+// MediaPipe hand connections (21 keypoints: wrist, then 4 per finger from the thumb)
+const HAND_CONNECTIONS = [
+    [0,1],[1,2],[2,3],[3,4],
+    [0,5],[5,6],[6,7],[7,8],
+    [5,9],[9,10],[10,11],[11,12],
+    [9,13],[13,14],[14,15],[15,16],
+    [13,17],[17,18],[18,19],[19,20],
+    [0,17],
+];
+
+const HAND_COLORS = ['#00ff00', '#00c8ff'];
+
+/**
+ * Draw hand skeletons on a canvas context.
+ * Landmarks are in normalized coords (0-1). Hand landmarks carry no
+ * visibility score, so every keypoint is drawn.
+ * @param {Array} hands - One 21-keypoint array per detected hand
+ * @param {boolean} flip - Mirror X coords to match a horizontally-flipped display.
+ */
+function drawSkeleton(ctx, hands, canvasWidth, canvasHeight, flip = false) {
+    if (!hands || hands.length === 0) return;
+
+    const lx = (lm) => (flip ? 1 - lm.x : lm.x) * canvasWidth;
+    const ly = (lm) => lm.y * canvasHeight;
+    const radius = Math.max(1.5, canvasWidth / 160);
+
+    hands.forEach((landmarks, h) => {
+        const color = HAND_COLORS[h % HAND_COLORS.length];
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        for (const [i, j] of HAND_CONNECTIONS) {
+            const a = landmarks[i];
+            const b = landmarks[j];
+            if (a && b) {
+                ctx.beginPath();
+                ctx.moveTo(lx(a), ly(a));
+                ctx.lineTo(lx(b), ly(b));
+                ctx.stroke();
+            }
+        }
+
+        ctx.fillStyle = color;
+        for (const lm of landmarks) {
+            ctx.beginPath();
+            ctx.arc(lx(lm), ly(lm), radius, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+    });
+}
+
+// ============================================
+// CAPTURE
+// ============================================
+
+/**
+ * Capture one hand sample from webcam.
+ * @param {boolean} flip - True when the display is horizontally mirrored (front camera).
+ * Returns false if no hand detected.
+ */
+function captureOne(classIndex, webcamCanvas, imageSource, flip = true) {
+    const features = extractKeypoints(imageSource, performance.now());
+    if (!features) return false;
+
+    // Generate thumbnail: webcam frame + skeleton overlay
+    const thumbCanvas = document.createElement('canvas');
+    thumbCanvas.width = 80;
+    thumbCanvas.height = 80;
+    const thumbCtx = thumbCanvas.getContext('2d');
+    thumbCtx.drawImage(webcamCanvas, 0, 0, 80, 80);
+    if (lastLandmarks) drawSkeleton(thumbCtx, lastLandmarks, 80, 80, flip);
+    const thumb = thumbCanvas.toDataURL('image/jpeg', 0.6);
+
+    classes[classIndex].samples.push({ features, thumb });
+    classes[classIndex].count++;
+    return true;
+}
+
+/**
+ * Start capturing continuously (~5fps).
+ * @param {boolean} flip - True when the display is horizontally mirrored (front camera).
+ */
+function startCapture(classIndex, webcamCanvas, imageSource, flip = true) {
+    stopCapture();
+
+    // Immediate capture
+    captureOne(classIndex, webcamCanvas, imageSource, flip);
+
+    captureIntervalId = setInterval(() => {
+        captureOne(classIndex, webcamCanvas, imageSource, flip);
+    }, 200);
+}
+
+function stopCapture() {
+    if (captureIntervalId) {
+        clearInterval(captureIntervalId);
+        captureIntervalId = null;
+    }
+}
+
+// ============================================
+// SAMPLE ACCESS
+// ============================================
+
+function getSamples(classIndex) {
+    return classes[classIndex].samples.map((s, i) => ({
+        index: i,
+        thumb: s.thumb
+    }));
+}
+
+function deleteSample(classIndex, sampleIndex) {
+    classes[classIndex].samples.splice(sampleIndex, 1);
+    classes[classIndex].count--;
+}
+
+// ============================================
+// TRAINING
+// ============================================
+
+async function train(onProgress) {
+    if (classes.length < 2) {
+        throw new Error("Se necesitan al menos 2 clases");
+    }
+    for (const cls of classes) {
+        if (cls.count < 8) {
+            throw new Error(`La clase "${cls.name}" necesita al menos 8 muestras`);
+        }
+    }
+
+    const samples = [];
+    classes.forEach((cls, classIndex) => {
+        cls.samples.forEach((s, sampleIndex) => samples.push({
+            features: Array.from(s.features),
+            label: classIndex,
+            ref: { classIndex, sampleIndex }
+        }));
+    });
+
+    // Shuffled and split per class: the samples are grouped by class,
+    // so fit()'s validationSplit would validate on the last class only
+    const split = splitRows(samples, 0.15, { classOf: s => s.label });
+    const toTensors = rows => ({
+        xs: tf.tensor2d(rows.map(r => r.features)), // [rows, numHands × 63]
+        ys: tf.oneHot(tf.tensor1d(rows.map(r => r.label), 'int32'), classes.length)
+    });
+    const trainSet = toTensors(split.train);
+    const valSet = split.validation.length ? toTensors(split.validation) : null;
+
+    const newHead = tf.sequential();
+    newHead.add(tf.layers.dense({
+        inputShape: [numHands * HAND_FEATURES],
+        units: 64,
+        activation: 'relu'
+    }));
+    newHead.add(tf.layers.dense({
+        units: classes.length,
+        activation: 'softmax'
+    }));
+
+    newHead.compile({
+        optimizer: tf.train.adam(0.001),
+        loss: 'categoricalCrossentropy',
+        metrics: ['accuracy']
+    });
+
+    const totalEpochs = 50;
+    await newHead.fit(trainSet.xs, trainSet.ys, {
+        epochs: totalEpochs,
+        batchSize: 16,
+        shuffle: true,
+        validationData: valSet ? [valSet.xs, valSet.ys] : undefined,
+        callbacks: {
+            onEpochEnd: (epoch, logs) => {
+                if (onProgress) onProgress(epoch, totalEpochs, logs);
+            }
+        }
+    });
+
+    const validation = valSet
+        ? await evaluateValidation(newHead, valSet.xs, split.validation.map(r => r.ref), classes.length)
+        : null;
+    tf.dispose(valSet ? [trainSet, valSet] : trainSet);
+
+    if (head) head.dispose();
+    head = newHead;
+
+    return { epochs: totalEpochs, validation };
+}
+
+// ============================================
+// PREDICTION
+// ============================================
+
+/**
+ * Predict hand sign class from an image source (canvas or video element).
+ * Returns [{className, probability}] or empty array if no hand detected.
+ */
+async function predict(imageSource) {
+    if (!handLandmarker || !head) return [];
+
+    const features = extractKeypoints(imageSource, performance.now());
+    if (!features) return [];
+
+    const prediction = tf.tidy(() => {
+        const input = tf.tensor2d([Array.from(features)]);
+        return head.predict(input);
+    });
+
+    const probs = await prediction.data();
+    prediction.dispose();
+
+    return classes.map((cls, i) => ({
+        className: cls.name,
+        probability: probs[i]
+    }));
+}
+
+// ============================================
+// PERSISTENCE
+// ============================================
+
+async function saveModel(projectId) {
+    if (!head) throw new Error("No hay modelo entrenado");
+
+    const storageKey = 'tm-hand-local-' + projectId;
+    await saveHead(head, storageKey);
+
+    return {
+        source: 'local-hand',
+        storageKey,
+        classNames: classes.map(c => c.name),
+        numHands,
+        trainedAt: new Date().toISOString()
+    };
+}
+
+async function loadSavedModel(localModelInfo) {
+    await initTrainer();
+    setNumHands(localModelInfo.numHands);
+
+    head = await loadHead(localModelInfo.storageKey);
+
+    classes = localModelInfo.classNames.map(name => ({
+        name, samples: [], count: 0
+    }));
+}
+
+async function deleteModel(storageKey) {
+    await removeHead(storageKey);
+}
+
+// ============================================
+// SAMPLE PERSISTENCE
+// ============================================
+
+async function saveSamples(projectId) {
+    const data = [];
+    classes.forEach((cls, ci) => {
+        cls.samples.forEach(s => {
+            data.push({
+                ci,
+                features: Array.from(s.features),
+                thumb: s.thumb
+            });
+        });
+    });
+    await idbPut('tm-hand-samples-' + projectId, data);
+}
+
+async function loadSamples(projectId) {
+    const stored = await idbGet('tm-hand-samples-' + projectId);
+    if (!stored?.length) return;
+
+    // Reset in-memory samples before loading to avoid duplication on repeated calls
+    // (e.g. after train() completes and the main flow calls loadSamples again).
+    classes.forEach(cls => {
+        cls.samples = [];
+        cls.count = 0;
+    });
+
+    for (const s of stored) {
+        if (!classes[s.ci]) continue;
+        classes[s.ci].samples.push({
+            features: new Float32Array(s.features),
+            thumb: s.thumb
+        });
+        classes[s.ci].count++;
+    }
+}
+
+async function deleteSamplesDB(projectId) {
+    await idbDelete('tm-hand-samples-' + projectId);
+}
+
+// ============================================
+// CLEANUP
+// ============================================
+
+function isTrained() {
+    return head !== null;
+}
+
+function dispose() {
+    stopCapture();
+
+    classes = [];
+    lastLandmarks = null;
+
+    if (head) { head.dispose(); head = null; }
+
+    // handLandmarker is kept alive — expensive to recreate
+}
+
+export {
+    initTrainer,
+    setNumHands, getNumHands,
+    addClass, removeClass, renameClass,
+    clearSamples, getClasses, getClassNames, getTotalClasses,
+    getSamples, deleteSample,
+    captureOne, startCapture, stopCapture,
+    train,
+    predict,
+    extractKeypoints, getLastLandmarks, drawSkeleton, handsToFeatures,
+    saveModel, loadSavedModel, deleteModel,
+    saveSamples, loadSamples, deleteSamplesDB,
+    isTrained, dispose
+};
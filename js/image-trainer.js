@@ -2,8 +2,21 @@
  * image-trainer.js
  * Transfer learning module: MobileNet feature extractor + trainable head.
  * Handles capture, training, prediction, and IndexedDB persistence.
+ * The feature extraction and its IndexedDB cache are shared with
+ * detect-trainer.js: samples keep their features in memory across
+ * trainings, and saved samples keep them in IndexedDB, so MobileNet
+ * only runs once per sample.
+ * In regression mode the head has a single linear output trained with MSE,
+ * and every sample carries a target value (0-100) instead of a class.
+ * In instant mode there is no head: predictions come from the nearest
+ * samples (knn.js), by cosine distance between MobileNet features.
  */
 
+import { KNN_K, knnVote, knnMean } from './knn.js';
+import { resolveTrainingOptions } from './training-options.js';
+import { splitRows, evaluateValidation } from './training-metrics.js';
+import { idbPut, idbGet, idbDelete, saveHead, loadHead, removeHead } from './trainer-storage.js';
+
 // Feature extractor (truncated MobileNet, immutable)
 let featureExtractor = null;
 let featureSize = 0; // 12544 for MobileNet v1 alpha=0.25
@@ -12,7 +25,20 @@ let featureSize = 0; // 12544 for MobileNet v1 alpha=0.25
 let head = null;
 
 // Classes and samples
-let classes = []; // [{name, samples: [{tensor: Tensor1D, thumb: string}], count}]
+let classes = []; // [{name, samples: [{id: string, tensor: Tensor1D, thumb: string, value?: number}], count}]
+
+// Sample ids, unique within a project: the key of their cached features
+let nextSampleId = 0;
+
+// Regression: one "class" holds every sample, each tagged with targetValue at capture
+let regression = false;
+let targetValue = 50;
+
+// Instant mode: k-nearest-neighbours over the samples instead of the head
+let instant = false;
+let knnMatrix = null;  // unit-length features of every sample, one row each
+let knnLabels = [];    // class index (value in regression) of each row
+let knnStale = true;   // samples changed since knnMatrix was built
 
 // Capture
 let captureIntervalId = null;
@@ -60,6 +86,7 @@ function addClass(name) {
 function removeClass(index) {
     classes[index].samples.forEach(s => s.tensor.dispose());
     classes.splice(index, 1);
+    knnStale = true;
 }
 
 function renameClass(index, newName) {
@@ -70,6 +97,7 @@ function clearSamples(index) {
     classes[index].samples.forEach(s => s.tensor.dispose());
     classes[index].samples = [];
     classes[index].count = 0;
+    knnStale = true;
 }
 
 function getClasses() {
@@ -84,13 +112,219 @@ function getTotalClasses() {
     return classes.length;
 }
 
+function getFeatureSize() {
+    return featureSize;
+}
+
+// ============================================
+// REGRESSION
+// ============================================
+
+function setRegression(on) {
+    regression = !!on;
+}
+
+function isRegression() {
+    return regression;
+}
+
+/**
+ * Target value (0-100) given to the samples captured from now on.
+ */
+function setTargetValue(value) {
+    targetValue = Math.max(0, Math.min(100, Math.round(value)));
+}
+
+function getTargetValue() {
+    return targetValue;
+}
+
+/**
+ * Append a captured sample to a class, tagging it with the target value
+ * in regression mode.
+ */
+function addSample(classIndex, sample) {
+    if (regression) sample.value = targetValue;
+    classes[classIndex].samples.push(sample);
+    classes[classIndex].count++;
+    knnStale = true;
+}
+
+// ============================================
+// INSTANT MODE
+// ============================================
+
+/**
+ * Predict from the samples themselves (k-nearest-neighbours) instead of a
+ * trained head. Switching back uses the head again, if there is one.
+ * @param {boolean} on
+ */
+function setInstant(on) {
+    instant = !!on;
+}
+
+function isInstant() {
+    return instant;
+}
+
+/**
+ * Predictions of the nearest samples to some features.
+ * @param {Tensor1D} features
+ * @returns {Promise<Array>} [] without samples
+ */
+async function knnPredict(features) {
+    // Rebuilt here rather than on every change, so a capture never disposes
+    // the matrix while a previous prediction is still reading from it
+    if (knnStale) {
+        if (knnMatrix) { knnMatrix.dispose(); knnMatrix = null; }
+        const rows = [];
+        knnLabels = [];
+        classes.forEach((cls, ci) => cls.samples.forEach(s => {
+            rows.push(s.tensor);
+            knnLabels.push(regression ? s.value : ci);
+        }));
+        if (rows.length) {
+            knnMatrix = tf.tidy(() => {
+                const m = tf.stack(rows);
+                return m.div(m.norm("euclidean", 1, true).add(1e-8));
+            });
+        }
+        knnStale = false;
+    }
+    if (!knnMatrix) return [];
+
+    const distTensor = tf.tidy(() => {
+        const q = features.div(features.norm().add(1e-8));
+        return tf.scalar(1).sub(knnMatrix.matMul(q.expandDims(1)).squeeze([1]));
+    });
+    const distances = await distTensor.data();
+    distTensor.dispose();
+
+    if (regression) {
+        const value = knnMean(distances, knnLabels, KNN_K);
+        return [{ className: classes[0].name, probability: value / 100 }];
+    }
+    return knnVote(distances, knnLabels, classes.length, KNN_K)
+        .map((probability, i) => ({ className: classes[i].name, probability }));
+}
+
+// ============================================
+// FEATURE EXTRACTION
+// ============================================
+
+/**
+ * MobileNet features of a 224x224 canvas, flattened.
+ * @returns {Tensor1D} [featureSize]
+ */
+function canvasFeatures(canvas) {
+    return tf.tidy(() => {
+        const img = tf.browser.fromPixels(canvas)
+            .toFloat()
+            .div(127.5)
+            .sub(1.0)
+            .expandDims(0); // [1, 224, 224, 3]
+
+        const features = featureExtractor.predict(img);
+        return features.flatten(); // [12544]
+    });
+}
+
+/**
+ * MobileNet features of any canvas or video, scaled to 224x224.
+ * @returns {Tensor1D} [featureSize]
+ */
+function extractFeatures(source) {
+    captureCanvas.getContext("2d").drawImage(source, 0, 0, 224, 224);
+    return canvasFeatures(captureCanvas);
+}
+
+/**
+ * MobileNet features of a stored 224x224 JPEG (the img224 of a sample).
+ * @param {string} dataUrl
+ * @returns {Promise<Tensor1D>} [featureSize]
+ */
+async function loadImageFeatures(dataUrl) {
+    const loadCanvas = document.createElement("canvas");
+    loadCanvas.width = 224;
+    loadCanvas.height = 224;
+    await new Promise(res => {
+        const img = new Image();
+        img.onload = () => {
+            loadCanvas.getContext("2d").drawImage(img, 0, 0, 224, 224);
+            res();
+        };
+        img.src = dataUrl;
+    });
+    return canvasFeatures(loadCanvas);
+}
+
+// ============================================
+// FEATURE CACHE
+// ============================================
+
+function newSampleId() {
+    return Date.now().toString(36) + "-" + (nextSampleId++).toString(36);
+}
+
+// Features of one sample are stored as a Float32Array under this prefix + sample id
+function featureKeyPrefix(projectId) {
+    return "tm-features-" + projectId + "/";
+}
+
+/**
+ * Store the features of every sample not cached yet, and drop the cached
+ * features of samples that no longer exist.
+ * @param {string} projectId
+ * @param {{id: string, tensor: Tensor1D}[]} samples - Every sample of the project
+ */
+async function saveFeatureCache(projectId, samples) {
+    const prefix = featureKeyPrefix(projectId);
+    const cachedKeys = new Set(await idbKeys(prefix));
+    const keep = new Set();
+    const entries = [];
+    for (const s of samples) {
+        const key = prefix + s.id;
+        keep.add(key);
+        if (!cachedKeys.has(key)) entries.push([key, await s.tensor.data()]);
+    }
+    await idbPutMany(entries);
+    await idbDeleteMany([...cachedKeys].filter(key => !keep.has(key)));
+}
+
+/**
+ * Features of stored samples, from the cache when present and otherwise
+ * extracted again from their img224 (samples saved before the cache
+ * existed get an id here, and are cached on the next save).
+ * @param {string} projectId
+ * @param {{id?: string, img224: string}[]} stored
+ * @returns {Promise<{id: string, tensor: Tensor1D}[]>} In the same order
+ */
+async function loadSampleFeatures(projectId, stored) {
+    const prefix = featureKeyPrefix(projectId);
+    const cached = await idbGetMany(stored.map(s => s.id ? prefix + s.id : null));
+    const result = [];
+    for (let i = 0; i < stored.length; i++) {
+        const features = cached[i];
+        // A cache of another feature extractor would not fit the head
+        const tensor = features?.length === featureSize
+            ? tf.tensor1d(features)
+            : await loadImageFeatures(stored[i].img224);
+        result.push({ id: stored[i].id ?? newSampleId(), tensor });
+    }
+    return result;
+}
+
+async function deleteFeatureCache(projectId) {
+    await idbDeleteMany(await idbKeys(featureKeyPrefix(projectId)));
+}
+
 // ============================================
 // CAPTURE
 // ============================================
 
 /**
  * Capture one frame from the webcam canvas.
- * Returns {tensor: Tensor1D (features), thumb: string (data URL)}.
+ * Returns {id: string, tensor: Tensor1D (features), thumb: string (data URL), img224: string (data URL)}.
  */
 function captureFrame(webcamCanvas) {
     const ctx = captureCanvas.getContext("2d");
@@ -107,27 +341,16 @@ function captureFrame(webcamCanvas) {
     const img224 = captureCanvas.toDataURL("image/jpeg", 0.7);
 
     // MobileNet feature extraction
-    const tensor = tf.tidy(() => {
-        const img = tf.browser.fromPixels(captureCanvas)
-            .toFloat()
-            .div(127.5)
-            .sub(1.0)
-            .expandDims(0); // [1, 224, 224, 3]
-
-        const features = featureExtractor.predict(img);
-        return features.flatten(); // [12544]
-    });
+    const tensor = canvasFeatures(captureCanvas);
 
-    return { tensor, thumb, img224 };
+    return { id: newSampleId(), tensor, thumb, img224 };
 }
 
 /**
  * Capture exactly one sample (used by the single-shot button).
  */
 function captureOne(classIndex, webcamCanvas) {
-    const s = captureFrame(webcamCanvas);
-    classes[classIndex].samples.push(s);
-    classes[classIndex].count++;
+    addSample(classIndex, captureFrame(webcamCanvas));
 }
 
 /**
@@ -138,15 +361,11 @@ function startCapture(classIndex, webcamCanvas) {
     stopCapture();
 
     // Immediate capture — a quick click gets exactly 1 sample
-    const first = captureFrame(webcamCanvas);
-    classes[classIndex].samples.push(first);
-    classes[classIndex].count++;
+    addSample(classIndex, captureFrame(webcamCanvas));
 
     // Continue capturing while the button is held
     captureIntervalId = setInterval(() => {
-        const s = captureFrame(webcamCanvas);
-        classes[classIndex].samples.push(s);
-        classes[classIndex].count++;
+        addSample(classIndex, captureFrame(webcamCanvas));
     }, 200); // ~5 fps
 }
 
@@ -162,11 +381,12 @@ function stopCapture() {
 // ============================================
 
 /**
- * Returns [{index, thumb}] for all samples of a class.
+ * Returns [{index, thumb, value}] for all samples of a class
+ * (value is undefined outside regression mode).
  * Used by the gallery renderer in app.js.
  */
 function getSamples(classIndex) {
-    return classes[classIndex].samples.map((s, i) => ({ index: i, thumb: s.thumb }));
+    return classes[classIndex].samples.map((s, i) => ({ index: i, thumb: s.thumb, value: s.value }));
 }
 
 /**
@@ -176,37 +396,78 @@ function deleteSample(classIndex, sampleIndex) {
     classes[classIndex].samples[sampleIndex].tensor.dispose();
     classes[classIndex].samples.splice(sampleIndex, 1);
     classes[classIndex].count--;
+    knnStale = true;
 }
 
 // ============================================
 // TRAINING
 // ============================================
 
-async function train(onProgress) {
-    if (classes.length < 2) {
-        throw new Error("Se necesitan al menos 2 clases");
-    }
-    for (const cls of classes) {
-        if (cls.count < 8) {
-            throw new Error(`La clase "${cls.name}" necesita al menos 8 muestras`);
+/**
+ * Hyperparameters used when train() gets none
+ */
+function getDefaultTrainingOptions() {
+    return { epochs: 50, batchSize: 16, learningRate: 0.0001, hiddenUnits: 100, validationSplit: 0.15 };
+}
+
+/**
+ * @param {function} [onProgress] - (epoch, totalEpochs, logs) after each epoch
+ * @param {object} [options] - Partial hyperparameters (see training-options.js)
+ */
+async function train(onProgress, options) {
+    // Instant mode: nothing to fit, the samples are the model
+    if (instant) {
+        if (regression) {
+            if (!classes[0]?.count) throw new Error("Se necesita al menos 1 muestra");
+        } else {
+            if (classes.length < 2) throw new Error("Se necesitan al menos 2 clases");
+            const empty = classes.find(cls => cls.count === 0);
+            if (empty) throw new Error(`La clase "${empty.name}" necesita al menos 1 muestra`);
         }
+        return { epochs: 0 };
     }
 
-    const allFeatures = [];
-    const allLabels = [];
+    if (regression) {
+        const samples = classes[0]?.samples || [];
+        if (samples.length < 8) {
+            throw new Error("Se necesitan al menos 8 muestras");
+        }
+        if (new Set(samples.map(s => s.value)).size < 2) {
+            throw new Error("Se necesitan muestras con al menos 2 valores distintos");
+        }
+    } else {
+        if (classes.length < 2) {
+            throw new Error("Se necesitan al menos 2 clases");
+        }
+        for (const cls of classes) {
+            if (cls.count < 8) {
+                throw new Error(`La clase "${cls.name}" necesita al menos 8 muestras`);
+            }
+        }
+    }
 
+    const opts = resolveTrainingOptions(options, getDefaultTrainingOptions());
+    const samples = [];
     classes.forEach((cls, classIndex) => {
-        cls.samples.forEach(s => {
-            allFeatures.push(s.tensor);
-            allLabels.push(classIndex);
+        cls.samples.forEach((s, sampleIndex) => {
+            samples.push({
+                tensor: s.tensor,
+                label: regression ? s.value / 100 : classIndex,
+                ref: { classIndex, sampleIndex }
+            });
         });
     });
 
-    const xs = tf.stack(allFeatures);
-    const ys = tf.oneHot(
-        tf.tensor1d(allLabels, "int32"),
-        classes.length
-    );
+    // Each class split on its own, so the validation rows come from every class
+    const split = splitRows(samples, opts.validationSplit, { classOf: s => s.ref.classIndex });
+    const toTensors = rows => ({
+        xs: tf.stack(rows.map(r => r.tensor)),
+        ys: regression
+            ? tf.tensor2d(rows.map(r => r.label), [rows.length, 1])
+            : tf.oneHot(tf.tensor1d(rows.map(r => r.label), "int32"), classes.length)
+    });
+    const trainSet = toTensors(split.train);
+    const valSet = split.validation.length ? toTensors(split.validation) : null;
 
     // Train a fresh head BEFORE disposing the old one.
     // Any in-flight predict() from the previous session is awaiting predictions.data()
@@ -216,27 +477,27 @@ async function train(onProgress) {
     const newHead = tf.sequential();
     newHead.add(tf.layers.dense({
         inputShape: [featureSize],
-        units: 100,
+        units: opts.hiddenUnits,
         activation: "relu",
         kernelRegularizer: tf.regularizers.l2({ l2: 0.001 })
     }));
     newHead.add(tf.layers.dense({
-        units: classes.length,
-        activation: "softmax"
+        units: regression ? 1 : classes.length,
+        activation: regression ? "linear" : "softmax"
     }));
 
     newHead.compile({
-        optimizer: tf.train.adam(0.0001),
-        loss: "categoricalCrossentropy",
-        metrics: ["accuracy"]
+        optimizer: tf.train.adam(opts.learningRate),
+        loss: regression ? "meanSquaredError" : "categoricalCrossentropy",
+        metrics: regression ? [] : ["accuracy"]
     });
 
-    const totalEpochs = 50;
-    const history = await newHead.fit(xs, ys, {
+    const totalEpochs = opts.epochs;
+    const history = await newHead.fit(trainSet.xs, trainSet.ys, {
         epochs: totalEpochs,
-        batchSize: 16,
+        batchSize: opts.batchSize,
         shuffle: true,
-        validationSplit: 0.15,
+        validationData: valSet ? [valSet.xs, valSet.ys] : undefined,
         callbacks: {
             onEpochEnd: (epoch, logs) => {
                 if (onProgress) onProgress(epoch, totalEpochs, logs);
@@ -244,30 +505,26 @@ async function train(onProgress) {
         }
     });
 
-    xs.dispose();
-    ys.dispose();
+    const validation = regression || !valSet ? null
+        : await evaluateValidation(newHead, valSet.xs, split.validation.map(r => r.ref), classes.length);
+    tf.dispose(valSet ? [trainSet, valSet] : trainSet);
 
     // Safe to dispose old head now — any in-flight predict() has completed
     if (head) head.dispose();
     head = newHead;
 
-    // Release samples — user must re-capture to retrain
-    classes.forEach(cls => {
-        cls.samples.forEach(s => s.tensor.dispose());
-        cls.samples = [];
-        cls.count = 0;
-    });
+    // Samples stay in memory, so adding a few and retraining extracts only the new ones
 
     const lastEpoch = history.history;
-    const finalAcc = lastEpoch.val_acc
-        ? lastEpoch.val_acc[lastEpoch.val_acc.length - 1]
-        : lastEpoch.acc[lastEpoch.acc.length - 1];
+    const accHistory = lastEpoch.val_acc || lastEpoch.acc;
+    const finalAcc = accHistory ? accHistory[accHistory.length - 1] : undefined;
     const finalLoss = lastEpoch.loss[lastEpoch.loss.length - 1];
 
     return {
         accuracy: finalAcc,
         loss: finalLoss,
-        epochs: totalEpochs
+        epochs: totalEpochs,
+        validation
     };
 }
 
@@ -276,24 +533,25 @@ async function train(onProgress) {
 // ============================================
 
 async function predict(canvas) {
-    if (!featureExtractor || !head) return [];
-
-    const ctx = captureCanvas.getContext("2d");
-    ctx.drawImage(canvas, 0, 0, 224, 224);
+    if (!featureExtractor || (!head && !instant)) return [];
 
-    const predictions = tf.tidy(() => {
-        const img = tf.browser.fromPixels(captureCanvas)
-            .toFloat().div(127.5).sub(1.0)
-            .expandDims(0);
-
-        const features = featureExtractor.predict(img);
-        const flat = features.reshape([1, -1]);
-        return head.predict(flat);
-    });
+    const features = extractFeatures(canvas);
+    if (instant) {
+        const knnPredictions = await knnPredict(features);
+        features.dispose();
+        return knnPredictions;
+    }
+    const predictions = tf.tidy(() => head.predict(features.expandDims(0)));
+    features.dispose();
 
     const probs = await predictions.data();
     predictions.dispose();
 
+    // Regression: the single output, back on the 0-1 scale of the targets
+    if (regression) {
+        return [{ className: classes[0].name, probability: Math.max(0, Math.min(1, probs[0])) }];
+    }
+
     return classes.map((cls, i) => ({
         className: cls.name,
         probability: probs[i]
@@ -304,16 +562,22 @@ async function predict(canvas) {
 // PERSISTENCE
 // ============================================
 
+/**
+ * Save the head, or only the class list in instant mode (its samples,
+ * saved with saveSamples, are the whole model).
+ */
 async function saveModel(projectId) {
-    if (!head) throw new Error("No hay modelo entrenado");
+    if (!head && !instant) throw new Error("No hay modelo entrenado");
 
     const storageKey = "tm-local-" + projectId;
-    await head.save("indexeddb://" + storageKey);
+    if (!instant) await saveHead(head, storageKey);
 
     return {
         source: "local",
         storageKey,
         classNames: classes.map(c => c.name),
+        regression,
+        instant,
         featureExtractor: "mobilenet_v1_0.25_224",
         trainedAt: new Date().toISOString()
     };
@@ -322,61 +586,71 @@ async function saveModel(projectId) {
 async function loadSavedModel(localModelInfo) {
     await initTrainer();
 
-    head = await tf.loadLayersModel(
-        "indexeddb://" + localModelInfo.storageKey
-    );
+    instant = !!localModelInfo.instant;
+    if (!instant) {
+        head = await loadHead(localModelInfo.storageKey);
+    }
 
     classes = localModelInfo.classNames.map(name => ({
         name, samples: [], count: 0
     }));
+    knnStale = true;
+    regression = !!localModelInfo.regression;
 }
 
 async function deleteModel(storageKey) {
-    try {
-        await tf.io.removeModel("indexeddb://" + storageKey);
-    } catch (e) {
-        console.warn("Could not remove model:", e);
-    }
+    await removeHead(storageKey);
 }
 
 // ============================================
-// INDEXEDDB HELPERS
+// SAMPLE PERSISTENCE
 // ============================================
 
-function idbOpen() {
+// Keys starting with a prefix
+async function idbKeys(prefix) {
+    const db = await idbOpen();
     return new Promise((resolve, reject) => {
-        const req = indexedDB.open('tm-microbit', 1);
-        req.onupgradeneeded = e => e.target.result.createObjectStore('samples');
-        req.onsuccess = e => resolve(e.target.result);
-        req.onerror = () => reject(req.error);
+        const tx = db.transaction('samples', 'readonly');
+        const req = tx.objectStore('samples').getAllKeys(IDBKeyRange.bound(prefix, prefix + '\uffff'));
+        req.onsuccess = () => { db.close(); resolve(req.result); };
+        req.onerror = () => { db.close(); reject(req.error); };
     });
 }
 
-async function idbPut(key, value) {
+// Values of several keys in one transaction (undefined for missing or null keys)
+async function idbGetMany(keys) {
     const db = await idbOpen();
     return new Promise((resolve, reject) => {
-        const tx = db.transaction('samples', 'readwrite');
-        tx.objectStore('samples').put(value, key);
-        tx.oncomplete = () => { db.close(); resolve(); };
+        const tx = db.transaction('samples', 'readonly');
+        const store = tx.objectStore('samples');
+        const values = new Array(keys.length);
+        keys.forEach((key, i) => {
+            if (key === null) return;
+            store.get(key).onsuccess = e => { values[i] = e.target.result; };
+        });
+        tx.oncomplete = () => { db.close(); resolve(values); };
         tx.onerror = () => { db.close(); reject(tx.error); };
     });
 }
 
-async function idbGet(key) {
+// [key, value] entries in one transaction
+async function idbPutMany(entries) {
+    if (!entries.length) return;
     const db = await idbOpen();
     return new Promise((resolve, reject) => {
-        const tx = db.transaction('samples', 'readonly');
-        const req = tx.objectStore('samples').get(key);
-        req.onsuccess = () => { db.close(); resolve(req.result); };
-        req.onerror = () => { db.close(); reject(req.error); };
+        const tx = db.transaction('samples', 'readwrite');
+        entries.forEach(([key, value]) => tx.objectStore('samples').put(value, key));
+        tx.oncomplete = () => { db.close(); resolve(); };
+        tx.onerror = () => { db.close(); reject(tx.error); };
     });
 }
 
-async function idbDelete(key) {
+async function idbDeleteMany(keys) {
+    if (!keys.length) return;
     const db = await idbOpen();
     return new Promise((resolve, reject) => {
         const tx = db.transaction('samples', 'readwrite');
-        tx.objectStore('samples').delete(key);
+        keys.forEach(key => tx.objectStore('samples').delete(key));
         tx.oncomplete = () => { db.close(); resolve(); };
         tx.onerror = () => { db.close(); reject(tx.error); };
     });
@@ -385,9 +659,10 @@ async function idbDelete(key) {
 async function saveSamples(projectId) {
     const data = [];
     classes.forEach((cls, ci) => {
-        cls.samples.forEach(s => data.push({ ci, img224: s.img224, thumb: s.thumb }));
+        cls.samples.forEach(s => data.push({ id: s.id, ci, img224: s.img224, thumb: s.thumb, value: s.value }));
     });
     await idbPut("tm-samples-" + projectId, data);
+    await saveFeatureCache(projectId, classes.flatMap(cls => cls.samples));
 }
 
 async function loadSamples(projectId) {
@@ -395,49 +670,38 @@ async function loadSamples(projectId) {
     if (!stored?.length) return;
 
     // Reset in-memory samples before loading to avoid duplication on repeated calls.
-    // Dispose tensors first to prevent WebGL memory leaks. In the current flow this
-    // loop is a no-op (train() already clears samples), but it protects the contract
-    // for future callers.
+    // Dispose tensors first to prevent WebGL memory leaks.
     classes.forEach(cls => {
         cls.samples.forEach(s => s.tensor.dispose());
         cls.samples = [];
         cls.count = 0;
     });
 
-    const loadCanvas = document.createElement("canvas");
-    loadCanvas.width = 224;
-    loadCanvas.height = 224;
-
-    for (const s of stored) {
-        if (!classes[s.ci]) continue;
-        await new Promise(res => {
-            const img = new Image();
-            img.onload = () => {
-                loadCanvas.getContext("2d").drawImage(img, 0, 0, 224, 224);
-                res();
-            };
-            img.src = s.img224;
-        });
-        const tensor = tf.tidy(() =>
-            featureExtractor.predict(
-                tf.browser.fromPixels(loadCanvas).toFloat().div(127.5).sub(1.0).expandDims(0)
-            ).flatten()
-        );
-        classes[s.ci].samples.push({ tensor, thumb: s.thumb, img224: s.img224 });
+    const samples = stored.filter(s => classes[s.ci]);
+    const features = await loadSampleFeatures(projectId, samples);
+    samples.forEach((s, i) => {
+        const { id, tensor } = features[i];
+        classes[s.ci].samples.push({ id, tensor, thumb: s.thumb, img224: s.img224, value: s.value });
         classes[s.ci].count++;
-    }
+    });
+    knnStale = true;
 }
 
 async function deleteSamplesDB(projectId) {
     await idbDelete("tm-samples-" + projectId);
+    await deleteFeatureCache(projectId);
 }
 
 // ============================================
 // CLEANUP
 // ============================================
 
+/**
+ * True when predict() has something to predict with: a head, or samples
+ * in instant mode.
+ */
 function isTrained() {
-    return head !== null;
+    return head !== null || (instant && classes.some(c => c.count > 0));
 }
 
 function dispose() {
@@ -447,6 +711,11 @@ function dispose() {
         cls.samples.forEach(s => s.tensor.dispose());
     });
     classes = [];
+    regression = false;
+    targetValue = 50;
+    instant = false;
+    if (knnMatrix) { knnMatrix.dispose(); knnMatrix = null; }
+    knnStale = true;
 
     if (head) { head.dispose(); head = null; }
     if (featureExtractor) {
@@ -458,9 +727,14 @@ function dispose() {
 }
 
 export {
-    initTrainer,
+    initTrainer, getFeatureSize,
+    extractFeatures, loadImageFeatures, captureFrame,
+    saveFeatureCache, loadSampleFeatures, deleteFeatureCache,
     addClass, removeClass, renameClass,
     clearSamples, getClasses, getClassNames, getTotalClasses,
+    setRegression, isRegression, setTargetValue, getTargetValue,
+    setInstant, isInstant,
+    getDefaultTrainingOptions,
     getSamples, deleteSample,
     captureOne, startCapture, stopCapture,
     train,
@@ -0,0 +1,70 @@
+/**
+ * knn.js
+ * k-nearest-neighbours over stored samples, for the instant mode of the
+ * image and pose trainers: predictions come straight from the samples,
+ * with no training step, and change as soon as a sample is captured.
+ * The trainers compute the distances (image features on the GPU, pose
+ * keypoints here); this module turns them into predictions.
+ * Pure logic, covered by tests/knn.test.mjs.
+ */
+
+// Neighbours that vote
+export const KNN_K = 3;
+
+/**
+ * Euclidean distance from a query to every row.
+ * @param {ArrayLike<number>[]} rows
+ * @param {ArrayLike<number>} query - Same length as each row
+ * @returns {number[]}
+ */
+export function euclideanDistances(rows, query) {
+    return rows.map(row => {
+        let sum = 0;
+        for (let i = 0; i < query.length; i++) {
+            const d = row[i] - query[i];
+            sum += d * d;
+        }
+        return Math.sqrt(sum);
+    });
+}
+
+/**
+ * Indices of the k smallest distances, nearest first
+ * @param {ArrayLike<number>} distances
+ * @param {number} k
+ * @returns {number[]}
+ */
+export function nearestIndices(distances, k) {
+    return Array.from(distances, (d, i) => i)
+        .sort((a, b) => distances[a] - distances[b])
+        .slice(0, k);
+}
+
+/**
+ * Class probabilities from the k nearest samples: each one votes for its
+ * class. With fewer than k samples, all of them vote.
+ * @param {ArrayLike<number>} distances - Distance to each sample
+ * @param {number[]} labels - Class index of each sample
+ * @param {number} numClasses
+ * @param {number} [k]
+ * @returns {number[]} numClasses probabilities (0-1, summing to 1), all 0 without samples
+ */
+export function knnVote(distances, labels, numClasses, k = KNN_K) {
+    const probs = new Array(numClasses).fill(0);
+    const nearest = nearestIndices(distances, k);
+    nearest.forEach(i => { probs[labels[i]] += 1 / nearest.length; });
+    return probs;
+}
+
+/**
+ * Regression value from the k nearest samples: the mean of their values.
+ * @param {ArrayLike<number>} distances - Distance to each sample
+ * @param {number[]} values - Target value of each sample
+ * @param {number} [k]
+ * @returns {number|null} null without samples
+ */
+export function knnMean(distances, values, k = KNN_K) {
+    const nearest = nearestIndices(distances, k);
+    if (!nearest.length) return null;
+    return nearest.reduce((sum, i) => sum + values[i], 0) / nearest.length;
+}
@@ -0,0 +1,561 @@
+/**
+ * motion-trainer.js
+ * Gesture trainer on the micro:bit's own accelerometer, read over the
+ * Bluetooth accelerometer service. Each sample is a fixed-length window
+ * of x/y/z readings; a small 1D-conv TF.js head classifies the windows.
+ * Same capture/train/predict/persist contract as pose-trainer.js.
+ */
+
+import { resolveTrainingOptions } from './training-options.js';
+import { splitRows, evaluateValidation } from './training-metrics.js';
+import { idbPut, idbGet, idbDelete, saveHead, loadHead, removeHead } from './trainer-storage.js';
+
+// micro:bit Bluetooth accelerometer service (MakeCode: bluetooth.startAccelerometerService())
+const ACCEL_SERVICE_UUID = 'e95d0753-251d-470a-a062-fa1922dfa9a8';
+const ACCEL_DATA_UUID = 'e95dca4b-251d-470a-a062-fa1922dfa9a8';
+const ACCEL_PERIOD_UUID = 'e95dfb24-251d-470a-a062-fa1922dfa9a8';
+
+const SAMPLE_PERIOD = 20;  // ms between readings (50 Hz)
+const WINDOW_SIZE = 50;    // readings per sample (1 s)
+const CAPTURE_HOP = 25;    // readings between windows while recording (50% overlap)
+const MAX_G = 2;           // default micro:bit range is ±2 g
+const featureSize = WINDOW_SIZE * 3;
+
+// Bluetooth sensor
+let sensorDevice = null;
+let sensorCharacteristic = null;
+let sensorDisconnectHandler = null;
+
+// Recent readings [{x, y, z}] in g, newest last (2 windows for the live chart)
+let readings = [];
+
+// TF.js classification head
+let head = null;
+
+// Classes and samples
+let classes = []; // [{name, samples: [{features: Float32Array, thumb: string}], count}]
+
+// Capture: class index being recorded, readings since the last window
+let captureClassIndex = null;
+let readingsSinceCapture = 0;
+
+// ============================================
+// SIGNAL HELPERS (pure)
+// ============================================
+
+/**
+ * Decode one accelerometer notification.
+ * Payload: x, y, z as little-endian int16 in milli-g.
+ * @param {DataView} view
+ * @returns {{x: number, y: number, z: number}} Acceleration in g
+ */
+function parseAccelerometerData(view) {
+    return {
+        x: view.getInt16(0, true) / 1000,
+        y: view.getInt16(2, true) / 1000,
+        z: view.getInt16(4, true) / 1000,
+    };
+}
+
+/**
+ * Flatten a window of readings to model features [x0, y0, z0, x1, …],
+ * scaled to roughly -1..1 and clamped.
+ * @param {{x: number, y: number, z: number}[]} window - WINDOW_SIZE readings
+ * @returns {Float32Array} featureSize values
+ */
+function windowToFeatures(window) {
+    const features = new Float32Array(featureSize);
+    const clamp = v => Math.max(-1, Math.min(1, v / MAX_G));
+    window.slice(-WINDOW_SIZE).forEach((r, i) => {
+        features[i * 3] = clamp(r.x);
+        features[i * 3 + 1] = clamp(r.y);
+        features[i * 3 + 2] = clamp(r.z);
+    });
+    return features;
+}
+
+/**
+ * Inverse of windowToFeatures, to draw stored samples
+ * @param {Float32Array|number[]} features
+ * @returns {{x: number, y: number, z: number}[]}
+ */
+function featuresToWindow(features) {
+    const window = [];
+    for (let i = 0; i < features.length; i += 3) {
+        window.push({ x: features[i] * MAX_G, y: features[i + 1] * MAX_G, z: features[i + 2] * MAX_G });
+    }
+    return window;
+}
+
+// ============================================
+// INIT & SENSOR
+// ============================================
+
+async function initTrainer() {
+    // TF.js is loaded globally; the sensor is connected on demand (needs a user gesture)
+    console.log("Motion trainer ready");
+}
+
+function isSensorSupported() {
+    return typeof navigator !== 'undefined' && !!navigator.bluetooth;
+}
+
+/**
+ * Open the Bluetooth chooser and subscribe to the accelerometer.
+ * The micro:bit program must start the accelerometer service.
+ */
+async function connectSensor() {
+    if (isSensorConnected()) return;
+
+    const device = await navigator.bluetooth.requestDevice({
+        filters: [{ namePrefix: 'BBC micro:bit' }],
+        optionalServices: [ACCEL_SERVICE_UUID]
+    });
+    sensorDevice = device;
+    device.addEventListener('gattserverdisconnected', onSensorDisconnected);
+
+    try {
+        const server = await device.gatt.connect();
+        // Missing when the program does not call bluetooth.startAccelerometerService()
+        const service = await server.getPrimaryService(ACCEL_SERVICE_UUID);
+
+        const period = await service.getCharacteristic(ACCEL_PERIOD_UUID);
+        const periodValue = new DataView(new ArrayBuffer(2));
+        periodValue.setUint16(0, SAMPLE_PERIOD, true);
+        await period.writeValue(periodValue);
+
+        sensorCharacteristic = await service.getCharacteristic(ACCEL_DATA_UUID);
+        sensorCharacteristic.addEventListener('characteristicvaluechanged', onSensorReading);
+        await sensorCharacteristic.startNotifications();
+    } catch (error) {
+        // Leave nothing half open: no listeners, no GATT link, no sensor state
+        device.removeEventListener('gattserverdisconnected', onSensorDisconnected);
+        sensorCharacteristic?.removeEventListener('characteristicvaluechanged', onSensorReading);
+        if (device.gatt.connected) device.gatt.disconnect();
+        sensorCharacteristic = null;
+        sensorDevice = null;
+        readings = [];
+        throw error;
+    }
+
+    readings = [];
+    console.log('✅ Accelerometer connected:', sensorDevice.name);
+}
+
+function disconnectSensor() {
+    if (sensorDevice?.gatt.connected) {
+        // Fires gattserverdisconnected, which runs the cleanup
+        sensorDevice.gatt.disconnect();
+    } else {
+        onSensorDisconnected();
+    }
+}
+
+function isSensorConnected() {
+    return sensorCharacteristic !== null && !!sensorDevice?.gatt?.connected;
+}
+
+function getSensorName() {
+    return sensorDevice?.name || 'micro:bit';
+}
+
+/**
+ * @param {function()} fn - Called when the sensor link is lost or closed
+ */
+function onSensorDisconnect(fn) {
+    sensorDisconnectHandler = fn;
+}
+
+function onSensorReading(event) {
+    readings.push(parseAccelerometerData(event.target.value));
+    if (readings.length > WINDOW_SIZE * 2) readings.shift();
+
+    if (captureClassIndex !== null && ++readingsSinceCapture >= CAPTURE_HOP) {
+        readingsSinceCapture = 0;
+        captureOne(captureClassIndex);
+    }
+}
+
+function onSensorDisconnected() {
+    stopCapture();
+    if (sensorCharacteristic) {
+        sensorCharacteristic.removeEventListener('characteristicvaluechanged', onSensorReading);
+    }
+    if (sensorDevice) {
+        sensorDevice.removeEventListener('gattserverdisconnected', onSensorDisconnected);
+    }
+    const wasConnected = sensorCharacteristic !== null;
+    sensorCharacteristic = null;
+    sensorDevice = null;
+    readings = [];
+    if (wasConnected && sensorDisconnectHandler) sensorDisconnectHandler();
+}
+
+/**
+ * The last full window of readings, or null if the sensor has not sent enough yet
+ */
+function getLastWindow() {
+    return readings.length >= WINDOW_SIZE ? readings.slice(-WINDOW_SIZE) : null;
+}
+
+// ============================================
+// CLASS MANAGEMENT
+// ============================================
+
+function addClass(name) {
+    classes.push({ name, samples: [], count: 0 });
+    return classes.length - 1;
+}
+
+function removeClass(index) {
+    classes.splice(index, 1);
+}
+
+function renameClass(index, newName) {
+    classes[index].name = newName;
+}
+
+function clearSamples(index) {
+    classes[index].samples = [];
+    classes[index].count = 0;
+}
+
+function getClasses() {
+    return classes.map(c => ({ name: c.name, count: c.count }));
+}
+
+function getClassNames() {
+    return classes.map(c => c.name);
+}
+
+function getTotalClasses() {
+    return classes.length;
+}
+
+// ============================================
+// SIGNAL DRAWING
+// ============================================
+
+const AXIS_COLORS = { x: '#e53935', y: '#43a047', z: '#1e88e5' };
+
+/**
+ * Draw x/y/z traces on a canvas context.
+ * @param {{x: number, y: number, z: number}[]} [window] - Readings to draw (default: recent readings)
+ */
+function drawSignal(ctx, width, height, window = readings) {
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.strokeStyle = '#ddd';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, height / 2);
+    ctx.lineTo(width, height / 2);
+    ctx.stroke();
+
+    if (window.length < 2) return;
+
+    const slots = Math.max(window.length, WINDOW_SIZE) - 1;
+    const px = i => (i / slots) * width;
+    const py = v => height / 2 - (Math.max(-MAX_G, Math.min(MAX_G, v)) / MAX_G) * (height / 2 - 2);
+
+    ctx.lineWidth = Math.max(1, width / 200);
+    for (const axis of ['x', 'y', 'z']) {
+        ctx.strokeStyle = AXIS_COLORS[axis];
+        ctx.beginPath();
+        window.forEach((r, i) => {
+            if (i === 0) ctx.moveTo(px(i), py(r[axis]));
+            else ctx.lineTo(px(i), py(r[axis]));
+        });
+        ctx.stroke();
+    }
+}
+
+function makeThumb(window) {
+    const thumbCanvas = document.createElement('canvas');
+    thumbCanvas.width = 80;
+    thumbCanvas.height = 80;
+    drawSignal(thumbCanvas.getContext('2d'), 80, 80, window);
+    return thumbCanvas.toDataURL('image/jpeg', 0.6);
+}
+
+// ============================================
+// CAPTURE
+// ============================================
+
+/**
+ * Store the last second of motion as a sample.
+ * Returns false if the sensor is not connected or has not filled a window yet.
+ */
+function captureOne(classIndex) {
+    const window = getLastWindow();
+    if (!window || !classes[classIndex]) return false;
+
+    classes[classIndex].samples.push({ features: windowToFeatures(window), thumb: makeThumb(window) });
+    classes[classIndex].count++;
+    return true;
+}
+
+/**
+ * Record overlapping windows while the student repeats the gesture
+ */
+function startCapture(classIndex) {
+    stopCapture();
+    captureOne(classIndex);
+    captureClassIndex = classIndex;
+    readingsSinceCapture = 0;
+}
+
+function stopCapture() {
+    captureClassIndex = null;
+}
+
+// ============================================
+// SAMPLE ACCESS
+// ============================================
+
+function getSamples(classIndex) {
+    return classes[classIndex].samples.map((s, i) => ({
+        index: i,
+        thumb: s.thumb
+    }));
+}
+
+function deleteSample(classIndex, sampleIndex) {
+    classes[classIndex].samples.splice(sampleIndex, 1);
+    classes[classIndex].count--;
+}
+
+// ============================================
+// TRAINING
+// ============================================
+
+/**
+ * Hyperparameters used when train() gets none. The conv filters are fixed,
+ * so there are no hidden units to choose.
+ */
+function getDefaultTrainingOptions() {
+    return { epochs: 50, batchSize: 16, learningRate: 0.001, validationSplit: 0.15 };
+}
+
+/**
+ * @param {function} [onProgress] - (epoch, totalEpochs, logs) after each epoch
+ * @param {object} [options] - Partial hyperparameters (see training-options.js)
+ */
+async function train(onProgress, options) {
+    if (classes.length < 2) {
+        throw new Error("Se necesitan al menos 2 clases");
+    }
+    for (const cls of classes) {
+        if (cls.count < 8) {
+            throw new Error(`La clase "${cls.name}" necesita al menos 8 muestras`);
+        }
+    }
+
+    const opts = resolveTrainingOptions(options, getDefaultTrainingOptions());
+    const samples = [];
+    classes.forEach((cls, classIndex) => {
+        cls.samples.forEach((s, sampleIndex) => samples.push({
+            features: Array.from(s.features),
+            label: classIndex,
+            ref: { classIndex, sampleIndex }
+        }));
+    });
+
+    // Shuffled and split per class: recording keeps overlapping windows
+    // class after class, so the last rows would all be one class
+    const split = splitRows(samples, opts.validationSplit, { classOf: s => s.label });
+    const toTensors = rows => ({
+        xs: tf.tensor3d(rows.flatMap(r => r.features), [rows.length, WINDOW_SIZE, 3]),
+        ys: tf.oneHot(tf.tensor1d(rows.map(r => r.label), 'int32'), classes.length)
+    });
+    const trainSet = toTensors(split.train);
+    const valSet = split.validation.length ? toTensors(split.validation) : null;
+
+    const newHead = tf.sequential();
+    newHead.add(tf.layers.conv1d({
+        inputShape: [WINDOW_SIZE, 3],
+        filters: 16,
+        kernelSize: 5,
+        activation: 'relu'
+    }));
+    newHead.add(tf.layers.maxPooling1d({ poolSize: 2 }));
+    newHead.add(tf.layers.conv1d({
+        filters: 32,
+        kernelSize: 3,
+        activation: 'relu'
+    }));
+    newHead.add(tf.layers.globalAveragePooling1d());
+    newHead.add(tf.layers.dense({
+        units: classes.length,
+        activation: 'softmax'
+    }));
+
+    newHead.compile({
+        optimizer: tf.train.adam(opts.learningRate),
+        loss: 'categoricalCrossentropy',
+        metrics: ['accuracy']
+    });
+
+    const totalEpochs = opts.epochs;
+    await newHead.fit(trainSet.xs, trainSet.ys, {
+        epochs: totalEpochs,
+        batchSize: opts.batchSize,
+        shuffle: true,
+        validationData: valSet ? [valSet.xs, valSet.ys] : undefined,
+        callbacks: {
+            onEpochEnd: (epoch, logs) => {
+                if (onProgress) onProgress(epoch, totalEpochs, logs);
+            }
+        }
+    });
+
+    const validation = valSet
+        ? await evaluateValidation(newHead, valSet.xs, split.validation.map(r => r.ref), classes.length)
+        : null;
+    tf.dispose(valSet ? [trainSet, valSet] : trainSet);
+
+    if (head) head.dispose();
+    head = newHead;
+
+    return { epochs: totalEpochs, validation };
+}
+
+// ============================================
+// PREDICTION
+// ============================================
+
+/**
+ * Predict the gesture in the last second of motion.
+ * Returns [{className, probability}] or empty array if there is no full window.
+ */
+async function predict() {
+    if (!head) return [];
+
+    const window = getLastWindow();
+    if (!window) return [];
+
+    const prediction = tf.tidy(() => {
+        const input = tf.tensor3d(windowToFeatures(window), [1, WINDOW_SIZE, 3]);
+        return head.predict(input);
+    });
+
+    const probs = await prediction.data();
+    prediction.dispose();
+
+    return classes.map((cls, i) => ({
+        className: cls.name,
+        probability: probs[i]
+    }));
+}
+
+// ============================================
+// PERSISTENCE
+// ============================================
+
+async function saveModel(projectId) {
+    if (!head) throw new Error("No hay modelo entrenado");
+
+    const storageKey = 'tm-motion-local-' + projectId;
+    await saveHead(head, storageKey);
+
+    return {
+        source: 'local-motion',
+        storageKey,
+        classNames: classes.map(c => c.name),
+        windowSize: WINDOW_SIZE,
+        samplePeriod: SAMPLE_PERIOD,
+        trainedAt: new Date().toISOString()
+    };
+}
+
+async function loadSavedModel(localModelInfo) {
+    await initTrainer();
+
+    head = await loadHead(localModelInfo.storageKey);
+
+    classes = localModelInfo.classNames.map(name => ({
+        name, samples: [], count: 0
+    }));
+}
+
+async function deleteModel(storageKey) {
+    await removeHead(storageKey);
+}
+
+// ============================================
+// SAMPLE PERSISTENCE
+// ============================================
+
+async function saveSamples(projectId) {
+    const data = [];
+    classes.forEach((cls, ci) => {
+        cls.samples.forEach(s => {
+            data.push({
+                ci,
+                features: Array.from(s.features),
+                thumb: s.thumb
+            });
+        });
+    });
+    await idbPut('tm-motion-samples-' + projectId, data);
+}
+
+async function loadSamples(projectId) {
+    const stored = await idbGet('tm-motion-samples-' + projectId);
+    if (!stored?.length) return;
+
+    // Reset in-memory samples before loading to avoid duplication on repeated calls
+    classes.forEach(cls => {
+        cls.samples = [];
+        cls.count = 0;
+    });
+
+    for (const s of stored) {
+        if (!classes[s.ci]) continue;
+        classes[s.ci].samples.push({
+            features: new Float32Array(s.features),
+            thumb: s.thumb
+        });
+        classes[s.ci].count++;
+    }
+}
+
+async function deleteSamplesDB(projectId) {
+    await idbDelete('tm-motion-samples-' + projectId);
+}
+
+// ============================================
+// CLEANUP
+// ============================================
+
+function isTrained() {
+    return head !== null;
+}
+
+function dispose() {
+    stopCapture();
+
+    classes = [];
+
+    if (head) { head.dispose(); head = null; }
+
+    disconnectSensor();
+}
+
+export {
+    initTrainer,
+    isSensorSupported, connectSensor, disconnectSensor, isSensorConnected, getSensorName, onSensorDisconnect,
+    addClass, removeClass, renameClass,
+    clearSamples, getClasses, getClassNames, getTotalClasses,
+    getSamples, deleteSample,
+    captureOne, startCapture, stopCapture,
+    getDefaultTrainingOptions, train,
+    predict,
+    drawSignal, getLastWindow,
+    parseAccelerometerData, windowToFeatures, featuresToWindow,
+    saveModel, loadSavedModel, deleteModel,
+    saveSamples, loadSamples, deleteSamplesDB,
+    isTrained, dispose,
+    WINDOW_SIZE
+};
@@ -0,0 +1,204 @@
+/**
+ * output-policy.js
+ * Decides which predictions are sent to the micro:bit, so the UART link
+ * is not flooded with one identical message per inference frame.
+ * Pure logic (no DOM, no Bluetooth): shared by the image/pose loops and
+ * the audio listen callback, and covered by tests/output-policy.test.mjs.
+ * Regression models, which predict a value instead of a class, use
+ * createValuePolicy.
+ */
+
+export const DEFAULT_OUTPUT_POLICY = {
+    mode: 'rate',    // 'change' | 'rate' | 'always'
+    maxRate: 5,      // messages per second in 'rate' mode
+    hysteresis: 5,   // confidence points a new class must lead the reported one by
+    minDwell: 200,   // ms a new class must stay on top before it is reported
+    thresholds: {},  // className → minimum confidence (0-100) to be reported
+    unknown: 'send', // 'send' | 'none': what to do when no class passes its threshold
+    unknownLabel: 'Desconocido',
+};
+
+// Projects saved before the output policy existed sent every prediction
+// right away; they keep doing so until their settings are saved
+export const LEGACY_OUTPUT_POLICY = {
+    mode: 'always',
+    hysteresis: 0,
+    minDwell: 0,
+};
+
+/**
+ * Output policy of a project: its saved settings over the defaults. A
+ * project without outputSettings predates the policy and gets
+ * LEGACY_OUTPUT_POLICY, so existing micro:bit programs see no change.
+ * @param {object} [outputSettings] - The project's saved settings
+ * @returns {object}
+ */
+export function projectOutputPolicy(outputSettings) {
+    return { ...DEFAULT_OUTPUT_POLICY, ...(outputSettings ? {} : LEGACY_OUTPUT_POLICY), ...outputSettings };
+}
+
+// Reported "class" while no class passes its threshold. Not a string, so it
+// cannot collide with a class that happens to be called "Desconocido".
+const UNKNOWN = Symbol('unknown');
+
+/**
+ * Arg-max of a prediction list, without reordering it.
+ * @param {{className: string, probability: number}[]} predictions
+ * @returns {{index: number, className: string, confidence: number}|null} confidence in 0-100
+ */
+export function findWinner(predictions) {
+    if (!predictions?.length) return null;
+    let winnerIdx = 0;
+    predictions.forEach((pred, i) => {
+        if ((pred.probability ?? 0) > (predictions[winnerIdx].probability ?? 0)) winnerIdx = i;
+    });
+    const top = predictions[winnerIdx];
+    return { index: winnerIdx, className: top.className, confidence: (top.probability ?? 0) * 100 };
+}
+
+/**
+ * Arg-max with per-class minimum confidences.
+ * @param {{className: string, probability: number}[]} predictions
+ * @param {Object<string, number>} [thresholds] - className → minimum confidence 0-100
+ * @returns {{index: number, className: string, confidence: number, known: boolean}|null}
+ *          known is false when the winner does not reach its class threshold
+ */
+export function resolveWinner(predictions, thresholds = {}) {
+    const winner = findWinner(predictions);
+    if (!winner) return null;
+    return { ...winner, known: winner.confidence >= (thresholds[winner.className] ?? 0) };
+}
+
+/**
+ * Create a stateful output policy.
+ *
+ * The reported class only changes when a challenger leads it by at least
+ * `hysteresis` points for `minDwell` ms. A winner below its class threshold
+ * counts as "unknown"; switching to or from unknown only waits `minDwell`.
+ * Unknown is sent as `unknownLabel`, or not at all when `unknown` is 'none'.
+ * Then, depending on `mode`:
+ *  - 'change': send only when the reported class changes
+ *  - 'rate':   send the reported class at most `maxRate` times per second
+ *  - 'always': send the reported class on every frame
+ *
+ * @param {object} [options] - Overrides for DEFAULT_OUTPUT_POLICY
+ * @returns {{update: function(Array, number): ({className: string, confidence: number, index: number}|null), reset: function()}}
+ */
+export function createOutputPolicy(options = {}) {
+    const opts = { ...DEFAULT_OUTPUT_POLICY, ...options };
+
+    let reported = null;      // class name currently reported
+    let candidate = null;     // challenger class name
+    let candidateSince = 0;
+    let lastSentAt = -Infinity;
+    let changed = false;      // reported class changed and has not been sent yet
+
+    function reset() {
+        reported = null;
+        candidate = null;
+        candidateSince = 0;
+        lastSentAt = -Infinity;
+        changed = false;
+    }
+
+    /**
+     * Feed one frame of predictions.
+     * @param {{className: string, probability: number}[]} predictions
+     * @param {number} now - Timestamp in ms (performance.now() or Date.now())
+     * @returns {{className: string, confidence: number, index: number}|null} Message to send
+     *          (index is -1 for unknown), or null
+     */
+    function update(predictions, now) {
+        const winner = resolveWinner(predictions, opts.thresholds);
+        if (!winner) return null;
+        const label = winner.known ? winner.className : UNKNOWN;
+
+        if (reported === null) {
+            reported = label;
+            changed = true;
+        } else if (label === reported) {
+            candidate = null;
+        } else {
+            let lead = Infinity;
+            if (label !== UNKNOWN && reported !== UNKNOWN) {
+                const reportedPred = predictions.find(p => p.className === reported);
+                lead = winner.confidence - (reportedPred?.probability ?? 0) * 100;
+            }
+            if (lead < opts.hysteresis) {
+                candidate = null;
+            } else {
+                if (candidate !== label) {
+                    candidate = label;
+                    candidateSince = now;
+                }
+                if (now - candidateSince >= opts.minDwell) {
+                    reported = label;
+                    candidate = null;
+                    changed = true;
+                }
+            }
+        }
+
+        let message;
+        if (reported === UNKNOWN) {
+            if (opts.unknown === 'none') {
+                changed = false;
+                return null;
+            }
+            message = { className: opts.unknownLabel, confidence: winner.confidence, index: -1 };
+        } else {
+            const index = predictions.findIndex(p => p.className === reported);
+            message = { className: reported, confidence: (predictions[index]?.probability ?? 0) * 100, index };
+        }
+
+        if (opts.mode === 'change') {
+            if (!changed) return null;
+        } else if (opts.mode === 'rate') {
+            if (now - lastSentAt < 1000 / opts.maxRate) return null;
+        }
+
+        changed = false;
+        lastSentAt = now;
+        return message;
+    }
+
+    return { update, reset };
+}
+
+/**
+ * Create an output policy for regression models, whose single prediction
+ * is a continuous value (probability 0-1) rather than a class.
+ * The value is sent as a whole number 0-100 under the same `mode` and
+ * `maxRate` as classes; in 'change' mode it is only sent when that number
+ * changes, still at most `maxRate` times per second so a moving value
+ * does not flood the link. Hysteresis, dwell and thresholds do not apply.
+ *
+ * @param {object} [options] - Overrides for DEFAULT_OUTPUT_POLICY
+ * @returns {{update: function(Array, number): ({className: string, confidence: number, index: number}|null), reset: function()}}
+ */
+export function createValuePolicy(options = {}) {
+    const opts = { ...DEFAULT_OUTPUT_POLICY, ...options };
+
+    let lastSent = null;
+    let lastSentAt = -Infinity;
+
+    function reset() {
+        lastSent = null;
+        lastSentAt = -Infinity;
+    }
+
+    function update(predictions, now) {
+        const pred = predictions?.[0];
+        if (!pred) return null;
+        const value = Math.max(0, Math.min(100, Math.round((pred.probability ?? 0) * 100)));
+
+        if (opts.mode === 'change' && value === lastSent) return null;
+        if (opts.mode !== 'always' && now - lastSentAt < 1000 / opts.maxRate) return null;
+
+        lastSent = value;
+        lastSentAt = now;
+        return { className: pred.className, confidence: value, index: 0 };
+    }
+
+    return { update, reset };
+}
@@ -0,0 +1,182 @@
+/**
+ * pose-features.js
+ * Turns PoseLandmarker keypoints into classifier features.
+ * Samples keep the raw keypoints (x, y, z, visibility); the normalization
+ * chosen for a model is applied the same way when training and predicting,
+ * so it can be changed and retrained without capturing again.
+ * Also the fixed-rate frame buffer behind pose sequences, and the
+ * ordering that numbers people when several are tracked.
+ * Pure logic, covered by tests/pose-features.test.mjs.
+ */
+
+export const POSE_KEYPOINTS = 33;
+export const KEYPOINT_STRIDE = 4; // x, y, z, visibility
+
+export const DEFAULT_POSE_NORMALIZATION = {
+    normalize: false,  // center on the hip midpoint and scale by torso length
+    dropZ: false,      // ignore depth, which PoseLandmarker estimates poorly
+    minVisibility: 0,  // keypoints below this visibility are zeroed (0 = keep all)
+    mirror: false,     // treat a pose and its left/right mirror as the same
+};
+
+// Landmark indices
+const LEFT_SHOULDER = 11, RIGHT_SHOULDER = 12;
+const LEFT_HIP = 23, RIGHT_HIP = 24;
+
+// Left/right landmark pairs swapped when mirroring (the nose, 0, has no pair)
+const MIRROR_PAIRS = [
+    [1, 4], [2, 5], [3, 6], [7, 8], [9, 10],
+    [11, 12], [13, 14], [15, 16], [17, 18], [19, 20], [21, 22],
+    [23, 24], [25, 26], [27, 28], [29, 30], [31, 32],
+];
+
+/**
+ * @param {object} [options] - Partial normalization, missing fields use the defaults
+ * @returns {object} Complete normalization options
+ */
+export function resolveNormalization(options) {
+    return { ...DEFAULT_POSE_NORMALIZATION, ...(options || {}) };
+}
+
+/**
+ * Flatten PoseLandmarker landmarks to [x0, y0, z0, v0, x1, …].
+ * @param {{x: number, y: number, z: number, visibility?: number}[]} landmarks - 33 landmarks
+ * @returns {Float32Array} POSE_KEYPOINTS × KEYPOINT_STRIDE values
+ */
+export function landmarksToKeypoints(landmarks) {
+    const keypoints = new Float32Array(POSE_KEYPOINTS * KEYPOINT_STRIDE);
+    for (let i = 0; i < POSE_KEYPOINTS; i++) {
+        const lm = landmarks[i];
+        keypoints[i * KEYPOINT_STRIDE]     = lm.x;
+        keypoints[i * KEYPOINT_STRIDE + 1] = lm.y;
+        keypoints[i * KEYPOINT_STRIDE + 2] = lm.z;
+        keypoints[i * KEYPOINT_STRIDE + 3] = lm.visibility ?? 1;
+    }
+    return keypoints;
+}
+
+/**
+ * Samples saved before keypoints were stored held [x, y, z] only.
+ * @param {ArrayLike<number>} features - 99 values
+ * @returns {Float32Array} Keypoints with visibility 1
+ */
+export function legacyFeaturesToKeypoints(features) {
+    const keypoints = new Float32Array(POSE_KEYPOINTS * KEYPOINT_STRIDE);
+    for (let i = 0; i < POSE_KEYPOINTS; i++) {
+        keypoints[i * KEYPOINT_STRIDE]     = features[i * 3];
+        keypoints[i * KEYPOINT_STRIDE + 1] = features[i * 3 + 1];
+        keypoints[i * KEYPOINT_STRIDE + 2] = features[i * 3 + 2];
+        keypoints[i * KEYPOINT_STRIDE + 3] = 1;
+    }
+    return keypoints;
+}
+
+/**
+ * Left/right mirror of a pose: x flipped around the image center and
+ * each left landmark swapped with its right counterpart.
+ * @param {Float32Array} keypoints
+ * @returns {Float32Array}
+ */
+export function mirrorKeypoints(keypoints) {
+    const mirrored = Float32Array.from(keypoints);
+    for (let i = 0; i < POSE_KEYPOINTS; i++) {
+        mirrored[i * KEYPOINT_STRIDE] = 1 - keypoints[i * KEYPOINT_STRIDE];
+    }
+    for (const [a, b] of MIRROR_PAIRS) {
+        for (let k = 0; k < KEYPOINT_STRIDE; k++) {
+            const tmp = mirrored[a * KEYPOINT_STRIDE + k];
+            mirrored[a * KEYPOINT_STRIDE + k] = mirrored[b * KEYPOINT_STRIDE + k];
+            mirrored[b * KEYPOINT_STRIDE + k] = tmp;
+        }
+    }
+    return mirrored;
+}
+
+/**
+ * Number of features produced for a normalization
+ * @param {object} [options]
+ */
+export function poseFeatureSize(options) {
+    return POSE_KEYPOINTS * (resolveNormalization(options).dropZ ? 2 : 3);
+}
+
+/**
+ * Keypoints to classifier features.
+ * @param {Float32Array} keypoints - From landmarksToKeypoints
+ * @param {object} [options] - Normalization (see DEFAULT_POSE_NORMALIZATION)
+ * @returns {Float32Array} poseFeatureSize(options) values
+ */
+export function keypointsToFeatures(keypoints, options) {
+    const opts = resolveNormalization(options);
+    const dims = opts.dropZ ? 2 : 3;
+    const at = (i, k) => keypoints[i * KEYPOINT_STRIDE + k];
+
+    let cx = 0, cy = 0, cz = 0, scale = 1;
+    if (opts.normalize) {
+        cx = (at(LEFT_HIP, 0) + at(RIGHT_HIP, 0)) / 2;
+        cy = (at(LEFT_HIP, 1) + at(RIGHT_HIP, 1)) / 2;
+        cz = (at(LEFT_HIP, 2) + at(RIGHT_HIP, 2)) / 2;
+        const sx = (at(LEFT_SHOULDER, 0) + at(RIGHT_SHOULDER, 0)) / 2;
+        const sy = (at(LEFT_SHOULDER, 1) + at(RIGHT_SHOULDER, 1)) / 2;
+        // Torso length; a degenerate detection keeps the raw scale
+        scale = Math.hypot(sx - cx, sy - cy) || 1;
+    }
+
+    const features = new Float32Array(POSE_KEYPOINTS * dims);
+    for (let i = 0; i < POSE_KEYPOINTS; i++) {
+        if (at(i, 3) < opts.minVisibility) continue;
+        features[i * dims]     = (at(i, 0) - cx) / scale;
+        features[i * dims + 1] = (at(i, 1) - cy) / scale;
+        if (!opts.dropZ) features[i * dims + 2] = (at(i, 2) - cz) / scale;
+    }
+    return features;
+}
+
+/**
+ * Number the people in a detection from left to right, by hip midpoint,
+ * so "person 1" stays the leftmost one on screen from frame to frame
+ * (MediaPipe returns them in no particular order). People who swap
+ * places swap numbers too.
+ * @param {{x: number}[][]} people - Landmarks of each detected person
+ * @returns {{x: number}[][]} The same landmarks, leftmost person first
+ */
+export function orderPeople(people) {
+    const hipX = lms => (lms[LEFT_HIP].x + lms[RIGHT_HIP].x) / 2;
+    return [...people].sort((a, b) => hipX(a) - hipX(b));
+}
+
+/**
+ * Fixed-rate buffer of the most recent pose frames, for sequence models.
+ * Frames arrive whenever a detection runs (every animation frame or every
+ * inference); only one per `interval` ms is kept so a window always spans
+ * the same time. A gap longer than `maxGap` intervals without a pose
+ * empties the buffer, so a window never joins two separate movements.
+ * @param {number} length - Frames per window
+ * @param {number} interval - ms between kept frames
+ * @param {number} [maxGap]
+ * @returns {{push: function(*, number), miss: function(number), window: function(): (Array|null), clear: function()}}
+ */
+export function createFrameBuffer(length, interval, maxGap = 3) {
+    let frames = [];
+    let lastAt = -Infinity;
+
+    return {
+        push(frame, now) {
+            if (now - lastAt < interval) return;
+            if (now - lastAt > interval * maxGap) frames = [];
+            frames.push(frame);
+            if (frames.length > length) frames.shift();
+            lastAt = now;
+        },
+        miss(now) {
+            if (now - lastAt > interval * maxGap) frames = [];
+        },
+        window() {
+            return frames.length === length ? frames.slice() : null;
+        },
+        clear() {
+            frames = [];
+            lastAt = -Infinity;
+        },
+    };
+}
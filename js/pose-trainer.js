@@ -2,23 +2,72 @@
  * pose-trainer.js
  * Transfer learning module: MediaPipe PoseLandmarker + TF.js trainable head.
  * Extracts 33 body keypoints as features, trains a lightweight classifier.
+ * In sequence mode each sample is a short window of frames and the head is
+ * a 1D convolution over time, to learn movements (jump, wave, clap).
+ * Up to MAX_PEOPLE people can be tracked at prediction time, each one
+ * classified on its own; samples are always taken from person 1.
+ * In regression mode the head has a single linear output trained with MSE,
+ * and every sample carries a target value (0-100) instead of a class.
+ * In instant mode there is no head: predictions come from the nearest
+ * samples (knn.js), by Euclidean distance between pose features.
  */
 
+import {
+    DEFAULT_POSE_NORMALIZATION, resolveNormalization, landmarksToKeypoints, legacyFeaturesToKeypoints,
+    mirrorKeypoints, poseFeatureSize, keypointsToFeatures, orderPeople, createFrameBuffer
+} from './pose-features.js';
+import { KNN_K, euclideanDistances, knnVote, knnMean } from './knn.js';
+import { resolveTrainingOptions } from './training-options.js';
+import { splitRows, evaluateValidation } from './training-metrics.js';
+import { idbPut, idbGet, idbDelete, saveHead, loadHead, removeHead } from './trainer-storage.js';
+
+// Sequence mode: SEQUENCE_FRAMES frames SEQUENCE_INTERVAL ms apart (1.5 s per sample)
+const SEQUENCE_FRAMES = 20;
+const SEQUENCE_INTERVAL = 75;
+
+// People tracked at once (each one costs detection time)
+const MAX_PEOPLE = 4;
+
+// Skeleton color of each person: person 1 green, 2 orange, 3 cyan, 4 magenta
+const PERSON_COLORS = ['#00ff00', '#ff9800', '#00bcd4', '#ff4081'];
+
 // MediaPipe pose detector
 let poseLandmarker = null;
+let maxPeople = 1;
 
 // TF.js classification head
 let head = null;
-const featureSize = 99; // 33 keypoints × 3 (x, y, z)
+
+// Normalization for the next training, and the one the current head was trained with
+let normalization = { ...DEFAULT_POSE_NORMALIZATION };
+let headNormalization = { ...DEFAULT_POSE_NORMALIZATION };
+
+// 'static' (one frame per sample) | 'sequence' (SEQUENCE_FRAMES frames per sample)
+let mode = 'static';
+
+// Regression: one "class" holds every sample, each tagged with targetValue at capture
+let regression = false;
+let targetValue = 50;
+
+// Instant mode: k-nearest-neighbours over the samples instead of the head
+let instant = false;
+
+// {rows, labels} of every sample for knnPredict(), built on first use;
+// null after the samples, their labels or the normalization change
+let knnRows = null;
+
+// Recent frames of each person, fed by every detection, for sequence capture and prediction
+const frameBuffers = Array.from({ length: MAX_PEOPLE }, () => createFrameBuffer(SEQUENCE_FRAMES, SEQUENCE_INTERVAL));
 
 // Classes and samples
-let classes = []; // [{name, samples: [{features: Float32Array, thumb: string}], count}]
+// Static samples hold {keypoints}, sequence samples {frames: keypoints[]}
+let classes = []; // [{name, samples: [{keypoints|frames, thumb: string, value?: number}], count}]
 
 // Capture
 let captureIntervalId = null;
 
-// Last detected pose (for skeleton overlay)
-let lastLandmarks = null;
+// Last detected people, leftmost first (for skeleton overlay)
+let lastPeople = [];
 
 // ============================================
 // INIT
@@ -45,7 +94,7 @@ async function initTrainer() {
             delegate: "GPU"
         },
         runningMode: "VIDEO",
-        numPoses: 1
+        numPoses: maxPeople
     });
 
     console.log("Pose trainer ready");
@@ -62,6 +111,7 @@ function addClass(name) {
 
 function removeClass(index) {
     classes.splice(index, 1);
+    knnRows = null;
 }
 
 function renameClass(index, newName) {
@@ -71,6 +121,7 @@ function renameClass(index, newName) {
 function clearSamples(index) {
     classes[index].samples = [];
     classes[index].count = 0;
+    knnRows = null;
 }
 
 function getClasses() {
@@ -85,45 +136,134 @@ function getTotalClasses() {
     return classes.length;
 }
 
+/**
+ * Choose the feature normalization used by the next train().
+ * The current head keeps predicting with the one it was trained with.
+ * @param {object} options - See DEFAULT_POSE_NORMALIZATION in pose-features.js
+ */
+function setNormalization(options) {
+    normalization = resolveNormalization(options);
+    knnRows = null;
+}
+
+function getNormalization() {
+    return { ...normalization };
+}
+
+/**
+ * Choose static postures or movements. Samples of one mode cannot train
+ * the other, so this is fixed per project and set before capturing.
+ * @param {string} newMode - 'static' | 'sequence'
+ */
+function setMode(newMode) {
+    mode = newMode === 'sequence' ? 'sequence' : 'static';
+    frameBuffers.forEach(buffer => buffer.clear());
+}
+
+function getMode() {
+    return mode;
+}
+
+/**
+ * Number of people tracked (1 to MAX_PEOPLE). Applies right away, the
+ * trained head is the same for everyone.
+ * @param {number} count
+ */
+async function setMaxPeople(count) {
+    const people = Math.min(MAX_PEOPLE, Math.max(1, Math.round(count) || 1));
+    if (people === maxPeople) return;
+    maxPeople = people;
+    frameBuffers.forEach(buffer => buffer.clear());
+    if (poseLandmarker) await poseLandmarker.setOptions({ numPoses: maxPeople });
+}
+
+function getMaxPeople() {
+    return maxPeople;
+}
+
+/**
+ * Predict a continuous value instead of classes. Fixed per project and
+ * set before capturing, like the mode.
+ * @param {boolean} on
+ */
+function setRegression(on) {
+    regression = !!on;
+    knnRows = null;
+}
+
+function isRegression() {
+    return regression;
+}
+
+/**
+ * Target value (0-100) given to the samples captured from now on.
+ */
+function setTargetValue(value) {
+    targetValue = Math.max(0, Math.min(100, Math.round(value)));
+}
+
+function getTargetValue() {
+    return targetValue;
+}
+
+/**
+ * Predict from the samples themselves (k-nearest-neighbours, with the
+ * current normalization) instead of a trained head. Switching back uses
+ * the head again, if there is one.
+ * @param {boolean} on
+ */
+function setInstant(on) {
+    instant = !!on;
+}
+
+function isInstant() {
+    return instant;
+}
+
 // ============================================
 // KEYPOINT EXTRACTION
 // ============================================
 
 /**
- * Extract 33 keypoints from an image source (canvas or video element).
- * Returns Float32Array(99) with [x,y,z] per keypoint, or null if no pose detected.
+ * Extract 33 keypoints of every person from an image source (canvas or
+ * video element), leftmost person first.
+ * Returns raw keypoints (see landmarksToKeypoints) per person, empty if no pose detected.
  */
-function extractKeypoints(imageSource, timestamp) {
-    if (!poseLandmarker) return null;
+function extractPeople(imageSource, timestamp) {
+    if (!poseLandmarker) return [];
 
     let result;
     try {
         result = poseLandmarker.detectForVideo(imageSource, timestamp);
     } catch (e) {
-        return null;
-    }
-
-    if (!result.landmarks || result.landmarks.length === 0) {
-        lastLandmarks = null;
-        return null;
+        return [];
     }
 
-    const landmarks = result.landmarks[0]; // first (and only) person
-    lastLandmarks = landmarks;
+    lastPeople = orderPeople(result.landmarks || []).slice(0, maxPeople);
 
-    // Flatten to [x0, y0, z0, x1, y1, z1, ...]
-    const features = new Float32Array(featureSize);
-    for (let i = 0; i < 33; i++) {
-        features[i * 3]     = landmarks[i].x;
-        features[i * 3 + 1] = landmarks[i].y;
-        features[i * 3 + 2] = landmarks[i].z;
-    }
+    return frameBuffers.map((buffer, i) => {
+        if (!lastPeople[i]) {
+            buffer.miss(timestamp);
+            return null;
+        }
+        const keypoints = landmarksToKeypoints(lastPeople[i]);
+        buffer.push(keypoints, timestamp);
+        return keypoints;
+    }).filter(Boolean);
+}
 
-    return features;
+/**
+ * Keypoints of person 1 only (see extractPeople), or null if no pose detected.
+ */
+function extractKeypoints(imageSource, timestamp) {
+    return extractPeople(imageSource, timestamp)[0] ?? null;
 }
 
+/**
+ * Landmarks of every person in the last detection, or null if nobody was seen
+ */
 function getLastLandmarks() {
-    return lastLandmarks;
+    return lastPeople.length ? lastPeople : null;
 }
 
 // ============================================
@@ -149,37 +289,42 @@ const POSE_CONNECTIONS = [
 ];
 
 /**
- * Draw pose skeleton on a canvas context.
- * Landmarks are in normalized coords (0-1).
+ * Draw the skeleton of every person on a canvas context, each in its
+ * PERSON_COLORS color. Landmarks are in normalized coords (0-1).
+ * @param {Array} people - Landmarks per person, as from getLastLandmarks()
  * @param {boolean} flip - Mirror X coords to match a horizontally-flipped display.
  */
-function drawSkeleton(ctx, landmarks, canvasWidth, canvasHeight, flip = false) {
-    if (!landmarks || landmarks.length === 0) return;
+function drawSkeleton(ctx, people, canvasWidth, canvasHeight, flip = false) {
+    if (!people || people.length === 0) return;
 
     const lx = (lm) => (flip ? 1 - lm.x : lm.x) * canvasWidth;
     const ly = (lm) => lm.y * canvasHeight;
 
-    ctx.strokeStyle = '#00ff00';
-    ctx.lineWidth = 2;
-    for (const [i, j] of POSE_CONNECTIONS) {
-        const a = landmarks[i];
-        const b = landmarks[j];
-        if (a && b && a.visibility > 0.5 && b.visibility > 0.5) {
-            ctx.beginPath();
-            ctx.moveTo(lx(a), ly(a));
-            ctx.lineTo(lx(b), ly(b));
-            ctx.stroke();
+    people.forEach((landmarks, p) => {
+        const color = PERSON_COLORS[p % PERSON_COLORS.length];
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        for (const [i, j] of POSE_CONNECTIONS) {
+            const a = landmarks[i];
+            const b = landmarks[j];
+            if (a && b && a.visibility > 0.5 && b.visibility > 0.5) {
+                ctx.beginPath();
+                ctx.moveTo(lx(a), ly(a));
+                ctx.lineTo(lx(b), ly(b));
+                ctx.stroke();
+            }
         }
-    }
 
-    ctx.fillStyle = '#00ff00';
-    for (const lm of landmarks) {
-        if (lm.visibility > 0.5) {
-            ctx.beginPath();
-            ctx.arc(lx(lm), ly(lm), 4, 0, 2 * Math.PI);
-            ctx.fill();
+        ctx.fillStyle = color;
+        for (const lm of landmarks) {
+            if (lm.visibility > 0.5) {
+                ctx.beginPath();
+                ctx.arc(lx(lm), ly(lm), 4, 0, 2 * Math.PI);
+                ctx.fill();
+            }
         }
-    }
+    });
 }
 
 // ============================================
@@ -187,13 +332,23 @@ function drawSkeleton(ctx, landmarks, canvasWidth, canvasHeight, flip = false) {
 // ============================================
 
 /**
- * Capture one pose sample from webcam.
+ * Capture one pose sample from webcam, from person 1 (the leftmost).
+ * In sequence mode the sample is the last SEQUENCE_FRAMES frames seen by
+ * the detection loop, i.e. the movement made just before.
  * @param {boolean} flip - True when the display is horizontally mirrored (front camera).
- * Returns false if no pose detected.
+ * Returns false if no pose detected (or not enough frames yet).
  */
 function captureOne(classIndex, webcamCanvas, imageSource, flip = true) {
-    const features = extractKeypoints(imageSource, performance.now());
-    if (!features) return false;
+    let sample;
+    if (mode === 'sequence') {
+        const frames = frameBuffers[0].window();
+        if (!frames) return false;
+        sample = { frames };
+    } else {
+        const keypoints = extractKeypoints(imageSource, performance.now());
+        if (!keypoints) return false;
+        sample = { keypoints };
+    }
 
     // Generate thumbnail: webcam frame + skeleton overlay
     const thumbCanvas = document.createElement('canvas');
@@ -201,16 +356,19 @@ function captureOne(classIndex, webcamCanvas, imageSource, flip = true) {
     thumbCanvas.height = 80;
     const thumbCtx = thumbCanvas.getContext('2d');
     thumbCtx.drawImage(webcamCanvas, 0, 0, 80, 80);
-    if (lastLandmarks) drawSkeleton(thumbCtx, lastLandmarks, 80, 80, flip);
+    if (lastPeople.length) drawSkeleton(thumbCtx, lastPeople.slice(0, 1), 80, 80, flip);
     const thumb = thumbCanvas.toDataURL('image/jpeg', 0.6);
 
-    classes[classIndex].samples.push({ features, thumb });
+    if (regression) sample.value = targetValue;
+    classes[classIndex].samples.push({ ...sample, thumb });
     classes[classIndex].count++;
+    knnRows = null;
     return true;
 }
 
 /**
- * Start capturing continuously (~5fps).
+ * Start capturing continuously (~5fps; in sequence mode one window every
+ * half window, while the student repeats the movement).
  * @param {boolean} flip - True when the display is horizontally mirrored (front camera).
  */
 function startCapture(classIndex, webcamCanvas, imageSource, flip = true) {
@@ -219,9 +377,10 @@ function startCapture(classIndex, webcamCanvas, imageSource, flip = true) {
     // Immediate capture
     captureOne(classIndex, webcamCanvas, imageSource, flip);
 
+    const period = mode === 'sequence' ? SEQUENCE_FRAMES * SEQUENCE_INTERVAL / 2 : 200;
     captureIntervalId = setInterval(() => {
         captureOne(classIndex, webcamCanvas, imageSource, flip);
-    }, 200);
+    }, period);
 }
 
 function stopCapture() {
@@ -238,68 +397,151 @@ function stopCapture() {
 function getSamples(classIndex) {
     return classes[classIndex].samples.map((s, i) => ({
         index: i,
-        thumb: s.thumb
+        thumb: s.thumb,
+        value: s.value
     }));
 }
 
 function deleteSample(classIndex, sampleIndex) {
     classes[classIndex].samples.splice(sampleIndex, 1);
     classes[classIndex].count--;
+    knnRows = null;
 }
 
 // ============================================
 // TRAINING
 // ============================================
 
-async function train(onProgress) {
-    if (classes.length < 2) {
-        throw new Error("Se necesitan al menos 2 clases");
-    }
-    for (const cls of classes) {
-        if (cls.count < 8) {
-            throw new Error(`La clase "${cls.name}" necesita al menos 8 muestras`);
+/**
+ * Features of one sample: a row for static samples, one row per frame
+ * for sequences. `mirrored` uses the left/right mirror of every frame.
+ */
+function sampleFeatures(sample, norm, mirrored = false) {
+    const toRow = k => Array.from(keypointsToFeatures(mirrored ? mirrorKeypoints(k) : k, norm));
+    return sample.frames ? sample.frames.map(toRow) : toRow(sample.keypoints);
+}
+
+/**
+ * Hyperparameters used when train() gets none. In sequence mode the hidden
+ * units are the filters of each Conv1D layer.
+ */
+function getDefaultTrainingOptions() {
+    return {
+        epochs: 50,
+        batchSize: 16,
+        learningRate: 0.001,
+        hiddenUnits: mode === 'sequence' ? 32 : 64,
+        validationSplit: 0.15,
+    };
+}
+
+/**
+ * @param {function} [onProgress] - (epoch, totalEpochs, logs) after each epoch
+ * @param {object} [options] - Partial hyperparameters (see training-options.js)
+ */
+async function train(onProgress, options) {
+    // Instant mode: nothing to fit, the samples are the model
+    if (instant) {
+        if (regression) {
+            if (!classes[0]?.count) throw new Error("Se necesita al menos 1 muestra");
+        } else {
+            if (classes.length < 2) throw new Error("Se necesitan al menos 2 clases");
+            const empty = classes.find(cls => cls.count === 0);
+            if (empty) throw new Error(`La clase "${empty.name}" necesita al menos 1 muestra`);
         }
+        return { epochs: 0 };
     }
 
-    const allFeatures = [];
-    const allLabels = [];
+    if (regression) {
+        const samples = classes[0]?.samples || [];
+        if (samples.length < 8) {
+            throw new Error("Se necesitan al menos 8 muestras");
+        }
+        if (new Set(samples.map(s => s.value)).size < 2) {
+            throw new Error("Se necesitan muestras con al menos 2 valores distintos");
+        }
+    } else {
+        if (classes.length < 2) {
+            throw new Error("Se necesitan al menos 2 clases");
+        }
+        for (const cls of classes) {
+            if (cls.count < 8) {
+                throw new Error(`La clase "${cls.name}" necesita al menos 8 muestras`);
+            }
+        }
+    }
 
+    const opts = resolveTrainingOptions(options, getDefaultTrainingOptions());
+    const trainNormalization = { ...normalization };
+    const samples = [];
     classes.forEach((cls, classIndex) => {
-        cls.samples.forEach(s => {
-            allFeatures.push(Array.from(s.features));
-            allLabels.push(classIndex);
+        cls.samples.forEach((s, sampleIndex) => {
+            samples.push({ sample: s, label: regression ? s.value / 100 : classIndex, ref: { classIndex, sampleIndex } });
         });
     });
 
-    const xs = tf.tensor2d(allFeatures); // [totalSamples, 99]
-    const ys = tf.oneHot(
-        tf.tensor1d(allLabels, 'int32'),
-        classes.length
-    );
+    // Mirror invariance: every pose is also learned as its mirror image
+    const rowsOf = ({ sample, label, ref }) => {
+        const rows = [{ features: sampleFeatures(sample, trainNormalization), label, ref }];
+        if (trainNormalization.mirror) {
+            rows.push({ features: sampleFeatures(sample, trainNormalization, true), label, ref });
+        }
+        return rows;
+    };
+
+    // Each class split on its own, so the validation rows come from every
+    // class, and by sample, so a pose never trains with its mirror image validating
+    const split = splitRows(samples, opts.validationSplit, { rowsOf, classOf: s => s.ref.classIndex });
+    const featureSize = poseFeatureSize(trainNormalization);
+    const toTensors = rows => ({
+        xs: mode === 'sequence'
+            ? tf.tensor3d(rows.map(r => r.features)) // [rows, SEQUENCE_FRAMES, featureSize]
+            : tf.tensor2d(rows.map(r => r.features)), // [rows, featureSize]
+        ys: regression
+            ? tf.tensor2d(rows.map(r => r.label), [rows.length, 1])
+            : tf.oneHot(tf.tensor1d(rows.map(r => r.label), 'int32'), classes.length)
+    });
+    const trainSet = toTensors(split.train);
+    const valSet = split.validation.length ? toTensors(split.validation) : null;
 
     const newHead = tf.sequential();
+    if (mode === 'sequence') {
+        newHead.add(tf.layers.conv1d({
+            inputShape: [SEQUENCE_FRAMES, featureSize],
+            filters: opts.hiddenUnits,
+            kernelSize: 3,
+            activation: 'relu'
+        }));
+        newHead.add(tf.layers.conv1d({
+            filters: opts.hiddenUnits,
+            kernelSize: 3,
+            activation: 'relu'
+        }));
+        newHead.add(tf.layers.globalAveragePooling1d());
+    } else {
+        newHead.add(tf.layers.dense({
+            inputShape: [featureSize],
+            units: opts.hiddenUnits,
+            activation: 'relu'
+        }));
+    }
     newHead.add(tf.layers.dense({
-        inputShape: [featureSize],
-        units: 64,
-        activation: 'relu'
-    }));
-    newHead.add(tf.layers.dense({
-        units: classes.length,
-        activation: 'softmax'
+        units: regression ? 1 : classes.length,
+        activation: regression ? 'linear' : 'softmax'
     }));
 
     newHead.compile({
-        optimizer: tf.train.adam(0.001),
-        loss: 'categoricalCrossentropy',
-        metrics: ['accuracy']
+        optimizer: tf.train.adam(opts.learningRate),
+        loss: regression ? 'meanSquaredError' : 'categoricalCrossentropy',
+        metrics: regression ? [] : ['accuracy']
     });
 
-    const totalEpochs = 50;
-    await newHead.fit(xs, ys, {
+    const totalEpochs = opts.epochs;
+    await newHead.fit(trainSet.xs, trainSet.ys, {
         epochs: totalEpochs,
-        batchSize: 16,
+        batchSize: opts.batchSize,
         shuffle: true,
-        validationSplit: 0.15,
+        validationData: valSet ? [valSet.xs, valSet.ys] : undefined,
         callbacks: {
             onEpochEnd: (epoch, logs) => {
                 if (onProgress) onProgress(epoch, totalEpochs, logs);
@@ -307,13 +549,15 @@ async function train(onProgress) {
         }
     });
 
-    xs.dispose();
-    ys.dispose();
+    const validation = regression || !valSet ? null
+        : await evaluateValidation(newHead, valSet.xs, split.validation.map(r => r.ref), classes.length);
+    tf.dispose(valSet ? [trainSet, valSet] : trainSet);
 
     if (head) head.dispose();
     head = newHead;
+    headNormalization = trainNormalization;
 
-    return { epochs: totalEpochs };
+    return { epochs: totalEpochs, validation };
 }
 
 // ============================================
@@ -321,43 +565,128 @@ async function train(onProgress) {
 // ============================================
 
 /**
- * Predict pose class from an image source (canvas or video element).
+ * Predict the pose class of every person from an image source (canvas or
+ * video element). In sequence mode each prediction covers that person's
+ * last SEQUENCE_FRAMES frames.
+ * Returns [{person, predictions: [{className, probability}]}], person
+ * numbered from 1 left to right; people without a full window are left out.
+ */
+async function predictPeople(imageSource) {
+    if (!poseLandmarker || (!head && !instant)) return [];
+
+    const people = extractPeople(imageSource, performance.now());
+    const results = [];
+    for (let i = 0; i < people.length; i++) {
+        let sample = { keypoints: people[i] };
+        if (mode === 'sequence') {
+            const frames = frameBuffers[i].window();
+            if (!frames) continue;
+            sample = { frames };
+        }
+        const predictions = await classify(sample);
+        if (predictions.length) results.push({ person: i + 1, predictions });
+    }
+    return results;
+}
+
+/**
+ * Predict pose class of person 1 from an image source (canvas or video element).
  * Returns [{className, probability}] or empty array if no pose detected.
  */
 async function predict(imageSource) {
-    if (!poseLandmarker || !head) return [];
+    const people = await predictPeople(imageSource);
+    return people[0]?.person === 1 ? people[0].predictions : [];
+}
 
-    const features = extractKeypoints(imageSource, performance.now());
-    if (!features) return [];
+/**
+ * Class probabilities of one sample with the current head. In regression
+ * mode a single entry whose probability is the predicted value (0-1).
+ */
+async function classify(sample) {
+    if (instant) return knnPredict(sample);
 
     const prediction = tf.tidy(() => {
-        const input = tf.tensor2d([Array.from(features)]);
-        return head.predict(input);
+        const rows = [sampleFeatures(sample, headNormalization)];
+        if (headNormalization.mirror) {
+            rows.push(sampleFeatures(sample, headNormalization, true));
+        }
+        const input = mode === 'sequence' ? tf.tensor3d(rows) : tf.tensor2d(rows);
+        // Mirror invariance: average the pose and its mirror image
+        return head.predict(input).mean(0, true);
     });
 
     const probs = await prediction.data();
     prediction.dispose();
 
+    if (regression) {
+        return [{ className: classes[0].name, probability: Math.max(0, Math.min(1, probs[0])) }];
+    }
+
     return classes.map((cls, i) => ({
         className: cls.name,
         probability: probs[i]
     }));
 }
 
+/**
+ * Feature rows of every sample with their labels (class index, or value
+ * in regression). With mirror on, every sample also stands for its mirror image.
+ */
+function buildKnnRows() {
+    const rows = [];
+    const labels = [];
+    classes.forEach((cls, ci) => cls.samples.forEach(s => {
+        const label = regression ? s.value : ci;
+        rows.push(sampleFeatures(s, normalization).flat());
+        labels.push(label);
+        if (normalization.mirror) {
+            rows.push(sampleFeatures(s, normalization, true).flat());
+            labels.push(label);
+        }
+    }));
+    return { rows, labels };
+}
+
+/**
+ * Predictions of the nearest samples to one sample, [] without samples.
+ * The sample rows are built once and reused until they change.
+ */
+function knnPredict(sample) {
+    if (!knnRows) knnRows = buildKnnRows();
+    const { rows, labels } = knnRows;
+    if (!rows.length) return [];
+
+    const distances = euclideanDistances(rows, sampleFeatures(sample, normalization).flat());
+    if (regression) {
+        return [{ className: classes[0].name, probability: knnMean(distances, labels, KNN_K) / 100 }];
+    }
+    return knnVote(distances, labels, classes.length, KNN_K)
+        .map((probability, i) => ({ className: classes[i].name, probability }));
+}
+
 // ============================================
 // PERSISTENCE
 // ============================================
 
+/**
+ * Save the head, or only the class list in instant mode (its samples,
+ * saved with saveSamples, are the whole model).
+ */
 async function saveModel(projectId) {
-    if (!head) throw new Error("No hay modelo entrenado");
+    if (!head && !instant) throw new Error("No hay modelo entrenado");
 
     const storageKey = 'tm-pose-local-' + projectId;
-    await head.save('indexeddb://' + storageKey);
+    if (!instant) await saveHead(head, storageKey);
 
     return {
         source: 'local-pose',
         storageKey,
         classNames: classes.map(c => c.name),
+        normalization: { ...(instant ? normalization : headNormalization) },
+        mode,
+        regression,
+        instant,
+        sequenceFrames: mode === 'sequence' ? SEQUENCE_FRAMES : undefined,
         trainedAt: new Date().toISOString()
     };
 }
@@ -365,74 +694,41 @@ async function saveModel(projectId) {
 async function loadSavedModel(localModelInfo) {
     await initTrainer();
 
-    head = await tf.loadLayersModel(
-        'indexeddb://' + localModelInfo.storageKey
-    );
+    instant = !!localModelInfo.instant;
+    if (!instant) {
+        head = await loadHead(localModelInfo.storageKey);
+    }
+    // Models saved before normalization existed were trained on raw keypoints
+    headNormalization = resolveNormalization(localModelInfo.normalization);
+    normalization = { ...headNormalization };
+    setMode(localModelInfo.mode);
+    regression = !!localModelInfo.regression;
 
     classes = localModelInfo.classNames.map(name => ({
         name, samples: [], count: 0
     }));
+    knnRows = null;
 }
 
 async function deleteModel(storageKey) {
-    try {
-        await tf.io.removeModel('indexeddb://' + storageKey);
-    } catch (e) {
-        console.warn('Could not remove pose model:', e);
-    }
+    await removeHead(storageKey);
 }
 
 // ============================================
-// INDEXEDDB HELPERS
+// SAMPLE PERSISTENCE
 // ============================================
 
-function idbOpen() {
-    return new Promise((resolve, reject) => {
-        const req = indexedDB.open('tm-microbit', 1);
-        req.onupgradeneeded = e => e.target.result.createObjectStore('samples');
-        req.onsuccess = e => resolve(e.target.result);
-        req.onerror = () => reject(req.error);
-    });
-}
-
-async function idbPut(key, value) {
-    const db = await idbOpen();
-    return new Promise((resolve, reject) => {
-        const tx = db.transaction('samples', 'readwrite');
-        tx.objectStore('samples').put(value, key);
-        tx.oncomplete = () => { db.close(); resolve(); };
-        tx.onerror = () => { db.close(); reject(tx.error); };
-    });
-}
-
-async function idbGet(key) {
-    const db = await idbOpen();
-    return new Promise((resolve, reject) => {
-        const tx = db.transaction('samples', 'readonly');
-        const req = tx.objectStore('samples').get(key);
-        req.onsuccess = () => { db.close(); resolve(req.result); };
-        req.onerror = () => { db.close(); reject(req.error); };
-    });
-}
-
-async function idbDelete(key) {
-    const db = await idbOpen();
-    return new Promise((resolve, reject) => {
-        const tx = db.transaction('samples', 'readwrite');
-        tx.objectStore('samples').delete(key);
-        tx.oncomplete = () => { db.close(); resolve(); };
-        tx.onerror = () => { db.close(); reject(tx.error); };
-    });
-}
-
 async function saveSamples(projectId) {
     const data = [];
     classes.forEach((cls, ci) => {
         cls.samples.forEach(s => {
             data.push({
                 ci,
-                features: Array.from(s.features),
-                thumb: s.thumb
+                ...(s.frames
+                    ? { frames: s.frames.map(f => Array.from(f)) }
+                    : { keypoints: Array.from(s.keypoints) }),
+                thumb: s.thumb,
+                value: s.value
             });
         });
     });
@@ -452,12 +748,14 @@ async function loadSamples(projectId) {
 
     for (const s of stored) {
         if (!classes[s.ci]) continue;
-        classes[s.ci].samples.push({
-            features: new Float32Array(s.features),
-            thumb: s.thumb
-        });
+        const sample = s.frames
+            ? { frames: s.frames.map(f => new Float32Array(f)) }
+            // Older samples stored [x, y, z] features only
+            : { keypoints: s.keypoints ? new Float32Array(s.keypoints) : legacyFeaturesToKeypoints(s.features) };
+        classes[s.ci].samples.push({ ...sample, thumb: s.thumb, value: s.value });
         classes[s.ci].count++;
     }
+    knnRows = null;
 }
 
 async function deleteSamplesDB(projectId) {
@@ -468,15 +766,26 @@ async function deleteSamplesDB(projectId) {
 // CLEANUP
 // ============================================
 
+/**
+ * True when predict() has something to predict with: a head, or samples
+ * in instant mode.
+ */
 function isTrained() {
-    return head !== null;
+    return head !== null || (instant && classes.some(c => c.count > 0));
 }
 
 function dispose() {
     stopCapture();
 
     classes = [];
-    lastLandmarks = null;
+    lastPeople = [];
+    normalization = { ...DEFAULT_POSE_NORMALIZATION };
+    headNormalization = { ...DEFAULT_POSE_NORMALIZATION };
+    setMode('static');
+    regression = false;
+    targetValue = 50;
+    instant = false;
+    knnRows = null;
 
     if (head) { head.dispose(); head = null; }
 
@@ -484,13 +793,17 @@ function dispose() {
 }
 
 export {
-    initTrainer,
+    initTrainer, MAX_PEOPLE, PERSON_COLORS,
+    setNormalization, getNormalization, setMode, getMode, setMaxPeople, getMaxPeople,
+    setRegression, isRegression, setTargetValue, getTargetValue,
+    setInstant, isInstant,
+    getDefaultTrainingOptions,
     addClass, removeClass, renameClass,
     clearSamples, getClasses, getClassNames, getTotalClasses,
     getSamples, deleteSample,
     captureOne, startCapture, stopCapture,
     train,
-    predict,
+    predict, predictPeople,
     extractKeypoints, getLastLandmarks, drawSkeleton,
     saveModel, loadSavedModel, deleteModel,
     saveSamples, loadSamples, deleteSamplesDB,
@@ -14,7 +14,10 @@ export function saveModels(models) {
     localStorage.setItem(MODELS_KEY, JSON.stringify(models));
 }
 
-export function addProject(name, projectType) {
+/**
+ * @param {object} [extra] - Type-specific fields fixed at creation (e.g. handCount)
+ */
+export function addProject(name, projectType, extra = {}) {
     const models = loadModels();
     const newModel = {
         id: Date.now().toString(),
@@ -23,6 +26,9 @@ export function addProject(name, projectType) {
         createdAt: new Date().toISOString(),
         lastUsed: new Date().toISOString(),
         makecodeProject: null,
+        // New projects use DEFAULT_OUTPUT_POLICY; older ones have no outputSettings
+        outputSettings: {},
+        ...extra,
     };
     models.unshift(newModel);
     saveModels(models);
@@ -34,13 +40,25 @@ export async function deleteProject(id, trainerModules) {
     const project = models.find(m => m.id === id);
 
     if (project?.localModel?.storageKey) {
-        const { trainer, audioTrainer, poseTrainer } = trainerModules;
+        const { trainer, audioTrainer, poseTrainer, handTrainer, faceTrainer, motionTrainer, detectTrainer } = trainerModules;
         if (project.localModel.source === 'local-audio') {
             await audioTrainer.deleteModel(project.localModel.storageKey);
             await audioTrainer.deleteSamplesDB(id);
         } else if (project.localModel.source === 'local-pose') {
             await poseTrainer.deleteModel(project.localModel.storageKey);
             await poseTrainer.deleteSamplesDB(id);
+        } else if (project.localModel.source === 'local-hand') {
+            await handTrainer.deleteModel(project.localModel.storageKey);
+            await handTrainer.deleteSamplesDB(id);
+        } else if (project.localModel.source === 'local-face') {
+            await faceTrainer.deleteModel(project.localModel.storageKey);
+            await faceTrainer.deleteSamplesDB(id);
+        } else if (project.localModel.source === 'local-motion') {
+            await motionTrainer.deleteModel(project.localModel.storageKey);
+            await motionTrainer.deleteSamplesDB(id);
+        } else if (project.localModel.source === 'local-detect') {
+            await detectTrainer.deleteModel(project.localModel.storageKey);
+            await detectTrainer.deleteSamplesDB(id);
         } else {
             await trainer.deleteModel(project.localModel.storageKey);
             await trainer.deleteSamplesDB(id);
@@ -71,3 +89,69 @@ export function updateProjectModel(id, localModelInfo) {
     }
     return null;
 }
+
+export function updateProjectDevice(id, deviceInfo) {
+    const models = loadModels();
+    const project = models.find(m => m.id === id);
+    if (project) {
+        project.lastDevice = deviceInfo;
+        saveModels(models);
+        return project;
+    }
+    return null;
+}
+
+export function updateProjectRouting(id, deviceRouting) {
+    const models = loadModels();
+    const project = models.find(m => m.id === id);
+    if (project) {
+        project.deviceRouting = deviceRouting;
+        saveModels(models);
+        return project;
+    }
+    return null;
+}
+
+export function updateProjectOutputSettings(id, outputSettings) {
+    const models = loadModels();
+    const project = models.find(m => m.id === id);
+    if (project) {
+        project.outputSettings = outputSettings;
+        saveModels(models);
+        return project;
+    }
+    return null;
+}
+
+export function updateProjectMaxPeople(id, maxPeople) {
+    const models = loadModels();
+    const project = models.find(m => m.id === id);
+    if (project) {
+        project.maxPeople = maxPeople;
+        saveModels(models);
+        return project;
+    }
+    return null;
+}
+
+export function updateProjectMessageTemplates(id, messageTemplates) {
+    const models = loadModels();
+    const project = models.find(m => m.id === id);
+    if (project) {
+        project.messageTemplates = messageTemplates;
+        saveModels(models);
+        return project;
+    }
+    return null;
+}
+
+export function updateProjectTrainingOptions(id, trainingOptions) {
+    const models = loadModels();
+    const project = models.find(m => m.id === id);
+    if (project) {
+        project.trainingOptions = trainingOptions;
+        saveModels(models);
+        return project;
+    }
+    return null;
+}
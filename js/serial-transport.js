@@ -0,0 +1,146 @@
+/**
+ * serial-transport.js
+ * micro:bit UART over WebSerial (USB cable).
+ * Same transport interface as ble-transport.js, for computers without
+ * reliable Bluetooth. The micro:bit reads the messages with the serial
+ * blocks at 115200 baud.
+ */
+
+const MICROBIT_USB_VENDOR_ID = 0x0D28; // Arm mbed DAPLink interface
+const BAUD_RATE = 115200;
+
+export class SerialTransport {
+    static isSupported() {
+        return typeof navigator !== 'undefined' && !!navigator.serial;
+    }
+
+    constructor() {
+        this.kind = 'serial';
+        this.port = null;
+
+        this._writer = null;
+        this._reader = null;
+        this._readLoopDone = null;
+        this._messageHandler = null;
+        this._disconnectHandler = null;
+
+        this._onPortDisconnected = this._onPortDisconnected.bind(this);
+    }
+
+    get name() {
+        return 'micro:bit (USB)';
+    }
+
+    /**
+     * Serial ports have no stable id to remember between sessions
+     */
+    get deviceInfo() {
+        return null;
+    }
+
+    /**
+     * Open the browser port chooser and start reading
+     */
+    async connect() {
+        this.port = await navigator.serial.requestPort({
+            filters: [{ usbVendorId: MICROBIT_USB_VENDOR_ID }]
+        });
+        try {
+            await this.port.open({ baudRate: BAUD_RATE });
+        } catch (e) {
+            // Port busy (open in another tab or app) or unplugged: stay disconnected
+            this.port = null;
+            throw e;
+        }
+
+        this._writer = this.port.writable.getWriter();
+        this.port.addEventListener('disconnect', this._onPortDisconnected);
+        this._readLoopDone = this._readLoop();
+    }
+
+    async send(bytes) {
+        if (!this._writer) return;
+        await this._writer.write(bytes);
+    }
+
+    /**
+     * Release the streams and close the port
+     */
+    async disconnect() {
+        if (!this.port) return;
+        const port = this.port;
+        this.port = null;
+
+        try {
+            // The read loop must release its lock before the port can close
+            if (this._reader) await this._reader.cancel();
+            await this._readLoopDone;
+            if (this._writer) {
+                this._writer.releaseLock();
+                this._writer = null;
+            }
+            await port.close();
+        } catch (e) {
+            console.warn('⚠️ Serial close error:', e);
+        }
+
+        port.removeEventListener('disconnect', this._onPortDisconnected);
+        this._writer = null;
+        if (this._disconnectHandler) this._disconnectHandler();
+    }
+
+    /**
+     * Ports cannot be opened twice, so there is never another owner to leave it to
+     */
+    detach() {}
+
+    isConnected() {
+        return this.port !== null && this._writer !== null;
+    }
+
+    /**
+     * @param {function(string)} fn - Receives decoded text chunks (not split into lines)
+     */
+    onMessage(fn) {
+        this._messageHandler = fn;
+    }
+
+    onDisconnect(fn) {
+        this._disconnectHandler = fn;
+    }
+
+    /**
+     * No automatic reconnection over USB: an unplugged cable is a disconnect
+     */
+    onStatusChange(fn) {}
+
+    async _readLoop() {
+        const decoder = new TextDecoder();
+        this._reader = this.port.readable.getReader();
+        let failed = false;
+        try {
+            while (true) {
+                const { value, done } = await this._reader.read();
+                if (done) break;
+                const chunk = decoder.decode(value, { stream: true });
+                if (this._messageHandler) this._messageHandler(chunk);
+            }
+        } catch (e) {
+            // Cable unplugged or port closed while reading
+            console.warn('⚠️ Serial read stopped:', e);
+            failed = true;
+        } finally {
+            this._reader.releaseLock();
+            this._reader = null;
+        }
+        // disconnect() clears this.port before cancelling the read, so a port
+        // still set means the read failed on its own. Not awaited: disconnect()
+        // waits for this loop to end.
+        if (failed && this.port) this.disconnect();
+    }
+
+    _onPortDisconnected() {
+        // Unplugged: the port is already gone, only local cleanup is left
+        this.disconnect();
+    }
+}
@@ -0,0 +1,85 @@
+/**
+ * smoothing.js
+ * Temporal smoothing of the prediction stream, so per-frame flicker does
+ * not reach the screen or the micro:bit "al detectar" handlers.
+ * Pure logic (no DOM): applied before renderTrainingPredictions draws the
+ * bars and before the output policy decides what to send.
+ */
+
+export const SMOOTHING_MODES = ['none', 'ema', 'majority'];
+
+export const DEFAULT_SMOOTHING = {
+    smoothing: 'none',   // 'none' | 'ema' | 'majority'
+    smoothingWindow: 5,  // frames
+};
+
+/**
+ * Create a stateful smoother.
+ *
+ *  - 'none':     predictions pass through unchanged
+ *  - 'ema':      exponential moving average of every probability,
+ *                alpha = 2 / (window + 1) (same span as a window-frame average)
+ *  - 'majority': each class gets the share of the last `window` frames it won,
+ *                so the bars show votes and the winner is the most voted class.
+ *                These shares replace the model's confidence downstream: the
+ *                minimum confidence, the margin and the sent #conf act on votes
+ *
+ * The history resets by itself when the class list changes.
+ *
+ * @param {object} [options] - Overrides for DEFAULT_SMOOTHING
+ * @returns {{apply: function(Array): Array, reset: function()}}
+ */
+export function createSmoother(options = {}) {
+    const opts = { ...DEFAULT_SMOOTHING, ...options };
+    const size = Math.max(1, Math.round(opts.smoothingWindow));
+    const alpha = 2 / (size + 1);
+
+    let classKey = null;
+    let averages = null;  // 'ema': smoothed probability per class
+    let votes = [];       // 'majority': winner index of the last frames
+
+    function reset() {
+        classKey = null;
+        averages = null;
+        votes = [];
+    }
+
+    /**
+     * Feed one frame and get the smoothed frame back (same order and class names).
+     * @param {{className: string, probability: number}[]} predictions
+     * @returns {{className: string, probability: number}[]}
+     */
+    function apply(predictions) {
+        if (!predictions?.length || opts.smoothing === 'none') return predictions;
+
+        const key = predictions.map(p => p.className).join('\n');
+        if (key !== classKey) {
+            reset();
+            classKey = key;
+        }
+
+        if (opts.smoothing === 'ema') {
+            averages = averages
+                ? averages.map((avg, i) => avg + alpha * ((predictions[i].probability ?? 0) - avg))
+                : predictions.map(p => p.probability ?? 0);
+            return predictions.map((p, i) => ({ ...p, probability: averages[i] }));
+        }
+
+        if (opts.smoothing === 'majority') {
+            let winnerIdx = 0;
+            predictions.forEach((p, i) => {
+                if ((p.probability ?? 0) > (predictions[winnerIdx].probability ?? 0)) winnerIdx = i;
+            });
+            votes.push(winnerIdx);
+            if (votes.length > size) votes.shift();
+
+            const counts = new Array(predictions.length).fill(0);
+            votes.forEach(v => counts[v]++);
+            return predictions.map((p, i) => ({ ...p, probability: counts[i] / votes.length }));
+        }
+
+        return predictions;
+    }
+
+    return { apply, reset };
+}
@@ -8,6 +8,8 @@ const ICON_CAMERA = '<svg width="14" height="14" viewBox="0 0 24 24" fill="none"
 
 const ICON_MIC = '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 1a3 3 0 0 0-3 3v8a3 3 0 0 0 6 0V4a3 3 0 0 0-3-3z"/><path d="M19 10v2a7 7 0 0 1-14 0v-2"/><line x1="12" y1="19" x2="12" y2="23"/><line x1="8" y1="23" x2="16" y2="23"/></svg>';
 
+const ICON_MOTION = '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="2 12 6 12 9 4 15 20 18 12 22 12"/></svg>';
+
 export const TRAINER_CONFIGS = {
     image: {
         captureMode: 'webcam',
@@ -18,6 +20,9 @@ export const TRAINER_CONFIGS = {
         showProgressBar: true,
         renameRequiresTryCatch: false,
         captureOneFailMessage: null,
+        labelsBoxes: false,
+        supportsInstant: true, // predictions from the samples (k-nearest-neighbours), no training
+        supportsTrainingOptions: true, // "Avanzado" panel: epochs, learning rate, batch size…
         defaultClasses: ['Clase 1', 'Clase 2'],
     },
     pose: {
@@ -29,6 +34,37 @@ export const TRAINER_CONFIGS = {
         showProgressBar: true,
         renameRequiresTryCatch: false,
         captureOneFailMessage: 'No se detectó pose. Asegurate de estar visible en la cámara.',
+        labelsBoxes: false,
+        supportsInstant: true,
+        supportsTrainingOptions: true,
+        defaultClasses: ['Clase 1', 'Clase 2'],
+    },
+    hand: {
+        captureMode: 'webcam-skeleton',
+        captureOneLabel: 'Capturar',
+        captureHoldLabel: 'Grabar',
+        captureIcon: ICON_CAMERA,
+        fixedFirstClass: null,
+        showProgressBar: true,
+        renameRequiresTryCatch: false,
+        captureOneFailMessage: 'No se detectaron manos. Mostrá la mano a la cámara.',
+        labelsBoxes: false,
+        supportsInstant: false,
+        supportsTrainingOptions: false,
+        defaultClasses: ['Clase 1', 'Clase 2'],
+    },
+    face: {
+        captureMode: 'webcam-skeleton',
+        captureOneLabel: 'Capturar',
+        captureHoldLabel: 'Grabar',
+        captureIcon: ICON_CAMERA,
+        fixedFirstClass: null,
+        showProgressBar: true,
+        renameRequiresTryCatch: false,
+        captureOneFailMessage: 'No se detectó una cara. Mirá a la cámara.',
+        labelsBoxes: false,
+        supportsInstant: false,
+        supportsTrainingOptions: false,
         defaultClasses: ['Clase 1', 'Clase 2'],
     },
     audio: {
@@ -40,8 +76,39 @@ export const TRAINER_CONFIGS = {
         showProgressBar: true,
         renameRequiresTryCatch: true,
         captureOneFailMessage: null,
+        labelsBoxes: false,
+        supportsInstant: false,
+        supportsTrainingOptions: true,
         defaultClasses: ['Ruido de fondo', 'Clase 1', 'Clase 2'],
     },
+    detect: {
+        captureMode: 'webcam',
+        captureOneLabel: 'Capturar',
+        captureHoldLabel: 'Grabar',
+        captureIcon: ICON_CAMERA,
+        fixedFirstClass: null,
+        showProgressBar: true,
+        renameRequiresTryCatch: false,
+        captureOneFailMessage: null,
+        labelsBoxes: true, // each sample gets a box drawn on it (tap the thumbnail)
+        supportsInstant: false,
+        supportsTrainingOptions: false,
+        defaultClasses: ['Objeto', 'Nada'],
+    },
+    motion: {
+        captureMode: 'sensor',
+        captureOneLabel: 'Capturar',
+        captureHoldLabel: 'Grabar',
+        captureIcon: ICON_MOTION,
+        fixedFirstClass: null,
+        showProgressBar: true,
+        renameRequiresTryCatch: false,
+        captureOneFailMessage: 'Sin datos del acelerómetro. Conectá la micro:bit y movela durante un segundo.',
+        labelsBoxes: false,
+        supportsInstant: false,
+        supportsTrainingOptions: true,
+        defaultClasses: ['Clase 1', 'Clase 2'],
+    },
 };
 
 export function getConfig(projectType) {
@@ -0,0 +1,79 @@
+/**
+ * trainer-storage.js
+ * IndexedDB persistence shared by the trainers: samples go to the
+ * 'samples' store of the 'tm-microbit' database, trained heads are saved
+ * by TF.js under indexeddb://<storageKey>.
+ *
+ * tf is a global loaded via <script> in index.html.
+ */
+
+const DB_NAME = 'tm-microbit';
+const STORE = 'samples';
+
+function idbOpen() {
+    return new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, 1);
+        req.onupgradeneeded = e => e.target.result.createObjectStore(STORE);
+        req.onsuccess = e => resolve(e.target.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+export async function idbPut(key, value) {
+    const db = await idbOpen();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, 'readwrite');
+        tx.objectStore(STORE).put(value, key);
+        tx.oncomplete = () => { db.close(); resolve(); };
+        tx.onerror = () => { db.close(); reject(tx.error); };
+    });
+}
+
+export async function idbGet(key) {
+    const db = await idbOpen();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, 'readonly');
+        const req = tx.objectStore(STORE).get(key);
+        req.onsuccess = () => { db.close(); resolve(req.result); };
+        req.onerror = () => { db.close(); reject(req.error); };
+    });
+}
+
+export async function idbDelete(key) {
+    const db = await idbOpen();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, 'readwrite');
+        tx.objectStore(STORE).delete(key);
+        tx.oncomplete = () => { db.close(); resolve(); };
+        tx.onerror = () => { db.close(); reject(tx.error); };
+    });
+}
+
+/**
+ * @param {tf.LayersModel} model
+ * @param {string} storageKey
+ */
+export async function saveHead(model, storageKey) {
+    await model.save('indexeddb://' + storageKey);
+}
+
+/**
+ * @param {string} storageKey
+ * @returns {Promise<tf.LayersModel>}
+ */
+export function loadHead(storageKey) {
+    return tf.loadLayersModel('indexeddb://' + storageKey);
+}
+
+/**
+ * Remove a saved head. A missing model is only logged, so deleting a
+ * project that was never trained still succeeds.
+ * @param {string} storageKey
+ */
+export async function removeHead(storageKey) {
+    try {
+        await tf.io.removeModel('indexeddb://' + storageKey);
+    } catch (e) {
+        console.warn('Could not remove model ' + storageKey + ':', e);
+    }
+}
@@ -0,0 +1,176 @@
+/**
+ * training-metrics.js
+ * Training metrics dashboard: loss/accuracy curves drawn while fit()
+ * runs, and a confusion matrix on the validation split afterwards.
+ * The trainers split their samples with splitRows() and evaluate the
+ * validation rows with evaluateValidation(); this module holds the
+ * arithmetic and the chart geometry.
+ * No TF.js global needed, covered by tests/training-metrics.test.mjs.
+ */
+
+/**
+ * Random permutation of 0..n-1 (Fisher-Yates). fit() takes its validation
+ * rows from the end of the data before shuffling, and the samples are
+ * grouped by class, so they are shuffled first.
+ * @param {number} n
+ * @param {function} [random] - Returns a number in [0, 1)
+ * @returns {number[]}
+ */
+export function shuffledIndices(n, random = Math.random) {
+    const indices = Array.from({ length: n }, (_, i) => i);
+    for (let i = n - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+    return indices;
+}
+
+/**
+ * First validation row, the way tf.LayersModel.fit() splits the data
+ * @param {number} n - Number of rows
+ * @param {number} validationSplit - 0-1
+ * @returns {number} n when there is no validation split
+ */
+export function validationStart(n, validationSplit) {
+    if (!(validationSplit > 0)) return n;
+    return Math.floor(n * (1 - validationSplit));
+}
+
+/**
+ * Training and validation rows for fit(). The samples are shuffled and
+ * split before they become rows, so the rows of one sample (a pose and
+ * its mirror image) never end up on both sides of the split. With classOf
+ * each class is split on its own: every class with two or more samples
+ * gets validation rows, and every class keeps at least one training sample.
+ * @param {Array} samples
+ * @param {number} validationSplit - 0-1, share of samples for validation
+ * @param {object} [options]
+ * @param {function} [options.rowsOf] - sample => its rows
+ * @param {function} [options.classOf] - sample => its class; without it all samples split together
+ * @param {function} [options.random] - Returns a number in [0, 1)
+ * @returns {{train: Array, validation: Array}} Rows, validation empty without a split
+ */
+export function splitRows(samples, validationSplit, { rowsOf = sample => [sample], classOf = () => 0, random = Math.random } = {}) {
+    const groups = new Map();
+    for (const sample of samples) {
+        const key = classOf(sample);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(sample);
+    }
+
+    const train = [];
+    const validation = [];
+    for (const group of groups.values()) {
+        const order = shuffledIndices(group.length, random).map(i => group[i]);
+        const start = Math.max(1, validationStart(group.length, validationSplit));
+        train.push(...order.slice(0, start));
+        validation.push(...order.slice(start));
+    }
+    return {
+        train: train.flatMap(rowsOf),
+        validation: validation.flatMap(rowsOf),
+    };
+}
+
+/**
+ * Confusion matrix: matrix[actual][predicted] counts rows
+ * @param {number[]} actual - Class index of each row
+ * @param {number[]} predicted - Predicted class index of each row
+ * @param {number} numClasses
+ * @returns {number[][]}
+ */
+export function confusionMatrix(actual, predicted, numClasses) {
+    const matrix = Array.from({ length: numClasses }, () => new Array(numClasses).fill(0));
+    actual.forEach((a, i) => { matrix[a][predicted[i]]++; });
+    return matrix;
+}
+
+/**
+ * Accuracy of each class: its diagonal cell over its row
+ * @param {number[][]} matrix - From confusionMatrix()
+ * @returns {{correct: number, total: number, accuracy: number|null}[]} accuracy is null without validation rows
+ */
+export function classAccuracies(matrix) {
+    return matrix.map((row, i) => {
+        const total = row.reduce((sum, n) => sum + n, 0);
+        return { correct: row[i], total, accuracy: total ? row[i] / total : null };
+    });
+}
+
+/**
+ * SVG polyline points of one curve. Epoch e sits at x = e / (totalEpochs - 1)
+ * of the width, so the curve grows left to right during training.
+ * @param {number[]} values - One value per finished epoch
+ * @param {number} totalEpochs
+ * @param {number} width
+ * @param {number} height
+ * @param {number} max - Value drawn at the top edge; 0 sits at the bottom
+ * @returns {string} "x,y x,y …", empty without values
+ */
+export function chartPoints(values, totalEpochs, width, height, max) {
+    const step = totalEpochs > 1 ? width / (totalEpochs - 1) : 0;
+    return values
+        .map((v, i) => {
+            const y = height - Math.min(1, Math.max(0, v / (max || 1))) * height;
+            return `${+(i * step).toFixed(1)},${+y.toFixed(1)}`;
+        })
+        .join(' ');
+}
+
+/**
+ * Validation loss and accuracy of one epoch, for a model whose fit() does
+ * not take validation data (speech-commands trains on its own dataset)
+ * @param {number[][]} probabilities - Class probabilities of each validation row
+ * @param {number[]} actual - Class index of each row
+ * @returns {{val_loss: number, val_acc: number}} Categorical cross-entropy and accuracy, like fit()'s logs
+ */
+export function validationLogs(probabilities, actual) {
+    let loss = 0;
+    let correct = 0;
+    probabilities.forEach((p, i) => {
+        loss -= Math.log(Math.max(p[actual[i]], 1e-7));
+        if (p.indexOf(Math.max(...p)) === actual[i]) correct++;
+    });
+    return { val_loss: loss / actual.length, val_acc: correct / actual.length };
+}
+
+/**
+ * Confusion matrix of the validation rows, and the samples predicted
+ * wrong. A sample with several rows (a pose and its mirror image) is
+ * listed once.
+ * @param {number[]} predicted - Predicted class index of each row
+ * @param {{classIndex: number, sampleIndex: number}[]} refs - Sample of each row
+ * @param {number} numClasses
+ * @returns {{matrix: number[][], misclassified: {classIndex: number, sampleIndex: number, predicted: number}[]}}
+ */
+export function validationResult(predicted, refs, numClasses) {
+    const seen = new Set();
+    const misclassified = [];
+    refs.forEach((ref, i) => {
+        const key = `${ref.classIndex}/${ref.sampleIndex}`;
+        if (predicted[i] === ref.classIndex || seen.has(key)) return;
+        seen.add(key);
+        misclassified.push({ classIndex: ref.classIndex, sampleIndex: ref.sampleIndex, predicted: predicted[i] });
+    });
+    return {
+        matrix: confusionMatrix(refs.map(ref => ref.classIndex), predicted, numClasses),
+        misclassified
+    };
+}
+
+/**
+ * validationResult() of a freshly trained head on the validation rows
+ * @param {tf.LayersModel} model
+ * @param {tf.Tensor} xs - The validation rows
+ * @param {{classIndex: number, sampleIndex: number}[]} refs - Sample of each row
+ * @param {number} numClasses
+ * @returns {Promise<{matrix: number[][], misclassified: {classIndex: number, sampleIndex: number, predicted: number}[]}>}
+ */
+export async function evaluateValidation(model, xs, refs, numClasses) {
+    const probs = model.predict(xs);
+    const argMax = probs.argMax(-1);
+    probs.dispose();
+    const predicted = Array.from(await argMax.data());
+    argMax.dispose();
+    return validationResult(predicted, refs, numClasses);
+}
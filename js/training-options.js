@@ -0,0 +1,56 @@
+/**
+ * training-options.js
+ * Hyperparameters of train() chosen in the "Avanzado" panel: epochs,
+ * learning rate, batch size, hidden units and validation split.
+ * Each trainer has its own defaults (getDefaultTrainingOptions); a project
+ * stores only the values that differ from them.
+ * Pure logic, covered by tests/training-options.test.mjs.
+ */
+
+// Accepted range of each option; values outside are clamped
+export const TRAINING_OPTION_LIMITS = {
+    epochs:          { min: 1, max: 500, integer: true },
+    batchSize:       { min: 1, max: 512, integer: true },
+    learningRate:    { min: 0.00001, max: 1 },
+    hiddenUnits:     { min: 1, max: 1024, integer: true },
+    validationSplit: { min: 0, max: 0.5 },
+};
+
+/**
+ * Complete options for a trainer: its defaults overridden by valid values.
+ * Options the trainer has no default for (e.g. hiddenUnits for audio) are
+ * dropped; missing, empty or non-numeric values keep the default.
+ * @param {object} [options] - Partial options, e.g. a project's trainingOptions
+ * @param {object} defaults - The trainer's getDefaultTrainingOptions()
+ * @returns {object} One number per option in defaults
+ */
+export function resolveTrainingOptions(options, defaults) {
+    const resolved = { ...defaults };
+    for (const key of Object.keys(defaults)) {
+        const raw = options?.[key];
+        if (raw === undefined || raw === null || raw === '') continue;
+        let value = Number(raw);
+        if (!Number.isFinite(value)) continue;
+        const limits = TRAINING_OPTION_LIMITS[key];
+        if (limits) {
+            if (limits.integer) value = Math.round(value);
+            value = Math.min(limits.max, Math.max(limits.min, value));
+        }
+        resolved[key] = value;
+    }
+    return resolved;
+}
+
+/**
+ * The options that differ from the defaults, to store in a project.
+ * @param {object} options - Complete options (from resolveTrainingOptions)
+ * @param {object} defaults
+ * @returns {object} Possibly empty
+ */
+export function trainingOptionOverrides(options, defaults) {
+    const overrides = {};
+    for (const key of Object.keys(defaults)) {
+        if (options[key] !== defaults[key]) overrides[key] = options[key];
+    }
+    return overrides;
+}
@@ -0,0 +1,233 @@
+/**
+ * virtual-transport.js
+ * Simulated micro:bit for students without a board and for tests.
+ * Same transport interface as ble-transport.js: bluetooth.js drives it
+ * like a real board. Received lines run simple rules on a 5x5 LED matrix
+ * (one icon per class) and, in controlled mode, are answered with OK.
+ * No browser APIs: usable from node:test.
+ */
+
+// 5x5 images, rows top to bottom ('#' = on)
+export const ICONS = {
+    heart:      ['.#.#.', '#####', '#####', '.###.', '..#..'],
+    happy:      ['.....', '.#.#.', '.....', '#...#', '.###.'],
+    sad:        ['.....', '.#.#.', '.....', '.###.', '#...#'],
+    yes:        ['.....', '....#', '...#.', '#.#..', '.#...'],
+    no:         ['#...#', '.#.#.', '..#..', '.#.#.', '#...#'],
+    arrowUp:    ['..#..', '.###.', '#.#.#', '..#..', '..#..'],
+    arrowDown:  ['..#..', '..#..', '#.#.#', '.###.', '..#..'],
+    arrowLeft:  ['..#..', '.#...', '#####', '.#...', '..#..'],
+    arrowRight: ['..#..', '...#.', '#####', '...#.', '..#..'],
+    square:     ['#####', '#...#', '#...#', '#...#', '#####'],
+    diamond:    ['..#..', '.#.#.', '#...#', '.#.#.', '..#..'],
+    unknown:    ['.###.', '#...#', '..##.', '.....', '..#..'],
+};
+
+// Icons handed out to classes without a rule, in order of appearance
+export const ICON_ORDER = ['heart', 'happy', 'sad', 'yes', 'no', 'arrowUp', 'arrowDown', 'arrowLeft', 'arrowRight', 'square', 'diamond'];
+
+/**
+ * 5x5 matrix of booleans for an icon name (all off if unknown)
+ * @param {string} name - Key of ICONS
+ * @returns {boolean[][]}
+ */
+export function iconToLeds(name) {
+    const rows = ICONS[name] || ['.....', '.....', '.....', '.....', '.....'];
+    return rows.map(row => [...row].map(c => c === '#'));
+}
+
+/**
+ * Parse a line sent by the app.
+ *  - v1 "className#confidence" → {className, confidence}
+ *  - v2 "#index:p0,p1,…"       → {index, probabilities}
+ *  - either one ending in "@x,y,size" (detection) also has box: {x, y, size}
+ *  - anything else (templates, keep-alive) → {text}
+ *  - any of them after a "P1:"…"P4:" prefix (multi-person pose) also has person
+ * @param {string} line - Without the newline
+ */
+export function parseUartLine(line) {
+    let person;
+    const personMatch = /^P([1-4]):/.exec(line);
+    if (personMatch) {
+        person = +personMatch[1];
+        line = line.slice(personMatch[0].length);
+    }
+    const withPerson = parsed => (person ? { ...parsed, person } : parsed);
+
+    const original = line;
+    let box;
+    const boxMatch = /@(\d+),(\d+),(\d+)$/.exec(line);
+    if (boxMatch) {
+        box = { x: +boxMatch[1], y: +boxMatch[2], size: +boxMatch[3] };
+        line = line.slice(0, boxMatch.index);
+    }
+    const withBox = parsed => withPerson(box ? { ...parsed, box } : parsed);
+
+    const v2 = /^#(-?\d+):([\d,]*)$/.exec(line);
+    if (v2) {
+        return withBox({ index: +v2[1], probabilities: v2[2] ? v2[2].split(',').map(Number) : [] });
+    }
+    const sep = line.lastIndexOf('#');
+    if (sep > 0 && /^\d+$/.test(line.slice(sep + 1))) {
+        return withBox({ className: line.slice(0, sep), confidence: +line.slice(sep + 1) });
+    }
+    return withPerson({ text: original });
+}
+
+export class VirtualTransport {
+    static isSupported() {
+        return true;
+    }
+
+    constructor() {
+        this.kind = 'virtual';
+
+        this._connected = false;
+        this._decoder = new TextDecoder();
+        this._rxPending = '';
+        this._messageHandler = null;
+        this._disconnectHandler = null;
+        this._displayHandler = null;
+
+        this.controlledMode = false;
+        this.protocolV2 = false;
+        this.minConfidence = 0;
+        this.rules = {};
+        this._assignedIcons = new Map();
+        this.leds = iconToLeds(null);
+        this.received = [];
+    }
+
+    get name() {
+        return 'micro:bit virtual';
+    }
+
+    /**
+     * Nothing to remember between sessions
+     */
+    get deviceInfo() {
+        return null;
+    }
+
+    /**
+     * @param {object} [options]
+     * @param {boolean} [options.controlledMode] - Reply OK after each prediction
+     * @param {boolean} [options.protocolV2] - Answer the v2 handshake
+     * @param {number} [options.minConfidence] - Ignore predictions below this confidence
+     * @param {Object<string, string>} [options.rules] - className (or "#index" on v2) → icon name
+     * @param {function(boolean[][])} [options.onDisplay] - Called when the LED matrix changes
+     * @param {function(VirtualTransport)} [options.onReady] - Receives the board, e.g. for
+     *        a widget that toggles controlledMode while connected
+     */
+    async connect({
+        controlledMode = false, protocolV2 = false, minConfidence = 0, rules = {},
+        onDisplay = null, onReady = null,
+    } = {}) {
+        this.controlledMode = controlledMode;
+        this.protocolV2 = protocolV2;
+        this.minConfidence = minConfidence;
+        this.rules = { ...rules };
+        this._displayHandler = onDisplay;
+        this._connected = true;
+        if (onReady) onReady(this);
+    }
+
+    /**
+     * Receive bytes from the app, like the board's UART
+     */
+    async send(bytes) {
+        if (!this._connected) throw new Error('Virtual micro:bit is disconnected');
+        const parts = (this._rxPending + this._decoder.decode(bytes, { stream: true })).split('\n');
+        this._rxPending = parts.pop();
+        parts.forEach(line => this._handleLine(line.replace(/\r$/, '')));
+    }
+
+    disconnect() {
+        if (!this._connected) return;
+        this._connected = false;
+        const handler = this._disconnectHandler;
+        this._disconnectHandler = null;
+        if (handler) handler();
+    }
+
+    /**
+     * A simulated board is never shared with another connection
+     */
+    detach() {}
+
+    isConnected() {
+        return this._connected;
+    }
+
+    /**
+     * @param {function(string)} fn - Receives text sent by the board
+     */
+    onMessage(fn) {
+        this._messageHandler = fn;
+    }
+
+    onDisconnect(fn) {
+        this._disconnectHandler = fn;
+    }
+
+    /**
+     * The link to a simulated board cannot drop
+     */
+    onStatusChange(fn) {}
+
+    /**
+     * Change the icon shown for a class while connected
+     * @param {string} key - className, or "#index" for v2 frames
+     * @param {string|null} icon - Key of ICONS, or null to go back to the automatic icon
+     */
+    setRule(key, icon) {
+        if (icon) this.rules[key] = icon;
+        else delete this.rules[key];
+    }
+
+    _handleLine(line) {
+        if (line.length === 0) return; // keep-alive
+        this.received.push(line);
+
+        if (line === 'V2?') {
+            if (this.protocolV2) this._reply('V2');
+            return;
+        }
+
+        const msg = parseUartLine(line);
+        if (msg.className !== undefined) {
+            if (msg.confidence >= this.minConfidence) this._show(this._iconFor(msg.className));
+        } else if (msg.index !== undefined) {
+            const confidence = msg.probabilities[msg.index] ?? 0;
+            if (msg.index < 0) this._show('unknown');
+            else if (confidence >= this.minConfidence) this._show(this._iconFor(`#${msg.index}`));
+        } else {
+            // Template message: show it only if a rule names it
+            if (this.rules[msg.text]) this._show(this.rules[msg.text]);
+        }
+
+        if (this.controlledMode) this._reply('OK');
+    }
+
+    _iconFor(key) {
+        if (this.rules[key]) return this.rules[key];
+        if (!this._assignedIcons.has(key)) {
+            this._assignedIcons.set(key, ICON_ORDER[this._assignedIcons.size % ICON_ORDER.length]);
+        }
+        return this._assignedIcons.get(key);
+    }
+
+    _show(icon) {
+        this.leds = iconToLeds(icon);
+        if (this._displayHandler) this._displayHandler(this.leds);
+    }
+
+    /**
+     * Answer asynchronously, like a real board would after running its handler
+     */
+    _reply(text) {
+        setTimeout(() => {
+            if (this._connected && this._messageHandler) this._messageHandler(`${text}\n`);
+        }, 0);
+    }
+}
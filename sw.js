@@ -1,7 +1,7 @@
 // sw.js
 // Service Worker for PWA - Network First Strategy
 
-const CACHE_NAME = 'tm-microbit-v6.4';
+const CACHE_NAME = 'tm-microbit-v6.33';
 const urlsToCache = [
   './',
   './index.html',
@@ -11,11 +11,25 @@ const urlsToCache = [
   './js/app.js',
   './js/project-store.js',
   './js/trainer-config.js',
+  './js/output-policy.js',
+  './js/smoothing.js',
   './js/webcam.js',
   './js/image-trainer.js',
   './js/audio-trainer.js',
   './js/pose-trainer.js',
+  './js/pose-features.js',
+  './js/knn.js',
+  './js/training-options.js',
+  './js/training-metrics.js',
+  './js/trainer-storage.js',
+  './js/hand-trainer.js',
+  './js/face-trainer.js',
+  './js/motion-trainer.js',
+  './js/detect-trainer.js',
   './js/bluetooth.js',
+  './js/ble-transport.js',
+  './js/serial-transport.js',
+  './js/virtual-transport.js',
   './js/makecode-embed.js',
   // Vendor: TF.js
   './vendor/tfjs/tfjs-4.22.0.min.js',
@@ -93,6 +107,13 @@ const urlsToCache = [
   './vendor/fonts/nunito-latin.woff2'
 ];
 
+// Models of a single project type, cached one by one: a missing file only
+// breaks that project type offline instead of the whole install
+const optionalUrlsToCache = [
+  './vendor/mediapipe/models/hand_landmarker-float16-v1.task',
+  './vendor/mediapipe/models/face_landmarker-float16-v1.task'
+];
+
 // Install event - skip waiting to activate immediately
 self.addEventListener('install', (event) => {
   console.log('[SW] Installing new version:', CACHE_NAME);
@@ -102,7 +123,11 @@ self.addEventListener('install', (event) => {
     caches.open(CACHE_NAME)
       .then((cache) => {
         console.log('[SW] Caching app shell');
-        return cache.addAll(urlsToCache);
+        return cache.addAll(urlsToCache).then(() => Promise.all(
+          optionalUrlsToCache.map((url) => cache.add(url).catch(() => {
+            console.warn('[SW] Could not cache:', url);
+          }))
+        ));
       })
   );
 });
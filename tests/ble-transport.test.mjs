@@ -0,0 +1,21 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { reconnectDelay } from '../js/ble-transport.js';
+
+describe('reconnectDelay', () => {
+
+    it('starts at one second', () => {
+        assert.equal(reconnectDelay(0), 1000);
+    });
+
+    it('doubles on each attempt', () => {
+        assert.equal(reconnectDelay(1), 2000);
+        assert.equal(reconnectDelay(2), 4000);
+        assert.equal(reconnectDelay(3), 8000);
+    });
+
+    it('is capped at 16 seconds', () => {
+        assert.equal(reconnectDelay(4), 16000);
+        assert.equal(reconnectDelay(10), 16000);
+    });
+});
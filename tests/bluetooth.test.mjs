@@ -1,6 +1,9 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { formatUartMessage } from '../js/bluetooth.js';
+import {
+    formatUartMessage, formatUartFrameV2, formatTemplateMessage, personPrefix, chunkUartFrame,
+    splitUartLines, routesClass, createWriteQueue
+} from '../js/bluetooth.js';
 
 // Helper: decode Uint8Array to string for readable assertions
 const decode = (bytes) => new TextDecoder().decode(bytes);
@@ -119,3 +122,327 @@ describe('formatUartMessage', () => {
         assert.ok(result instanceof Uint8Array);
     });
 });
+
+describe('formatUartMessage with an object box', () => {
+
+    it('appends @x,y,size after the confidence', () => {
+        const result = formatUartMessage('Pelota', 90, { x: 50, y: 40, size: 25 });
+        assert.equal(decode(result), 'Pelota#90@50,40,25\n');
+    });
+
+    it('keeps the whole class name, sent in several packets', () => {
+        const result = formatUartMessage('PelotaDeTenisAmarilla', 90, { x: 100, y: 100, size: 100 });
+        assert.equal(decode(result), 'PelotaDeTenisAmarilla#90@100,100,100\n');
+        const packets = chunkUartFrame(result);
+        assert.equal(packets.length, 2);
+        assert.ok(packets.every(p => p.length <= 20));
+        assert.equal(packets.map(decode).join(''), 'PelotaDeTenisAmarilla#90@100,100,100\n');
+    });
+});
+
+describe('formatUartFrameV2', () => {
+
+    it('produces #index:probabilities with newline', () => {
+        const result = formatUartFrameV2(2, [5, 10, 85]);
+        assert.equal(decode(result), '#2:5,10,85\n');
+    });
+
+    it('rounds and clamps probabilities to 0-100', () => {
+        const result = formatUartFrameV2(0, [99.6, -0.2, 100.4]);
+        assert.equal(decode(result), '#0:100,0,100\n');
+    });
+
+    it('uses -1 when no class is reported', () => {
+        const result = formatUartFrameV2(-1, [40, 60]);
+        assert.equal(decode(result), '#-1:40,60\n');
+    });
+
+    it('does not truncate long frames', () => {
+        const probs = new Array(12).fill(8);
+        const result = formatUartFrameV2(11, probs);
+        assert.ok(result.length > 20);
+        assert.ok(decode(result).endsWith(',8\n'));
+    });
+
+    it('puts a prefix before the frame', () => {
+        const result = formatUartFrameV2(0, [90, 10], 'P2:');
+        assert.equal(decode(result), 'P2:#0:90,10\n');
+    });
+
+    it('appends the object box', () => {
+        const result = formatUartFrameV2(0, [90, 10], '', { x: 50, y: 40, size: 25 });
+        assert.equal(decode(result), '#0:90,10@50,40,25\n');
+    });
+});
+
+describe('personPrefix', () => {
+
+    it('numbers tracked people', () => {
+        assert.equal(personPrefix(1), 'P1:');
+        assert.equal(personPrefix(3), 'P3:');
+    });
+
+    it('is empty for a single person', () => {
+        assert.equal(personPrefix(0), '');
+    });
+
+    it('combines with formatUartMessage as P1:class#conf', () => {
+        assert.equal(decode(formatUartMessage(personPrefix(1) + 'Arriba', 90)), 'P1:Arriba#90\n');
+    });
+});
+
+describe('formatTemplateMessage', () => {
+
+    it('sends a fixed template as-is with newline', () => {
+        const result = formatTemplateMessage('MOTOR:1,1', 'Arriba', 95, 0);
+        assert.equal(decode(result), 'MOTOR:1,1\n');
+    });
+
+    it('fills in {class}, {conf} and {index}', () => {
+        const result = formatTemplateMessage('{index}/{class}={conf}', 'Gato', 87.6, 2);
+        assert.equal(decode(result), '2/Gato=88\n');
+    });
+
+    it('replaces every occurrence of a placeholder', () => {
+        const result = formatTemplateMessage('{conf}-{conf}', 'A', 50);
+        assert.equal(decode(result), '50-50\n');
+    });
+
+    it('leaves unknown placeholders untouched', () => {
+        const result = formatTemplateMessage('{foo}{class}', 'A', 50);
+        assert.equal(decode(result), '{foo}A\n');
+    });
+
+    it('fills in {x}, {y} and {size} of the object box', () => {
+        const result = formatTemplateMessage('GO:{x},{y},{size}', 'Pelota', 90, 0, { x: 10, y: 20, size: 30 });
+        assert.equal(decode(result), 'GO:10,20,30\n');
+    });
+
+    it('uses -1 for the box placeholders without a box', () => {
+        const result = formatTemplateMessage('{x}/{size}', 'Nada', 90, 1);
+        assert.equal(decode(result), '-1/-1\n');
+    });
+
+    it('defaults the index to -1', () => {
+        const result = formatTemplateMessage('{index}', 'Desconocido', 40);
+        assert.equal(decode(result), '-1\n');
+    });
+
+    it('does not truncate long messages', () => {
+        const result = formatTemplateMessage('{class}', 'Una clase con nombre muy largo', 90);
+        assert.ok(result.length > 20);
+    });
+});
+
+describe('chunkUartFrame', () => {
+
+    it('keeps a short frame in one packet', () => {
+        const frame = formatUartFrameV2(1, [20, 80]);
+        const packets = chunkUartFrame(frame);
+        assert.equal(packets.length, 1);
+        assert.deepEqual(packets[0], frame);
+    });
+
+    it('splits long frames into packets of at most 20 bytes', () => {
+        const frame = formatUartFrameV2(3, new Array(10).fill(10));
+        const packets = chunkUartFrame(frame);
+        assert.equal(packets.length, Math.ceil(frame.length / 20));
+        packets.forEach(p => assert.ok(p.length <= 20));
+    });
+
+    it('reassembles to the original frame', () => {
+        const frame = formatUartFrameV2(7, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+        const text = chunkUartFrame(frame).map(decode).join('');
+        assert.equal(text, decode(frame));
+    });
+
+    it('honors a custom packet size', () => {
+        const packets = chunkUartFrame(new Uint8Array(10), 4);
+        assert.deepEqual(packets.map(p => p.length), [4, 4, 2]);
+    });
+
+    it('returns no packets for an empty frame', () => {
+        assert.deepEqual(chunkUartFrame(new Uint8Array(0)), []);
+    });
+});
+
+describe('splitUartLines', () => {
+
+    it('returns a complete line', () => {
+        const result = splitUartLines('', 'OK\n');
+        assert.deepEqual(result, { lines: ['OK'], pending: '' });
+    });
+
+    it('keeps a partial line as pending', () => {
+        const result = splitUartLines('', 'O');
+        assert.deepEqual(result, { lines: [], pending: 'O' });
+    });
+
+    it('joins pending text with the next chunk', () => {
+        const result = splitUartLines('O', 'K\n');
+        assert.deepEqual(result.lines, ['OK']);
+        assert.equal(result.pending, '');
+    });
+
+    it('splits several lines in one chunk', () => {
+        const result = splitUartLines('', 'OK\nOK\nHo');
+        assert.deepEqual(result, { lines: ['OK', 'OK'], pending: 'Ho' });
+    });
+
+    it('strips carriage returns and skips empty lines', () => {
+        const result = splitUartLines('', 'OK\r\n\n\r\n');
+        assert.deepEqual(result.lines, ['OK']);
+    });
+});
+
+describe('routesClass', () => {
+
+    it('sends every class when routing is null (broadcast)', () => {
+        assert.equal(routesClass(null, 'Izquierda'), true);
+    });
+
+    it('sends only the listed classes', () => {
+        const robot = ['Izquierda', 'Derecha'];
+        assert.equal(routesClass(robot, 'Derecha'), true);
+        assert.equal(routesClass(robot, 'Aplaudir'), false);
+    });
+
+    it('sends nothing with an empty list', () => {
+        assert.equal(routesClass([], 'Izquierda'), false);
+    });
+});
+
+describe('createWriteQueue', () => {
+
+    // Fake transport: each write stays pending until release() is called
+    function fakeSend() {
+        const written = [];
+        const waiting = [];
+        const send = (bytes) => new Promise(resolve => {
+            written.push(decode(bytes));
+            waiting.push(resolve);
+        });
+        const release = async () => {
+            waiting.shift()?.();
+            await new Promise(r => setTimeout(r, 0));
+        };
+        return { send, written, release };
+    }
+
+    const msg = (text) => [new TextEncoder().encode(text)];
+
+    it('writes one message at a time, in order', async () => {
+        const fake = fakeSend();
+        const queue = createWriteQueue(fake.send);
+        queue.enqueue(msg('a'), 'control');
+        queue.enqueue(msg('b'), 'control');
+        assert.deepEqual(fake.written, ['a']);
+        await fake.release();
+        assert.deepEqual(fake.written, ['a', 'b']);
+    });
+
+    it('writes every packet of a message before the next message', async () => {
+        const fake = fakeSend();
+        const queue = createWriteQueue(fake.send);
+        queue.enqueue([...msg('1'), ...msg('2')], 'prediction');
+        queue.enqueue(msg('k'), 'control');
+        await fake.release();
+        await fake.release();
+        assert.deepEqual(fake.written, ['1', '2', 'k']);
+    });
+
+    it('keeps only the latest queued prediction', async () => {
+        const fake = fakeSend();
+        const queue = createWriteQueue(fake.send);
+        queue.enqueue(msg('A#90'));
+        const second = queue.enqueue(msg('B#80'));
+        queue.enqueue(msg('C#70'));
+        assert.equal(await second, false);
+        await fake.release();
+        assert.deepEqual(fake.written, ['A#90', 'C#70']);
+        assert.equal(queue.stats().dropped, 1);
+    });
+
+    it('keeps the latest queued prediction per key', async () => {
+        const fake = fakeSend();
+        const queue = createWriteQueue(fake.send);
+        queue.enqueue(msg('P1:A#90'), 'prediction', 1);
+        queue.enqueue(msg('P1:B#80'), 'prediction', 1);
+        queue.enqueue(msg('P2:A#70'), 'prediction', 2);
+        queue.enqueue(msg('P1:C#60'), 'prediction', 1);
+        await fake.release();
+        await fake.release();
+        assert.deepEqual(fake.written, ['P1:A#90', 'P2:A#70', 'P1:C#60']);
+        assert.equal(queue.stats().dropped, 1);
+    });
+
+    it('puts control messages ahead of queued predictions', async () => {
+        const fake = fakeSend();
+        const queue = createWriteQueue(fake.send);
+        queue.enqueue(msg('first'), 'control');
+        queue.enqueue(msg('A#90'));
+        queue.enqueue(msg('ping'), 'control');
+        await fake.release();
+        await fake.release();
+        assert.deepEqual(fake.written, ['first', 'ping', 'A#90']);
+    });
+
+    it('drops the incoming message when full of control messages', async () => {
+        const fake = fakeSend();
+        const queue = createWriteQueue(fake.send, { maxSize: 2 });
+        queue.enqueue(msg('in flight'), 'control');
+        queue.enqueue(msg('c1'), 'control');
+        queue.enqueue(msg('c2'), 'control');
+        assert.equal(await queue.enqueue(msg('c3'), 'control'), false);
+        assert.deepEqual(queue.stats(), { sent: 0, dropped: 1, failed: 0, queued: 2 });
+    });
+
+    it('drops the queued prediction to make room for a control message', async () => {
+        const fake = fakeSend();
+        const queue = createWriteQueue(fake.send, { maxSize: 2 });
+        queue.enqueue(msg('in flight'), 'control');
+        queue.enqueue(msg('c1'), 'control');
+        const prediction = queue.enqueue(msg('A#90'));
+        queue.enqueue(msg('c2'), 'control');
+        assert.equal(await prediction, false);
+    });
+
+    it('counts sent and failed writes', async () => {
+        let fail = true;
+        const queue = createWriteQueue(async () => {
+            if (fail) throw new Error('GATT operation already in progress');
+        });
+        assert.equal(await queue.enqueue(msg('x')), false);
+        fail = false;
+        assert.equal(await queue.enqueue(msg('y')), true);
+        assert.deepEqual(queue.stats(), { sent: 1, dropped: 0, failed: 1, queued: 0 });
+    });
+
+    it('reports each result with its packets and priority', async () => {
+        const results = [];
+        const fake = fakeSend();
+        const queue = createWriteQueue(fake.send, {
+            onResult: (result, packets, priority) => results.push([result, decode(packets[0]), priority]),
+        });
+        queue.enqueue(msg('ping'), 'control');
+        queue.enqueue(msg('A#90'));
+        queue.enqueue(msg('B#80'));
+        await fake.release();
+        await fake.release();
+        assert.deepEqual(results, [
+            ['dropped', 'A#90', 'prediction'],
+            ['sent', 'ping', 'control'],
+            ['sent', 'B#80', 'prediction'],
+        ]);
+    });
+
+    it('clear() drops every queued message', async () => {
+        const fake = fakeSend();
+        const queue = createWriteQueue(fake.send);
+        queue.enqueue(msg('in flight'), 'control');
+        const queued = queue.enqueue(msg('c1'), 'control');
+        queue.clear();
+        assert.equal(await queued, false);
+        assert.equal(queue.stats().queued, 0);
+    });
+});
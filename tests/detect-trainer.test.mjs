@@ -0,0 +1,47 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { boxFromCorners, boxToTarget, targetToBox, boxSummary } from '../js/detect-trainer.js';
+
+describe('boxFromCorners', () => {
+
+    it('works whichever way the box is dragged', () => {
+        const box = { x: 0.25, y: 0.5, w: 0.5, h: 0.25 };
+        assert.deepEqual(boxFromCorners(0.25, 0.5, 0.75, 0.75), box);
+        assert.deepEqual(boxFromCorners(0.75, 0.75, 0.25, 0.5), box);
+    });
+
+    it('keeps the box inside the frame', () => {
+        assert.deepEqual(boxFromCorners(-0.5, 0.5, 0.5, 1.5), { x: 0, y: 0.5, w: 0.5, h: 0.5 });
+    });
+
+    it('ignores a tap', () => {
+        assert.equal(boxFromCorners(0.5, 0.5, 0.505, 0.75), null);
+    });
+});
+
+describe('box targets', () => {
+
+    it('trains on center and size', () => {
+        assert.deepEqual(boxToTarget({ x: 0.25, y: 0.5, w: 0.5, h: 0.25 }), [0.5, 0.625, 0.5, 0.25]);
+    });
+
+    it('marks samples without an object', () => {
+        assert.deepEqual(boxToTarget(null), [-1, -1, -1, -1]);
+    });
+
+    it('round-trips through targetToBox', () => {
+        const box = { x: 0.25, y: 0.5, w: 0.5, h: 0.25 };
+        assert.deepEqual(targetToBox(boxToTarget(box)), box);
+    });
+
+    it('clips predicted boxes to the frame', () => {
+        assert.deepEqual(targetToBox([0.875, 0.5, 0.5, 0.5]), { x: 0.625, y: 0.25, w: 0.375, h: 0.5 });
+    });
+});
+
+describe('boxSummary', () => {
+
+    it('sends center and larger side as percentages', () => {
+        assert.deepEqual(boxSummary({ x: 0.25, y: 0.5, w: 0.5, h: 0.25 }), { x: 50, y: 63, size: 50 });
+    });
+});
@@ -0,0 +1,25 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { blendshapesToFeatures } from '../js/face-trainer.js';
+
+describe('blendshapesToFeatures', () => {
+
+    it('returns one score per blendshape', () => {
+        assert.equal(blendshapesToFeatures([]).length, 52);
+    });
+
+    it('places scores by category index, not list order', () => {
+        const features = blendshapesToFeatures([
+            { index: 44, categoryName: 'mouthSmileLeft', score: 0.75 },
+            { index: 9, categoryName: 'eyeBlinkLeft', score: 0.5 },
+        ]);
+        assert.equal(features[9], 0.5);
+        assert.equal(features[44], 0.75);
+        assert.equal(features[0], 0);
+    });
+
+    it('ignores indices outside the feature vector', () => {
+        const features = blendshapesToFeatures([{ index: 60, score: 1 }, { index: -1, score: 1 }]);
+        assert.ok(features.every(v => v === 0));
+    });
+});
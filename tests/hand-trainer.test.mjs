@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { handsToFeatures } from '../js/hand-trainer.js';
+
+// Helper: 21 keypoints all at (v, v, v)
+const hand = (v) => Array.from({ length: 21 }, () => ({ x: v, y: v, z: v }));
+const side = (name) => [{ categoryName: name }];
+
+describe('handsToFeatures', () => {
+
+    it('one hand: uses the first detected hand', () => {
+        const features = handsToFeatures([hand(0.25), hand(0.75)], [side('Right'), side('Left')], 1);
+        assert.equal(features.length, 63);
+        assert.ok(features.every(v => v === 0.25));
+    });
+
+    it('flattens keypoints as x, y, z', () => {
+        const h = hand(0);
+        h[1] = { x: 0.5, y: 0.25, z: -0.125 };
+        const features = handsToFeatures([h], [side('Left')], 1);
+        assert.deepEqual(Array.from(features.slice(3, 6)), [0.5, 0.25, -0.125]);
+    });
+
+    it('two hands: left goes first whatever the detection order', () => {
+        const features = handsToFeatures([hand(0.75), hand(0.25)], [side('Right'), side('Left')], 2);
+        assert.equal(features.length, 126);
+        assert.equal(features[0], 0.25);
+        assert.equal(features[63], 0.75);
+    });
+
+    it('two hands: a missing hand leaves its slot at zero', () => {
+        const features = handsToFeatures([hand(0.5)], [side('Right')], 2);
+        assert.ok(features.slice(0, 63).every(v => v === 0));
+        assert.ok(features.slice(63).every(v => v === 0.5));
+    });
+
+    it('two hands reported with the same side keep both', () => {
+        const features = handsToFeatures([hand(0.25), hand(0.75)], [side('Left'), side('Left')], 2);
+        assert.equal(features[0], 0.25);
+        assert.equal(features[63], 0.75);
+    });
+});
@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { euclideanDistances, nearestIndices, knnVote, knnMean } from '../js/knn.js';
+
+describe('euclideanDistances', () => {
+
+    it('measures every row against the query', () => {
+        assert.deepEqual(euclideanDistances([[0, 0], [3, 4], [1, 0]], [0, 0]), [0, 5, 1]);
+    });
+});
+
+describe('nearestIndices', () => {
+
+    it('returns the k nearest, nearest first', () => {
+        assert.deepEqual(nearestIndices([5, 1, 3, 0], 3), [3, 1, 2]);
+    });
+
+    it('returns every index when there are fewer than k', () => {
+        assert.deepEqual(nearestIndices([2, 1], 3), [1, 0]);
+    });
+});
+
+describe('knnVote', () => {
+
+    it('shares the probability among the classes of the k nearest', () => {
+        const probs = knnVote([0.1, 0.2, 0.3, 0.9], [0, 0, 1, 1], 2, 3);
+        assert.ok(Math.abs(probs[0] - 2 / 3) < 1e-9);
+        assert.ok(Math.abs(probs[1] - 1 / 3) < 1e-9);
+    });
+
+    it('lets every sample vote when there are fewer than k', () => {
+        assert.deepEqual(knnVote([0.5], [1], 3, 3), [0, 1, 0]);
+    });
+
+    it('gives all zeros without samples', () => {
+        assert.deepEqual(knnVote([], [], 2), [0, 0]);
+    });
+});
+
+describe('knnMean', () => {
+
+    it('averages the values of the k nearest', () => {
+        assert.equal(knnMean([0.1, 0.9, 0.2, 0.3], [10, 100, 20, 30], 3), 20);
+    });
+
+    it('is null without samples', () => {
+        assert.equal(knnMean([], []), null);
+    });
+});
@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseAccelerometerData, windowToFeatures, featuresToWindow,
+    addClass, captureOne, getClasses, dispose, WINDOW_SIZE
+} from '../js/motion-trainer.js';
+
+// Helper: accelerometer notification payload (int16 LE, milli-g)
+function notification(x, y, z) {
+    const view = new DataView(new ArrayBuffer(6));
+    view.setInt16(0, x, true);
+    view.setInt16(2, y, true);
+    view.setInt16(4, z, true);
+    return view;
+}
+
+describe('parseAccelerometerData', () => {
+
+    it('decodes milli-g to g', () => {
+        assert.deepEqual(parseAccelerometerData(notification(0, 512, -1024)), { x: 0, y: 0.512, z: -1.024 });
+    });
+
+    it('reads signed values', () => {
+        assert.equal(parseAccelerometerData(notification(-2000, 0, 0)).x, -2);
+    });
+});
+
+describe('windowToFeatures', () => {
+
+    const window = Array.from({ length: WINDOW_SIZE }, (_, i) => ({ x: i % 2 ? 0.5 : 0, y: -1, z: 1 }));
+
+    it('interleaves x, y, z for every reading', () => {
+        const features = windowToFeatures(window);
+        assert.equal(features.length, WINDOW_SIZE * 3);
+        assert.equal(features[3], 0.25);
+        assert.equal(features[4], -0.5);
+        assert.equal(features[5], 0.5);
+    });
+
+    it('clamps readings beyond the ±2 g range', () => {
+        const features = windowToFeatures([{ x: 5, y: -5, z: 0 }]);
+        assert.equal(features[0], 1);
+        assert.equal(features[1], -1);
+    });
+
+    it('keeps only the last WINDOW_SIZE readings', () => {
+        const longer = [{ x: 2, y: 2, z: 2 }, ...window];
+        assert.deepEqual(windowToFeatures(longer), windowToFeatures(window));
+    });
+
+    it('round-trips through featuresToWindow', () => {
+        const back = featuresToWindow(windowToFeatures(window));
+        assert.equal(back.length, WINDOW_SIZE);
+        assert.deepEqual(back[11], window[11]);
+    });
+});
+
+describe('captureOne', () => {
+
+    it('refuses to capture without sensor data', () => {
+        addClass('Sacudir');
+        assert.equal(captureOne(0), false);
+        assert.equal(getClasses()[0].count, 0);
+        dispose();
+    });
+});
@@ -0,0 +1,217 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createOutputPolicy, createValuePolicy, findWinner, resolveWinner, projectOutputPolicy, DEFAULT_OUTPUT_POLICY
+} from '../js/output-policy.js';
+
+// Helper: two-class prediction frame with probability p for "A"
+const frame = (p) => [
+    { className: 'A', probability: p },
+    { className: 'B', probability: 1 - p },
+];
+
+describe('findWinner', () => {
+
+    it('returns the class with the highest probability', () => {
+        const w = findWinner(frame(0.2));
+        assert.equal(w.className, 'B');
+        assert.equal(w.index, 1);
+        assert.equal(Math.round(w.confidence), 80);
+    });
+
+    it('returns null for an empty list', () => {
+        assert.equal(findWinner([]), null);
+    });
+});
+
+describe('resolveWinner', () => {
+
+    it('marks the winner as known when it reaches its threshold', () => {
+        const w = resolveWinner(frame(0.7), { A: 70 });
+        assert.equal(w.className, 'A');
+        assert.equal(w.known, true);
+    });
+
+    it('marks the winner as unknown below its threshold', () => {
+        assert.equal(resolveWinner(frame(0.6), { A: 70 }).known, false);
+    });
+
+    it('uses the threshold of the winning class only', () => {
+        assert.equal(resolveWinner(frame(0.6), { B: 90 }).known, true);
+    });
+});
+
+describe('createOutputPolicy', () => {
+
+    // — Modes ——————————————————————————————————————————————
+
+    it('change mode sends only when the reported class changes', () => {
+        const policy = createOutputPolicy({ mode: 'change', hysteresis: 0, minDwell: 0 });
+        assert.equal(policy.update(frame(0.9), 0).className, 'A');
+        assert.equal(policy.update(frame(0.95), 10), null);
+        assert.equal(policy.update(frame(0.1), 20).className, 'B');
+        assert.equal(policy.update(frame(0.1), 30), null);
+    });
+
+    it('rate mode sends at most maxRate messages per second', () => {
+        const policy = createOutputPolicy({ mode: 'rate', maxRate: 2, hysteresis: 0, minDwell: 0 });
+        const sent = [];
+        for (let t = 0; t <= 1000; t += 100) {
+            if (policy.update(frame(0.9), t)) sent.push(t);
+        }
+        assert.deepEqual(sent, [0, 500, 1000]);
+    });
+
+    it('always mode sends every frame', () => {
+        const policy = createOutputPolicy({ mode: 'always', hysteresis: 0, minDwell: 0 });
+        assert.ok(policy.update(frame(0.9), 0));
+        assert.ok(policy.update(frame(0.9), 1));
+        assert.ok(policy.update(frame(0.9), 2));
+    });
+
+    it('reports the confidence of the current frame', () => {
+        const policy = createOutputPolicy({ mode: 'always', hysteresis: 0, minDwell: 0 });
+        policy.update(frame(0.9), 0);
+        assert.equal(Math.round(policy.update(frame(0.7), 1).confidence), 70);
+    });
+
+    it('reports the index of the class in the frame', () => {
+        const policy = createOutputPolicy({ mode: 'always', hysteresis: 0, minDwell: 0 });
+        assert.equal(policy.update(frame(0.2), 0).index, 1);
+    });
+
+    // — Hysteresis and dwell ——————————————————————————————————
+
+    it('keeps the reported class while the challenger lead is inside the hysteresis band', () => {
+        const policy = createOutputPolicy({ mode: 'always', hysteresis: 20, minDwell: 0 });
+        policy.update(frame(0.9), 0);
+        // B leads A by 10 points: not enough
+        assert.equal(policy.update(frame(0.45), 10).className, 'A');
+        // B leads A by 40 points
+        assert.equal(policy.update(frame(0.3), 20).className, 'B');
+    });
+
+    it('waits minDwell ms before reporting a new class', () => {
+        const policy = createOutputPolicy({ mode: 'always', hysteresis: 0, minDwell: 300 });
+        policy.update(frame(0.9), 0);
+        assert.equal(policy.update(frame(0.1), 100).className, 'A');
+        assert.equal(policy.update(frame(0.1), 300).className, 'A');
+        assert.equal(policy.update(frame(0.1), 400).className, 'B');
+    });
+
+    it('restarts the dwell time when the challenger drops out', () => {
+        const policy = createOutputPolicy({ mode: 'always', hysteresis: 0, minDwell: 300 });
+        policy.update(frame(0.9), 0);
+        policy.update(frame(0.1), 100);
+        policy.update(frame(0.9), 200);
+        assert.equal(policy.update(frame(0.1), 450).className, 'A');
+        assert.equal(policy.update(frame(0.1), 750).className, 'B');
+    });
+
+    it('reset forgets the reported class', () => {
+        const policy = createOutputPolicy({ mode: 'change', hysteresis: 0, minDwell: 0 });
+        policy.update(frame(0.9), 0);
+        policy.reset();
+        assert.equal(policy.update(frame(0.9), 10).className, 'A');
+    });
+
+    // — Thresholds and unknown ——————————————————————————————
+
+    it('sends the unknown label when no class passes its threshold', () => {
+        const policy = createOutputPolicy({ mode: 'change', hysteresis: 0, minDwell: 0, thresholds: { A: 80, B: 80 } });
+        const msg = policy.update(frame(0.6), 0);
+        assert.equal(msg.className, 'Desconocido');
+        assert.equal(msg.index, -1);
+        assert.equal(Math.round(msg.confidence), 60);
+        assert.equal(policy.update(frame(0.9), 10).className, 'A');
+    });
+
+    it('uses a custom unknown label', () => {
+        const policy = createOutputPolicy({ mode: 'always', minDwell: 0, thresholds: { A: 80 }, unknownLabel: 'nada' });
+        assert.equal(policy.update(frame(0.6), 0).className, 'nada');
+    });
+
+    it('sends nothing while unknown when unknown is "none"', () => {
+        const policy = createOutputPolicy({ mode: 'always', hysteresis: 0, minDwell: 0, thresholds: { A: 80 }, unknown: 'none' });
+        assert.equal(policy.update(frame(0.9), 0).className, 'A');
+        assert.equal(policy.update(frame(0.6), 10), null);
+        assert.equal(policy.update(frame(0.6), 20), null);
+        assert.equal(policy.update(frame(0.9), 30).className, 'A');
+    });
+
+    it('waits minDwell before switching to unknown', () => {
+        const policy = createOutputPolicy({ mode: 'always', hysteresis: 50, minDwell: 200, thresholds: { A: 80 } });
+        policy.update(frame(0.9), 0);
+        assert.equal(policy.update(frame(0.6), 100).className, 'A');
+        assert.equal(policy.update(frame(0.6), 300).className, 'Desconocido');
+    });
+
+    it('does not confuse unknown with a class named like the label', () => {
+        const policy = createOutputPolicy({ mode: 'change', hysteresis: 0, minDwell: 0, thresholds: { A: 80 } });
+        const frames = (p) => [
+            { className: 'A', probability: p },
+            { className: 'Desconocido', probability: 1 - p },
+        ];
+        assert.equal(policy.update(frames(0.6), 0).className, 'Desconocido');
+        assert.equal(policy.update(frames(0.1), 10).className, 'Desconocido');
+    });
+});
+
+describe('createValuePolicy', () => {
+
+    const value = (v) => [{ className: 'valor', probability: v }];
+
+    it('sends the value as a whole number 0-100', () => {
+        const policy = createValuePolicy({ mode: 'always' });
+        assert.deepEqual(policy.update(value(0.426), 0), { className: 'valor', confidence: 43, index: 0 });
+        assert.equal(policy.update(value(1.2), 10).confidence, 100);
+    });
+
+    it('limits the rate in rate mode', () => {
+        const policy = createValuePolicy({ mode: 'rate', maxRate: 5 });
+        assert.ok(policy.update(value(0.1), 0));
+        assert.equal(policy.update(value(0.2), 100), null);
+        assert.equal(policy.update(value(0.3), 200).confidence, 30);
+    });
+
+    it('skips an unchanged value in change mode', () => {
+        const policy = createValuePolicy({ mode: 'change', maxRate: 5 });
+        assert.ok(policy.update(value(0.5), 0));
+        assert.equal(policy.update(value(0.501), 500), null);
+        assert.equal(policy.update(value(0.6), 600).confidence, 60);
+    });
+
+    it('ignores thresholds', () => {
+        const policy = createValuePolicy({ mode: 'always', thresholds: { valor: 80 } });
+        assert.equal(policy.update(value(0.1), 0).confidence, 10);
+    });
+
+    it('sends again after reset', () => {
+        const policy = createValuePolicy({ mode: 'change' });
+        policy.update(value(0.5), 0);
+        policy.reset();
+        assert.ok(policy.update(value(0.5), 10));
+    });
+});
+
+describe('projectOutputPolicy', () => {
+
+    it('keeps sending every prediction for projects saved before the policy', () => {
+        const opts = projectOutputPolicy(undefined);
+        assert.equal(opts.mode, 'always');
+        assert.equal(opts.minDwell, 0);
+
+        const policy = createOutputPolicy(opts);
+        assert.equal(policy.update(frame(0.9), 0).className, 'A');
+        assert.equal(policy.update(frame(0.1), 1).className, 'B');
+        assert.equal(policy.update(frame(0.1), 2).className, 'B');
+    });
+
+    it('uses the defaults for new projects', () => {
+        assert.deepEqual(projectOutputPolicy({}), DEFAULT_OUTPUT_POLICY);
+    });
+
+    it('applies the saved settings', () => {
+        assert.equal(projectOutputPolicy({ mode: 'change' }).mode, 'change');
+    });
+});
@@ -0,0 +1,130 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    POSE_KEYPOINTS, DEFAULT_POSE_NORMALIZATION, landmarksToKeypoints, legacyFeaturesToKeypoints,
+    mirrorKeypoints, poseFeatureSize, keypointsToFeatures, orderPeople, createFrameBuffer
+} from '../js/pose-features.js';
+
+// Helper: a standing pose with the hips at (cx, cy) and a torso of length `torso`.
+// Shoulders sit straight above the hips; every other landmark at the hip midpoint.
+function pose(cx = 0.5, cy = 0.5, torso = 0.25) {
+    const landmarks = Array.from({ length: POSE_KEYPOINTS }, () => ({ x: cx, y: cy, z: 0, visibility: 1 }));
+    landmarks[11] = { x: cx + torso / 4, y: cy - torso, z: 0, visibility: 1 };
+    landmarks[12] = { x: cx - torso / 4, y: cy - torso, z: 0, visibility: 1 };
+    landmarks[23] = { x: cx + torso / 4, y: cy, z: 0, visibility: 1 };
+    landmarks[24] = { x: cx - torso / 4, y: cy, z: 0, visibility: 1 };
+    // Left wrist raised to shoulder height, out to the side
+    landmarks[15] = { x: cx + torso, y: cy - torso, z: torso / 2, visibility: 1 };
+    return landmarks;
+}
+
+describe('pose features', () => {
+
+    it('default normalization keeps raw x, y, z', () => {
+        const keypoints = landmarksToKeypoints(pose());
+        const features = keypointsToFeatures(keypoints);
+        assert.equal(features.length, 99);
+        assert.equal(features[15 * 3], 0.75);
+        assert.equal(features[15 * 3 + 2], 0.125);
+    });
+
+    it('legacy [x, y, z] samples produce the same raw features', () => {
+        const keypoints = landmarksToKeypoints(pose());
+        const legacy = keypointsToFeatures(keypoints);
+        assert.deepEqual(keypointsToFeatures(legacyFeaturesToKeypoints(legacy)), legacy);
+    });
+
+    it('normalize is translation and scale invariant', () => {
+        const opts = { normalize: true };
+        const near = keypointsToFeatures(landmarksToKeypoints(pose(0.5, 0.5, 0.25)), opts);
+        const far = keypointsToFeatures(landmarksToKeypoints(pose(0.25, 0.75, 0.125)), opts);
+        near.forEach((v, i) => assert.ok(Math.abs(v - far[i]) < 1e-5, `feature ${i}: ${v} vs ${far[i]}`));
+        // Wrist: one torso to the side, one torso up
+        assert.ok(Math.abs(near[15 * 3] - 1) < 1e-6);
+        assert.ok(Math.abs(near[15 * 3 + 1] + 1) < 1e-6);
+    });
+
+    it('dropZ keeps x and y only', () => {
+        const opts = { dropZ: true };
+        assert.equal(poseFeatureSize(opts), 66);
+        const features = keypointsToFeatures(landmarksToKeypoints(pose()), opts);
+        assert.equal(features.length, 66);
+        assert.equal(features[15 * 2], 0.75);
+    });
+
+    it('minVisibility zeroes hidden keypoints', () => {
+        const landmarks = pose();
+        landmarks[15].visibility = 0.25;
+        const features = keypointsToFeatures(landmarksToKeypoints(landmarks), { minVisibility: 0.5 });
+        assert.deepEqual(Array.from(features.slice(45, 48)), [0, 0, 0]);
+    });
+
+    it('mirror swaps left and right and flips x', () => {
+        const keypoints = landmarksToKeypoints(pose());
+        const mirrored = mirrorKeypoints(keypoints);
+        // The raised left wrist (15) becomes a raised right wrist (16)
+        assert.equal(mirrored[16 * 4], 0.25);
+        assert.equal(mirrored[16 * 4 + 1], 0.25);
+        assert.equal(mirrorKeypoints(mirrored).join(), keypoints.join());
+    });
+
+    it('defaults are all off', () => {
+        assert.deepEqual(DEFAULT_POSE_NORMALIZATION, { normalize: false, dropZ: false, minVisibility: 0, mirror: false });
+    });
+});
+
+describe('orderPeople', () => {
+
+    it('numbers people from left to right by their hips', () => {
+        const right = pose(0.75), left = pose(0.25), middle = pose(0.5);
+        assert.deepEqual(orderPeople([right, left, middle]), [left, middle, right]);
+    });
+
+    it('does not reorder the detection it was given', () => {
+        const people = [pose(0.75), pose(0.25)];
+        const first = people[0];
+        orderPeople(people);
+        assert.equal(people[0], first);
+    });
+});
+
+describe('createFrameBuffer', () => {
+
+    it('has no window until it holds `length` frames', () => {
+        const buffer = createFrameBuffer(3, 100);
+        buffer.push('a', 0);
+        buffer.push('b', 100);
+        assert.equal(buffer.window(), null);
+        buffer.push('c', 200);
+        assert.deepEqual(buffer.window(), ['a', 'b', 'c']);
+    });
+
+    it('keeps one frame per interval', () => {
+        const buffer = createFrameBuffer(2, 100);
+        buffer.push('a', 0);
+        buffer.push('skipped', 50);
+        buffer.push('b', 100);
+        assert.deepEqual(buffer.window(), ['a', 'b']);
+    });
+
+    it('slides over the most recent frames', () => {
+        const buffer = createFrameBuffer(2, 100);
+        ['a', 'b', 'c'].forEach((f, i) => buffer.push(f, i * 100));
+        assert.deepEqual(buffer.window(), ['b', 'c']);
+    });
+
+    it('a long gap without a pose starts over', () => {
+        const buffer = createFrameBuffer(2, 100);
+        buffer.push('a', 0);
+        buffer.push('b', 100);
+        buffer.miss(450);
+        assert.equal(buffer.window(), null);
+    });
+
+    it('a long gap between frames starts over too', () => {
+        const buffer = createFrameBuffer(2, 100);
+        buffer.push('a', 0);
+        buffer.push('b', 1000);
+        assert.equal(buffer.window(), null);
+    });
+});
@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSmoother } from '../js/smoothing.js';
+
+// Helper: two-class prediction frame with probability p for "A"
+const frame = (p) => [
+    { className: 'A', probability: p },
+    { className: 'B', probability: 1 - p },
+];
+
+describe('createSmoother', () => {
+
+    it('none passes frames through unchanged', () => {
+        const smoother = createSmoother({ smoothing: 'none' });
+        const f = frame(0.9);
+        assert.equal(smoother.apply(f), f);
+    });
+
+    // — EMA ——————————————————————————————————————————————————
+
+    it('ema starts at the first frame', () => {
+        const smoother = createSmoother({ smoothing: 'ema', smoothingWindow: 3 });
+        const out = smoother.apply(frame(0.8));
+        assert.equal(out[0].probability, 0.8);
+    });
+
+    it('ema moves towards new frames by alpha = 2 / (window + 1)', () => {
+        const smoother = createSmoother({ smoothing: 'ema', smoothingWindow: 3 });
+        smoother.apply(frame(1));
+        const out = smoother.apply(frame(0));
+        assert.equal(out[0].probability, 0.5);
+        assert.equal(out[1].probability, 0.5);
+        assert.equal(out[0].className, 'A');
+    });
+
+    it('ema damps a single flickering frame', () => {
+        const smoother = createSmoother({ smoothing: 'ema', smoothingWindow: 9 });
+        for (let i = 0; i < 10; i++) smoother.apply(frame(0.9));
+        const out = smoother.apply(frame(0.1));
+        assert.ok(out[0].probability > out[1].probability);
+    });
+
+    // — Majority ————————————————————————————————————————————
+
+    it('majority reports the share of votes in the window', () => {
+        const smoother = createSmoother({ smoothing: 'majority', smoothingWindow: 4 });
+        smoother.apply(frame(0.9));
+        smoother.apply(frame(0.9));
+        smoother.apply(frame(0.9));
+        const out = smoother.apply(frame(0.1));
+        assert.equal(out[0].probability, 0.75);
+        assert.equal(out[1].probability, 0.25);
+    });
+
+    it('majority forgets votes older than the window', () => {
+        const smoother = createSmoother({ smoothing: 'majority', smoothingWindow: 2 });
+        smoother.apply(frame(0.9));
+        smoother.apply(frame(0.1));
+        const out = smoother.apply(frame(0.1));
+        assert.equal(out[1].probability, 1);
+    });
+
+    // — Reset ———————————————————————————————————————————————
+
+    it('restarts when the class list changes', () => {
+        const smoother = createSmoother({ smoothing: 'ema', smoothingWindow: 3 });
+        smoother.apply(frame(1));
+        const out = smoother.apply([
+            { className: 'A', probability: 0.2 },
+            { className: 'C', probability: 0.8 },
+        ]);
+        assert.equal(out[0].probability, 0.2);
+    });
+
+    it('reset() drops the history', () => {
+        const smoother = createSmoother({ smoothing: 'majority', smoothingWindow: 5 });
+        smoother.apply(frame(0.9));
+        smoother.reset();
+        const out = smoother.apply(frame(0.1));
+        assert.equal(out[1].probability, 1);
+    });
+});
@@ -0,0 +1,148 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    shuffledIndices, validationStart, splitRows, confusionMatrix, classAccuracies, chartPoints,
+    validationLogs, validationResult, evaluateValidation
+} from '../js/training-metrics.js';
+
+describe('shuffledIndices', () => {
+
+    it('is a permutation of every index', () => {
+        const indices = shuffledIndices(10);
+        assert.deepEqual([...indices].sort((a, b) => a - b), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    });
+
+    it('uses the given random source', () => {
+        assert.deepEqual(shuffledIndices(3, () => 0), [1, 2, 0]);
+    });
+});
+
+describe('validationStart', () => {
+
+    it('splits off the last rows like fit()', () => {
+        assert.equal(validationStart(20, 0.15), 17);
+    });
+
+    it('has no validation rows without a split', () => {
+        assert.equal(validationStart(20, 0), 20);
+    });
+});
+
+describe('splitRows', () => {
+
+    const samples = Array.from({ length: 20 }, (_, i) => ({ classIndex: i % 2, sampleIndex: i }));
+    // A pose and its mirror image: two rows of the same sample
+    const mirrored = s => [{ ref: s, mirrored: false }, { ref: s, mirrored: true }];
+    const key = row => `${row.ref.classIndex}/${row.ref.sampleIndex}`;
+
+    it('keeps every row of a sample on the same side', () => {
+        const { train, validation } = splitRows(samples, 0.15, { rowsOf: mirrored });
+        const trainKeys = new Set(train.map(key));
+        assert.equal(validation.some(row => trainKeys.has(key(row))), false);
+        assert.equal(train.length + validation.length, 40);
+    });
+
+    it('splits by sample count like fit()', () => {
+        const { train, validation } = splitRows(samples, 0.15, { rowsOf: mirrored });
+        assert.equal(train.length, 17 * 2);
+        assert.equal(validation.length, 3 * 2);
+    });
+
+    it('splits each class on its own with classOf', () => {
+        const { train, validation } = splitRows(samples, 0.15, { classOf: s => s.classIndex });
+        // 10 samples per class: 8 train and 2 validation each
+        for (const classIndex of [0, 1]) {
+            assert.equal(train.filter(s => s.classIndex === classIndex).length, 8);
+            assert.equal(validation.filter(s => s.classIndex === classIndex).length, 2);
+        }
+    });
+
+    it('keeps a training sample for a class too small to split', () => {
+        const { train, validation } = splitRows([{ classIndex: 0 }], 0.5, { classOf: s => s.classIndex });
+        assert.equal(train.length, 1);
+        assert.equal(validation.length, 0);
+    });
+
+    it('has no validation rows without a split', () => {
+        assert.equal(splitRows(samples, 0).validation.length, 0);
+    });
+});
+
+describe('confusionMatrix', () => {
+
+    it('counts rows by actual and predicted class', () => {
+        assert.deepEqual(confusionMatrix([0, 0, 1, 1, 1], [0, 1, 1, 1, 0], 2), [[1, 1], [1, 2]]);
+    });
+});
+
+describe('classAccuracies', () => {
+
+    it('divides the diagonal by each row', () => {
+        const acc = classAccuracies([[1, 1], [1, 3]]);
+        assert.deepEqual(acc[0], { correct: 1, total: 2, accuracy: 0.5 });
+        assert.equal(acc[1].accuracy, 0.75);
+    });
+
+    it('is null for a class without validation rows', () => {
+        assert.equal(classAccuracies([[0, 0], [0, 2]])[0].accuracy, null);
+    });
+});
+
+describe('chartPoints', () => {
+
+    it('spreads the epochs over the width and scales to max', () => {
+        assert.equal(chartPoints([1, 0.5, 0], 3, 100, 50, 1), '0,0 50,25 100,50');
+    });
+
+    it('clamps values above max to the top edge', () => {
+        assert.equal(chartPoints([2], 10, 90, 40, 1), '0,0');
+    });
+
+    it('is empty without values', () => {
+        assert.equal(chartPoints([], 10, 90, 40, 1), '');
+    });
+});
+
+describe('validationLogs', () => {
+
+    it('averages the cross-entropy and counts the hits', () => {
+        const logs = validationLogs([[0.5, 0.5], [0.25, 0.75], [1, 0]], [0, 1, 1]);
+        assert.equal(logs.val_acc, 2 / 3);
+        assert.ok(Math.abs(logs.val_loss - (Math.log(2) + Math.log(4 / 3) + Math.log(1e7)) / 3) < 1e-9);
+    });
+});
+
+describe('validationResult', () => {
+
+    it('builds the matrix from predicted class indices', () => {
+        const refs = [{ classIndex: 0, sampleIndex: 1 }, { classIndex: 1, sampleIndex: 3 }];
+        const result = validationResult([1, 1], refs, 2);
+        assert.deepEqual(result.matrix, [[0, 1], [0, 1]]);
+        assert.deepEqual(result.misclassified, [{ classIndex: 0, sampleIndex: 1, predicted: 1 }]);
+    });
+});
+
+describe('evaluateValidation', () => {
+
+    // Stand-in for a TF.js model whose argMax gives the predicted classes
+    const fakeModel = predicted => ({
+        predict: () => ({
+            argMax: () => ({ data: async () => Int32Array.from(predicted), dispose() {} }),
+            dispose() {}
+        })
+    });
+
+    it('builds the confusion matrix and lists the misses', async () => {
+        const refs = [{ classIndex: 0, sampleIndex: 0 }, { classIndex: 1, sampleIndex: 4 }, { classIndex: 1, sampleIndex: 5 }];
+        const result = await evaluateValidation(fakeModel([0, 0, 1]), null, refs, 2);
+        assert.deepEqual(result.matrix, [[1, 0], [1, 1]]);
+        assert.deepEqual(result.misclassified, [{ classIndex: 1, sampleIndex: 4, predicted: 0 }]);
+    });
+
+    it('lists a sample with several wrong rows once', async () => {
+        const ref = { classIndex: 0, sampleIndex: 2 };
+        const result = await evaluateValidation(fakeModel([1, 1]), null, [ref, ref], 2);
+        assert.deepEqual(result.matrix, [[0, 2], [0, 0]]);
+        assert.equal(result.misclassified.length, 1);
+    });
+});
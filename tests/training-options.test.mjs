@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveTrainingOptions, trainingOptionOverrides } from '../js/training-options.js';
+
+const DEFAULTS = { epochs: 50, batchSize: 16, learningRate: 0.001, hiddenUnits: 64, validationSplit: 0.15 };
+
+describe('resolveTrainingOptions', () => {
+
+    it('returns the defaults without options', () => {
+        assert.deepEqual(resolveTrainingOptions(undefined, DEFAULTS), DEFAULTS);
+    });
+
+    it('overrides the given options only', () => {
+        const opts = resolveTrainingOptions({ epochs: 100, learningRate: 0.01 }, DEFAULTS);
+        assert.equal(opts.epochs, 100);
+        assert.equal(opts.learningRate, 0.01);
+        assert.equal(opts.batchSize, 16);
+    });
+
+    it('accepts numeric strings from form inputs', () => {
+        assert.equal(resolveTrainingOptions({ batchSize: '32' }, DEFAULTS).batchSize, 32);
+    });
+
+    it('keeps the default for empty or invalid values', () => {
+        const opts = resolveTrainingOptions({ epochs: '', hiddenUnits: 'abc', batchSize: null }, DEFAULTS);
+        assert.deepEqual(opts, DEFAULTS);
+    });
+
+    it('clamps to the limits and rounds integer options', () => {
+        const opts = resolveTrainingOptions({ epochs: 0, hiddenUnits: 12.6, validationSplit: 0.9 }, DEFAULTS);
+        assert.equal(opts.epochs, 1);
+        assert.equal(opts.hiddenUnits, 13);
+        assert.equal(opts.validationSplit, 0.5);
+    });
+
+    it('drops options the trainer has no default for', () => {
+        const audio = { epochs: 50, batchSize: 32, learningRate: 0.01, validationSplit: 0 };
+        assert.equal('hiddenUnits' in resolveTrainingOptions({ hiddenUnits: 10 }, audio), false);
+    });
+});
+
+describe('trainingOptionOverrides', () => {
+
+    it('keeps only the values that differ from the defaults', () => {
+        assert.deepEqual(trainingOptionOverrides({ ...DEFAULTS, epochs: 80 }, DEFAULTS), { epochs: 80 });
+    });
+
+    it('is empty for the defaults', () => {
+        assert.deepEqual(trainingOptionOverrides(DEFAULTS, DEFAULTS), {});
+    });
+});
@@ -0,0 +1,180 @@
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { VirtualTransport, parseUartLine, iconToLeds } from '../js/virtual-transport.js';
+import {
+    connectMicrobit, disconnectMicrobit, sendToMicrobit, isControlledMode,
+    setPreferredProtocol, getConnections
+} from '../js/bluetooth.js';
+
+const encode = (text) => new TextEncoder().encode(text);
+const tick = () => new Promise(r => setTimeout(r, 5));
+
+describe('parseUartLine', () => {
+
+    it('parses v1 className#confidence', () => {
+        assert.deepEqual(parseUartLine('Gato#95'), { className: 'Gato', confidence: 95 });
+    });
+
+    it('keeps # inside the class name', () => {
+        assert.deepEqual(parseUartLine('C#1#80'), { className: 'C#1', confidence: 80 });
+    });
+
+    it('parses v2 frames', () => {
+        assert.deepEqual(parseUartLine('#2:5,10,85'), { index: 2, probabilities: [5, 10, 85] });
+        assert.deepEqual(parseUartLine('#-1:40,60'), { index: -1, probabilities: [40, 60] });
+    });
+
+    it('parses the object box of detection messages', () => {
+        assert.deepEqual(parseUartLine('Pelota#90@50,40,25'),
+            { className: 'Pelota', confidence: 90, box: { x: 50, y: 40, size: 25 } });
+        assert.deepEqual(parseUartLine('#0:90,10@5,6,7'),
+            { index: 0, probabilities: [90, 10], box: { x: 5, y: 6, size: 7 } });
+    });
+
+    it('strips the person prefix of multi-person pose messages', () => {
+        assert.deepEqual(parseUartLine('P1:Arriba#90'), { className: 'Arriba', confidence: 90, person: 1 });
+        assert.deepEqual(parseUartLine('P3:#1:20,80'), { index: 1, probabilities: [20, 80], person: 3 });
+        assert.deepEqual(parseUartLine('P2:MOTOR:1,1'), { text: 'MOTOR:1,1', person: 2 });
+    });
+
+    it('keeps a template ending like a box as text', () => {
+        assert.deepEqual(parseUartLine('GO@1,2,3'), { text: 'GO@1,2,3' });
+    });
+
+    it('returns other lines as text', () => {
+        assert.deepEqual(parseUartLine('MOTOR:1,1'), { text: 'MOTOR:1,1' });
+        assert.deepEqual(parseUartLine('Arriba#'), { text: 'Arriba#' });
+    });
+});
+
+describe('VirtualTransport', () => {
+
+    it('shows the icon of the rule for a class sent with a person prefix', async () => {
+        const board = new VirtualTransport();
+        await board.connect({ rules: { Arriba: 'arrowUp' } });
+        await board.send(encode('P2:Arriba#90\n'));
+        assert.deepEqual(board.leds, iconToLeds('arrowUp'));
+    });
+
+    it('shows the icon of the rule for a class', async () => {
+        const board = new VirtualTransport();
+        await board.connect({ rules: { Arriba: 'arrowUp' } });
+        await board.send(encode('Arriba#90\n'));
+        assert.deepEqual(board.leds, iconToLeds('arrowUp'));
+    });
+
+    it('gives each new class the next icon', async () => {
+        const board = new VirtualTransport();
+        await board.connect();
+        await board.send(encode('A#90\n'));
+        const first = board.leds;
+        await board.send(encode('B#90\n'));
+        assert.notDeepEqual(board.leds, first);
+        await board.send(encode('A#90\n'));
+        assert.deepEqual(board.leds, first);
+    });
+
+    it('reassembles lines split across packets', async () => {
+        const board = new VirtualTransport();
+        await board.connect();
+        await board.send(encode('Una clase lar'));
+        await board.send(encode('ga#80\n'));
+        assert.deepEqual(board.received, ['Una clase larga#80']);
+    });
+
+    it('ignores predictions below minConfidence', async () => {
+        const board = new VirtualTransport();
+        let updates = 0;
+        await board.connect({ minConfidence: 70, onDisplay: () => updates++ });
+        await board.send(encode('A#50\n'));
+        assert.equal(updates, 0);
+        await board.send(encode('A#80\n'));
+        assert.equal(updates, 1);
+    });
+
+    it('replies OK in controlled mode', async () => {
+        const board = new VirtualTransport();
+        const replies = [];
+        board.onMessage(text => replies.push(text));
+        await board.connect({ controlledMode: true });
+        await board.send(encode('A#90\n\n'));
+        await tick();
+        // The empty keep-alive line is not acknowledged
+        assert.deepEqual(replies, ['OK\n']);
+    });
+
+    it('answers the v2 handshake only when enabled', async () => {
+        const board = new VirtualTransport();
+        const replies = [];
+        board.onMessage(text => replies.push(text));
+        await board.connect();
+        await board.send(encode('V2?\n'));
+        board.protocolV2 = true;
+        await board.send(encode('V2?\n'));
+        await tick();
+        assert.deepEqual(replies, ['V2\n']);
+    });
+
+    it('rejects writes once disconnected', async () => {
+        const board = new VirtualTransport();
+        let closed = 0;
+        board.onDisconnect(() => closed++);
+        await board.connect();
+        board.disconnect();
+        board.disconnect();
+        assert.equal(closed, 1);
+        await assert.rejects(board.send(encode('A#90\n')));
+    });
+});
+
+describe('bluetooth.js with a virtual micro:bit', () => {
+
+    // bluetooth.js logs every connection; keep the runner output clean
+    before(() => mock.method(console, 'log', () => {}));
+    after(() => mock.restoreAll());
+
+    afterEach(() => {
+        disconnectMicrobit();
+        setPreferredProtocol(1);
+    });
+
+    it('delivers predictions as v1 messages', async () => {
+        let board;
+        await connectMicrobit('virtual', { onReady: b => { board = b; } });
+        sendToMicrobit('Gato', 95);
+        await tick();
+        assert.deepEqual(board.received, ['Gato#95']);
+    });
+
+    it('enters controlled mode from the OK replies', async () => {
+        let board;
+        const id = await connectMicrobit('virtual', { controlledMode: true, onReady: b => { board = b; } });
+        sendToMicrobit('Gato', 95);
+        await tick();
+        assert.equal(isControlledMode(id), true);
+        sendToMicrobit('Perro', 80);
+        await tick();
+        assert.deepEqual(board.received, ['Gato#95', 'Perro#80']);
+    });
+
+    it('negotiates protocol v2 and sends full frames', async () => {
+        let board;
+        setPreferredProtocol(2);
+        const id = await connectMicrobit('virtual', { protocolV2: true, onReady: b => { board = b; } });
+        await tick();
+        assert.equal(getConnections().find(c => c.id === id).protocol, 2);
+        sendToMicrobit('C', 70, { index: 2, probabilities: [10, 20, 70] });
+        await tick();
+        assert.deepEqual(board.received, ['V2?', '#2:10,20,70']);
+    });
+
+    it('stays on v1 with a board that ignores the handshake', async () => {
+        let board;
+        setPreferredProtocol(2);
+        await connectMicrobit('virtual', { onReady: b => { board = b; } });
+        await tick();
+        sendToMicrobit('C', 70, { index: 2, probabilities: [10, 20, 70] });
+        await tick();
+        assert.deepEqual(board.received, ['V2?', 'C#70']);
+    });
+});